@@ -0,0 +1,31 @@
+import path from 'node:path';
+import { loadEnv } from 'vite';
+import { ANALYTICS_ENDPOINT } from '../src/lib/analytics.js';
+import { createAnalyticsHandler, createJsonLinesStore, DEFAULT_ANALYTICS_FILE } from '../server/analyticsHandler.js';
+
+/**
+ * Mounts the analytics endpoint (the `file` sink's target) on the dev and
+ * preview servers, writing to ANALYTICS_FILE from .env / .env.local.
+ */
+export const analyticsApi = () => {
+  let handler;
+
+  const mount = (server) => {
+    // Anything the handler throws goes to Vite's error page, not the process.
+    server.middlewares.use(ANALYTICS_ENDPOINT, (req, res, next) => handler(req, res).catch(next));
+  };
+
+  return {
+    name: "analytics-api",
+    apply: "serve",
+
+    configResolved(config) {
+      const env = { ...loadEnv(config.mode, config.root, "ANALYTICS_"), ...process.env };
+      const file = path.resolve(config.root, env.ANALYTICS_FILE || DEFAULT_ANALYTICS_FILE);
+      handler = createAnalyticsHandler({ store: createJsonLinesStore({ file }) });
+    },
+
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+};
@@ -0,0 +1,166 @@
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import sharp from 'sharp';
+import { scanCatalog } from './contentScan.js';
+import { createWatermarkLayer } from './watermark.js';
+import { isVideo } from '../src/lib/catalog.js';
+import { getHeroPhotoPaths } from '../src/lib/hero.js';
+import { formatMeasurement } from '../src/lib/measurements.js';
+import { getProjectPath, withBase } from '../src/lib/router.js';
+import { HERO } from '../src/hero.js';
+import { MEASUREMENTS } from '../src/measurements.js';
+import { SITE } from '../src/siteConfig.js';
+
+// Bump when a field is renamed or removed; adding fields keeps the version.
+export const CATALOG_VERSION = 1;
+export const CATALOG_PATH = "/catalog.json";
+export const FEED_PATH = "/feed.xml";
+
+// Export copies are large enough to print from and small enough to mail.
+const EXPORT_EDGE = 2400;
+const EXPORT_DIR = "catalog";
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// One JPEG per photo, named by content hash so a re-shot image gets a new URL.
+// Protected shoots are watermarked like everywhere else on the site.
+const renderExportPhoto = async (photo, routeSlug, watermark) => {
+  const { autoOrient: { width, height } } = await sharp(photo.file).metadata();
+  const scale = Math.min(1, EXPORT_EDGE / Math.max(width, height));
+  const image = sharp(photo.file)
+    .rotate()
+    .resize({ width: EXPORT_EDGE, height: EXPORT_EDGE, fit: "inside", withoutEnlargement: true });
+
+  if (watermark) {
+    image.composite([createWatermarkLayer(Math.round(width * scale), Math.round(height * scale), watermark)]);
+  }
+
+  const { data, info } = await image.jpeg({ quality: 85, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+  const hash = createHash("sha256").update(data).digest("hex").slice(0, 8);
+  const fileName = `${EXPORT_DIR}/${routeSlug}/${path.parse(photo.file).name}-${hash}.jpg`;
+
+  return { fileName, source: data, width: info.width, height: info.height };
+};
+
+const toMeasurementEntry = (measurement) => ({
+  key: measurement.key,
+  label: measurement.label,
+  imperial: formatMeasurement(measurement, "imperial"),
+  metric: formatMeasurement(measurement, "metric"),
+  updated: measurement.updated ?? null,
+});
+
+const renderFeed = ({ siteUrl, feedUrl, shoots }) =>
+  [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <title>${escapeXml(`${SITE.name} — New shoots`)}</title>`,
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <link rel="self" href="${escapeXml(feedUrl)}" />`,
+    `  <link rel="alternate" href="${escapeXml(siteUrl)}" />`,
+    `  <author><name>${escapeXml(SITE.name)}</name></author>`,
+    `  <updated>${shoots[0]?.date ?? new Date().toISOString().slice(0, 10)}T00:00:00Z</updated>`,
+    ...shoots.map((shoot) =>
+      [
+        `  <entry>`,
+        `    <title>${escapeXml(shoot.title)}</title>`,
+        `    <id>${escapeXml(shoot.url)}</id>`,
+        `    <link rel="alternate" href="${escapeXml(shoot.url)}" />`,
+        `    <link rel="enclosure" type="image/jpeg" href="${escapeXml(shoot.cover.url)}" />`,
+        `    <updated>${shoot.date}T00:00:00Z</updated>`,
+        `    <category term="${escapeXml(shoot.category)}" />`,
+        `    <summary>${escapeXml(shoot.description)}</summary>`,
+        `  </entry>`,
+      ].join("\n")
+    ),
+    `</feed>`,
+    "",
+  ].join("\n");
+
+/**
+ * Emits `catalog.json`, a versioned, machine-readable copy of every public
+ * shoot for agencies' booking systems: slug, copy, date, credits, absolute
+ * URLs and dimensions of export-size JPEGs for the cover and gallery, plus the
+ * current measurements. Shoots come from the same buildCatalog the site uses,
+ * so the two can't disagree. Clips are left out. With `feed` on (the
+ * default) an Atom feed of the shoots, newest first, is written alongside.
+ *
+ * `siteUrl` must be the public origin, as for prerender.
+ */
+export const catalogExport = ({ siteUrl, feed = true, dir = "src/assets/photos" } = {}) => {
+  let config;
+
+  return {
+    name: "catalog-export",
+    apply: "build",
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    async generateBundle() {
+      const origin = (siteUrl || "http://localhost").replace(/\/+$/, "");
+      const toUrl = (pathname) => `${origin}${withBase(pathname, config.base)}`;
+      const { shoots } = await scanCatalog(path.resolve(config.root, dir), { exclude: getHeroPhotoPaths(HERO) });
+
+      const exportPhoto = async (photo, shoot) => {
+        const rendered = await renderExportPhoto(photo, shoot.routeSlug, shoot.protection?.watermark);
+        this.emitFile({ type: "asset", fileName: rendered.fileName, source: rendered.source });
+        return { url: toUrl(`/${rendered.fileName}`), width: rendered.width, height: rendered.height };
+      };
+
+      const entries = [];
+
+      for (const shoot of shoots) {
+        const gallery = [];
+
+        for (const photo of shoot.gallery.filter((item) => !isVideo(item))) {
+          gallery.push({ ...(await exportPhoto(photo, shoot)), caption: photo.caption ?? null });
+        }
+
+        entries.push({
+          slug: shoot.routeSlug,
+          title: shoot.title,
+          category: shoot.category,
+          tags: shoot.tags,
+          date: shoot.date,
+          subtext: shoot.subtext ?? null,
+          description: shoot.description,
+          credits: shoot.credits.map(({ key, role, name }) => ({ key, role, name })),
+          url: toUrl(getProjectPath(shoot.routeSlug)),
+          cover: await exportPhoto(shoot.image, shoot),
+          gallery,
+        });
+      }
+
+      const catalog = {
+        version: CATALOG_VERSION,
+        generatedAt: new Date().toISOString(),
+        site: {
+          name: SITE.name,
+          url: toUrl("/"),
+          email: SITE.email,
+          instagram: SITE.instagramUrl,
+          location: SITE.location,
+        },
+        measurements: MEASUREMENTS.map(toMeasurementEntry),
+        shoots: entries,
+      };
+
+      this.emitFile({ type: "asset", fileName: CATALOG_PATH.slice(1), source: `${JSON.stringify(catalog, null, 2)}\n` });
+
+      if (feed) {
+        this.emitFile({
+          type: "asset",
+          fileName: FEED_PATH.slice(1),
+          source: renderFeed({ siteUrl: toUrl("/"), feedUrl: toUrl(FEED_PATH), shoots: entries }),
+        });
+      }
+    },
+  };
+};
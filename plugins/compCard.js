@@ -0,0 +1,203 @@
+import path from 'node:path';
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+import { findHeroImage, scanCatalog } from './contentScan.js';
+import { createWatermarkLayer } from './watermark.js';
+import { COMP_CARD_PDF_PATH, getInstagramHandle, selectCompCardPhotos } from '../src/lib/compCard.js';
+import { getHeroPhotoPaths } from '../src/lib/hero.js';
+import { getPhotoPosition } from '../src/lib/photoFocus.js';
+import { formatMeasurements } from '../src/lib/measurements.js';
+import { withBase } from '../src/lib/router.js';
+import { HERO } from '../src/hero.js';
+import { MEASUREMENTS } from '../src/measurements.js';
+import { SITE } from '../src/siteConfig.js';
+
+// Standard US comp card: 5.5in x 8.5in, laid out in PDF points (1/72in).
+const PAGE_WIDTH = 396;
+const PAGE_HEIGHT = 612;
+const MARGIN = 22;
+const GUTTER = 6;
+const PRINT_DPI = 300;
+const INK = "#1A1F2B";
+const ACCENT = "#5F7A91";
+
+const toPixels = (points) => Math.round((points / 72) * PRINT_DPI);
+
+// "50% 3%", an object-position as the app renders it, to fractions.
+const toFractions = (position = "50% 50%") => position.split(" ").map((value) => parseFloat(value) / 100);
+
+// Crops with sharp rather than in the PDF so every frame is embedded at
+// exactly 300dpi for its slot. The crop follows `position` the way CSS
+// object-fit: cover does, so the card frames each photo like the /comp-card
+// page. Covers of protected shoots are watermarked like everywhere else on
+// the site.
+const cropPhoto = async (file, width, height, { position, watermark } = {}) => {
+  const targetWidth = toPixels(width);
+  const targetHeight = toPixels(height);
+  const { autoOrient } = await sharp(file).metadata();
+  const scale = Math.max(targetWidth / autoOrient.width, targetHeight / autoOrient.height);
+  const resizedWidth = Math.max(targetWidth, Math.round(autoOrient.width * scale));
+  const resizedHeight = Math.max(targetHeight, Math.round(autoOrient.height * scale));
+  const [x, y] = toFractions(position);
+  const image = sharp(file)
+    .rotate()
+    .resize(resizedWidth, resizedHeight)
+    .extract({
+      left: Math.round((resizedWidth - targetWidth) * x),
+      top: Math.round((resizedHeight - targetHeight) * y),
+      width: targetWidth,
+      height: targetHeight,
+    });
+
+  if (watermark) {
+    image.composite([createWatermarkLayer(targetWidth, targetHeight, watermark)]);
+  }
+
+  return image.jpeg({ quality: 88, mozjpeg: true }).toBuffer();
+};
+
+// Without a hero photo the front is a plain ink page.
+const drawFront = async (doc, hero) => {
+  if (hero) {
+    doc.image(await cropPhoto(hero.file, PAGE_WIDTH, PAGE_HEIGHT, { position: hero.position }), 0, 0, { width: PAGE_WIDTH, height: PAGE_HEIGHT });
+  } else {
+    doc.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT).fill(INK);
+  }
+
+  const shadeTop = PAGE_HEIGHT * 0.6;
+  const shade = doc.linearGradient(0, shadeTop, 0, PAGE_HEIGHT);
+  shade.stop(0, INK, 0).stop(1, INK, 0.7);
+  doc.rect(0, shadeTop, PAGE_WIDTH, PAGE_HEIGHT - shadeTop).fill(shade);
+
+  doc
+    .fillColor("#FFFFFF")
+    .font("Helvetica")
+    .fontSize(24)
+    .text(SITE.name.toUpperCase(), MARGIN, PAGE_HEIGHT - 86, {
+      width: PAGE_WIDTH - MARGIN * 2,
+      align: "center",
+      characterSpacing: 2,
+    })
+    .fontSize(6.5)
+    .text(SITE.tagline.toUpperCase(), { width: PAGE_WIDTH - MARGIN * 2, align: "center", characterSpacing: 4 });
+};
+
+// `photos` are `{ file, position, watermark }`.
+const drawBack = async (doc, photos) => {
+  const cellWidth = (PAGE_WIDTH - MARGIN * 2 - GUTTER) / 2;
+  const cellHeight = 230;
+
+  for (const [index, { file, ...options }] of photos.entries()) {
+    const x = MARGIN + (index % 2) * (cellWidth + GUTTER);
+    const y = MARGIN + Math.floor(index / 2) * (cellHeight + GUTTER);
+    doc.image(await cropPhoto(file, cellWidth, cellHeight, options), x, y, { width: cellWidth, height: cellHeight });
+  }
+
+  const contentWidth = PAGE_WIDTH - MARGIN * 2;
+  let y = MARGIN + cellHeight * 2 + GUTTER + 14;
+
+  doc
+    .fillColor(INK)
+    .font("Helvetica-Bold")
+    .fontSize(11)
+    .text(SITE.name.toUpperCase(), MARGIN, y, { width: contentWidth, characterSpacing: 2.5 });
+  y += 22;
+
+  const columns = 4;
+  const columnWidth = contentWidth / columns;
+
+  formatMeasurements(MEASUREMENTS, "both").forEach((stat, index) => {
+    const x = MARGIN + (index % columns) * columnWidth;
+    const rowY = y + Math.floor(index / columns) * 26;
+
+    doc
+      .fillColor(ACCENT)
+      .font("Helvetica")
+      .fontSize(5.5)
+      .text(stat.label.toUpperCase(), x, rowY, { width: columnWidth - 4, characterSpacing: 1.5 })
+      .fillColor(INK)
+      .fontSize(7.5)
+      .text(stat.value, x, rowY + 8, { width: columnWidth - 4 });
+  });
+
+  doc
+    .fillColor(INK)
+    .font("Helvetica")
+    .fontSize(6.5)
+    .text(
+      [SITE.email, getInstagramHandle(SITE.instagramUrl), SITE.location].join("   /   ").toUpperCase(),
+      MARGIN,
+      PAGE_HEIGHT - MARGIN - 8,
+      { width: contentWidth, align: "center", characterSpacing: 1 }
+    );
+};
+
+const renderCompCard = async (photoDir) => {
+  const catalog = await scanCatalog(photoDir, { exclude: getHeroPhotoPaths(HERO) });
+  const hero = await findHeroImage(photoDir);
+  const watermarks = new Map(catalog.shoots.map((shoot) => [shoot.image, shoot.protection?.watermark]));
+  // The page shows these in 3:4 frames, as the card's cells nearly are.
+  const backPhotos = selectCompCardPhotos(catalog).map((photo) => ({
+    file: photo.file,
+    position: getPhotoPosition(photo, "3:4"),
+    watermark: watermarks.get(photo),
+  }));
+
+  const doc = new PDFDocument({
+    size: [PAGE_WIDTH, PAGE_HEIGHT],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `${SITE.name} — Comp Card`, Author: SITE.name },
+  });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.addPage();
+  await drawFront(doc, hero);
+  doc.addPage();
+  await drawBack(doc, backPhotos);
+  doc.end();
+
+  return finished;
+};
+
+/**
+ * Renders the two-sided comp card PDF from the same hero, measurements and
+ * photo selection the /comp-card page uses. Served on the fly in dev and
+ * emitted as `comp-card.pdf` at build time.
+ */
+export const compCard = ({ dir = "src/assets/photos" } = {}) => {
+  let photoDir;
+
+  return {
+    name: "comp-card",
+
+    configResolved(config) {
+      photoDir = path.resolve(config.root, dir);
+    },
+
+    configureServer(server) {
+      server.middlewares.use(withBase(COMP_CARD_PDF_PATH, server.config.base), async (req, res, next) => {
+        try {
+          const pdf = await renderCompCard(photoDir);
+          res.setHeader("Content-Type", "application/pdf");
+          res.end(pdf);
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+
+    async generateBundle() {
+      this.emitFile({
+        type: "asset",
+        fileName: COMP_CARD_PDF_PATH.slice(1),
+        source: await renderCompCard(photoDir),
+      });
+    },
+  };
+};
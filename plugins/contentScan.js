@@ -0,0 +1,95 @@
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readPhotoMetadata } from './photoMetadata.js';
+import { buildCatalog, PHOTO_ROOT_PREFIX } from '../src/lib/catalog.js';
+import { DIGITALS_FOLDER } from '../src/lib/digitals.js';
+import { resolveHeroImages } from '../src/lib/hero.js';
+import { PHOTO_META_FILE } from '../src/lib/photoMeta.js';
+import { HERO } from '../src/hero.js';
+
+export const PHOTO_FILE_RE = /\.(jpe?g|png)$/i;
+const SHOOT_CONTENT_FILE = "shoot.json";
+
+// Extensions the app's import.meta.glob calls pick up (see App.jsx). The
+// globs are case-sensitive, so ".JPEG" or ".PNG" are silently left out.
+export const GLOB_PHOTO_EXTENSIONS = new Set([".jpg", ".JPG", ".jpeg", ".png"]);
+export const GLOB_VIDEO_EXTENSIONS = new Set([".mp4", ".webm", ".MP4", ".WEBM"]);
+
+// Mirrors the key format of the app's import.meta.glob calls.
+export const toPhotoKey = (photoDir, file) =>
+  `${PHOTO_ROOT_PREFIX}${path.relative(photoDir, file).split(path.sep).join("/")}`;
+
+export const listFiles = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true, recursive: true });
+
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.join(entry.parentPath, entry.name))
+    .sort();
+};
+
+// Path segments below `dir`; globs skip anything hidden.
+const getVisibleParts = (dir, file) => {
+  const parts = path.relative(dir, file).split(path.sep);
+  return parts.some((part) => part.startsWith(".")) ? null : parts;
+};
+
+// Whether the app's globs load `file` from `dir`: photos at any depth, clips
+// (and shoot.json) only directly inside a folder, photos.json in digitals.
+export const isGlobPhotoFile = (dir, file) =>
+  Boolean(getVisibleParts(dir, file)) && GLOB_PHOTO_EXTENSIONS.has(path.extname(file));
+
+export const isGlobVideoFile = (dir, file) =>
+  getVisibleParts(dir, file)?.length === 2 && GLOB_VIDEO_EXTENSIONS.has(path.extname(file));
+
+const isGlobContentFile = (dir, file) => {
+  const parts = getVisibleParts(dir, file);
+  const fileName = parts?.[parts.length - 1];
+
+  return (
+    (fileName === SHOOT_CONTENT_FILE && parts.length === 2) ||
+    (fileName === PHOTO_META_FILE && parts.length >= 2 && parts[0] === DIGITALS_FOLDER)
+  );
+};
+
+export const listPhotoFiles = async (dir) => (await listFiles(dir)).filter((file) => isGlobPhotoFile(dir, file));
+
+export const listVideoFiles = async (dir) => (await listFiles(dir)).filter((file) => isGlobVideoFile(dir, file));
+
+// The first hero image (see src/hero.js) that is on disk, as `{ file,
+// position }` with the object-position the app shows it at, or null.
+export const findHeroImage = async (photoDir) => {
+  const photoPaths = new Set((await listPhotoFiles(photoDir)).map((file) => toPhotoKey(photoDir, file)));
+  const [image] = resolveHeroImages(HERO, (photoPath) => photoPaths.has(photoPath));
+
+  return image ? { file: path.join(photoDir, image.path.slice(PHOTO_ROOT_PREFIX.length)), position: image.position } : null;
+};
+
+export const findHeroFile = async (photoDir) => (await findHeroImage(photoDir))?.file ?? null;
+
+/**
+ * Builds the same catalog the app builds in the browser, from the files on
+ * disk. Photo and video entries are `{ path, file }` where `file` is the
+ * absolute path; photos also carry their EXIF/IPTC fields, as in the photo
+ * manifest.
+ */
+export const scanCatalog = async (photoDir, { exclude = [] } = {}) => {
+  const files = await listFiles(photoDir);
+  const photos = [];
+
+  for (const file of files.filter((item) => isGlobPhotoFile(photoDir, item) || isGlobVideoFile(photoDir, item))) {
+    const photoPath = toPhotoKey(photoDir, file);
+
+    if (!exclude.includes(photoPath)) {
+      photos.push({ path: photoPath, file, ...(isGlobPhotoFile(photoDir, file) ? await readPhotoMetadata(file) : {}) });
+    }
+  }
+
+  const contentFiles = {};
+
+  for (const file of files.filter((item) => isGlobContentFile(photoDir, item))) {
+    contentFiles[toPhotoKey(photoDir, file)] = JSON.parse(await readFile(file, "utf8"));
+  }
+
+  return buildCatalog(photos, contentFiles);
+};
@@ -0,0 +1,393 @@
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { GLOB_PHOTO_EXTENSIONS, GLOB_VIDEO_EXTENSIONS, listFiles, PHOTO_FILE_RE, toPhotoKey } from './contentScan.js';
+import { readPhotoMetadata } from './photoMetadata.js';
+import { SHOOT_FOLDER_RE, VIDEO_FILE_RE } from '../src/lib/catalog.js';
+import { DIGITAL_SET_FOLDER_RE, DIGITALS_FOLDER } from '../src/lib/digitals.js';
+import { toRouteSlug } from '../src/lib/format.js';
+import { getHeroPhotoPaths } from '../src/lib/hero.js';
+import { isLocale } from '../src/lib/i18n.js';
+import { isFocusPoint, PHOTO_CROPS } from '../src/lib/photoFocus.js';
+import { normalizeAlt, PHOTO_META_FILE, PHOTO_META_KEYS } from '../src/lib/photoMeta.js';
+import { isHexColor, SHOOT_THEME_KEYS } from '../src/lib/shootTheme.js';
+import { HERO } from '../src/hero.js';
+import { CREDIT_ROLES } from '../src/projectContent.js';
+
+const SHOOT_CONTENT_FILE = "shoot.json";
+const COVER_RE = /^cover\.(jpg|jpeg|png)$/i;
+// "17old", "3 copy", "cover-backup", "2 (1)" and the like.
+const LEFTOVER_NAME_RE = /(old|copy|backup|bak|tmp|unused|\(\d+\))$|~$/i;
+
+const SHOOT_CONTENT_KEYS = new Set([
+  "title",
+  "header",
+  "category",
+  "tags",
+  "subtext",
+  "description",
+  "credits",
+  "backgroundVideo",
+  "protection",
+  "translations",
+  "theme",
+  "photos",
+]);
+const CREDIT_KEYS = new Set(CREDIT_ROLES.map(({ key }) => key));
+
+// The largest variant the site emits is 2400px wide, so anything far beyond
+// only slows the build and bloats the repo.
+export const DEFAULT_LIMITS = {
+  maxBytes: 12 * 1024 * 1024,
+  maxEdge: 7000,
+};
+
+const isValidDate = (year, month, day) => {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCFullYear() === Number(year) && date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+};
+
+const formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// The "photos" map of a shoot.json or photos.json: `fileNames` are the
+// names it may use, relative to the folder the file sits in.
+const checkPhotoMeta = (photos, fileNames, report) => {
+  if (photos === null || typeof photos !== "object" || Array.isArray(photos)) {
+    report.error(`"photos" must map file names to their settings, e.g. { "focus", "crops", "fullWidth", "alt" }.`);
+    return;
+  }
+
+  Object.entries(photos).forEach(([fileName, meta]) => {
+    if (!fileNames.includes(fileName)) {
+      report.warning(`Settings for "${fileName}", which is not in this folder, are ignored.`);
+    }
+
+    Object.keys(meta ?? {}).forEach((key) => {
+      if (!PHOTO_META_KEYS.includes(key)) {
+        report.warning(`Unknown key "${key}" of "${fileName}" is ignored; use ${PHOTO_META_KEYS.join(", ")}.`);
+      }
+    });
+
+    if (meta?.fullWidth !== undefined && typeof meta.fullWidth !== "boolean") {
+      report.warning(`fullWidth of "${fileName}" must be true or false.`);
+    }
+
+    if (meta?.alt !== undefined && !normalizeAlt(meta.alt)) {
+      report.warning(`The alt text of "${fileName}" is ignored; use a string or one per locale, e.g. { "en": "…", "de": "…" }.`);
+    } else if (meta?.alt !== null && typeof meta?.alt === "object") {
+      Object.keys(meta.alt).filter((locale) => !isLocale(locale)).forEach((locale) => {
+        report.warning(`Alt text of "${fileName}" for unknown locale "${locale}" is ignored.`);
+      });
+    }
+
+    if (meta?.focus !== undefined && !isFocusPoint(meta.focus)) {
+      report.warning(`The focus of "${fileName}" is ignored; use { "x": 0–100, "y": 0–100 }.`);
+    }
+
+    Object.entries(meta?.crops ?? {}).forEach(([crop, focus]) => {
+      if (!PHOTO_CROPS.includes(crop)) {
+        report.warning(`Unknown crop "${crop}" of "${fileName}" is ignored; use ${PHOTO_CROPS.join(", ")}.`);
+      } else if (!isFocusPoint(focus)) {
+        report.warning(`The ${crop} crop of "${fileName}" is ignored; use { "x": 0–100, "y": 0–100 }.`);
+      }
+    });
+  });
+};
+
+const readJsonObject = async (file, report) => {
+  try {
+    const content = JSON.parse(await readFile(file, "utf8"));
+
+    if (content === null || typeof content !== "object" || Array.isArray(content)) {
+      report.error(`${path.basename(file)} must hold a JSON object.`);
+      return null;
+    }
+
+    return content;
+  } catch (error) {
+    report.error(`${path.basename(file)} is not valid JSON: ${error.message}`);
+    return null;
+  }
+};
+
+const checkShootContent = (content, folderPath, folderFiles, report) => {
+  Object.keys(content).forEach((key) => {
+    if (!SHOOT_CONTENT_KEYS.has(key)) {
+      report.warning(`Unknown key "${key}" is ignored.`);
+    }
+  });
+
+  Object.keys(content.credits ?? {}).forEach((key) => {
+    if (!CREDIT_KEYS.has(key)) {
+      report.warning(`Unknown credit role "${key}" is ignored; use ${[...CREDIT_KEYS].join(", ")}.`);
+    }
+  });
+
+  Object.keys(content.translations ?? {}).forEach((locale) => {
+    if (!isLocale(locale)) {
+      report.warning(`Translations for unknown locale "${locale}" are ignored.`);
+    }
+  });
+
+  if (content.theme !== undefined && (content.theme === null || typeof content.theme !== "object" || Array.isArray(content.theme))) {
+    report.warning(`"theme" is ignored; use { "accent": "#…", "background": "#…" }.`);
+  } else {
+    Object.entries(content.theme ?? {}).forEach(([key, color]) => {
+      if (!SHOOT_THEME_KEYS.includes(key)) {
+        report.warning(`Unknown theme key "${key}" is ignored; use ${SHOOT_THEME_KEYS.join(", ")}.`);
+      } else if (!isHexColor(color)) {
+        report.warning(`theme.${key} "${color}" is ignored; use a hex colour like "#5F7A91".`);
+      }
+    });
+  }
+
+  if (content.backgroundVideo && !folderFiles.some((file) => path.basename(file) === content.backgroundVideo)) {
+    report.error(`backgroundVideo "${content.backgroundVideo}" is not in this folder.`);
+  }
+
+  if (content.photos !== undefined) {
+    checkPhotoMeta(content.photos, folderFiles.map((file) => path.relative(folderPath, file).split(path.sep).join("/")), report);
+  }
+};
+
+/**
+ * Checks the photo tree for mistakes the catalog would otherwise swallow:
+ * folders that end up skipped, shoots whose slugs collide, shoot.json files
+ * nothing reads, file types the app never loads, plus leftovers, oversized
+ * images and missing covers. Resolves to `{ errors, warnings }`, each a list
+ * of `{ file, message }` with `file` relative to `root`.
+ */
+export const validateContent = async (photoDir, { root = process.cwd(), limits = DEFAULT_LIMITS } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const forFile = (file) => {
+    const relative = path.relative(root, file).split(path.sep).join("/");
+
+    return {
+      error: (message) => errors.push({ file: relative, message }),
+      warning: (message) => warnings.push({ file: relative, message }),
+    };
+  };
+
+  const files = (await listFiles(photoDir)).filter((file) => !path.basename(file).startsWith("."));
+  const folders = new Map();
+  const photoKeys = new Set(files.map((file) => toPhotoKey(photoDir, file)));
+  const heroPhotoPaths = getHeroPhotoPaths(HERO);
+
+  // The hero skips missing files, so these only warn.
+  heroPhotoPaths.forEach((photoPath) => {
+    if (!photoKeys.has(photoPath)) {
+      forFile(photoDir).warning(`The hero photo ${photoPath} (see src/hero.js) is missing and is skipped.`);
+    }
+  });
+
+  for (const file of files) {
+    const report = forFile(file);
+    const parts = path.relative(photoDir, file).split(path.sep);
+    const fileName = parts[parts.length - 1];
+    const extension = path.extname(fileName);
+    const isPhoto = GLOB_PHOTO_EXTENSIONS.has(extension);
+
+    if (fileName === SHOOT_CONTENT_FILE && parts.length === 2) {
+      continue;
+    }
+
+    if (fileName === SHOOT_CONTENT_FILE) {
+      report.error("shoot.json only works directly inside a shoot folder; this one is never read.");
+      continue;
+    }
+
+    if (fileName === PHOTO_META_FILE) {
+      if (parts[0].toLowerCase() !== DIGITALS_FOLDER) {
+        report.error("photos.json is only read in digitals; a shoot keeps its focal points under \"photos\" in shoot.json.");
+        continue;
+      }
+
+      const content = await readJsonObject(file, report);
+      const siblings = files.filter((other) => path.dirname(other) === path.dirname(file)).map((other) => path.basename(other));
+
+      if (content) {
+        checkPhotoMeta(content.photos ?? {}, siblings, report);
+      }
+
+      continue;
+    }
+
+    if (PHOTO_FILE_RE.test(fileName) && !isPhoto) {
+      report.error(`The app only loads ${[...GLOB_PHOTO_EXTENSIONS].join(", ")}; rename the extension to lowercase.`);
+      continue;
+    }
+
+    if (VIDEO_FILE_RE.test(fileName) && !GLOB_VIDEO_EXTENSIONS.has(extension)) {
+      report.error(`The app only loads ${[...GLOB_VIDEO_EXTENSIONS].join(", ")}; rename the extension to lowercase.`);
+      continue;
+    }
+
+    if (!PHOTO_FILE_RE.test(fileName) && !VIDEO_FILE_RE.test(fileName)) {
+      report.error(`Unsupported file type "${extension || fileName}": only .jpg, .jpeg, .png, .mp4 and .webm are used. Convert or remove it.`);
+      continue;
+    }
+
+    const isLeftover = LEFTOVER_NAME_RE.test(path.basename(fileName, extension));
+
+    if (isLeftover) {
+      report.warning("Looks like a leftover copy; it still ships with the site. Delete it if it isn't needed.");
+    }
+
+    if (parts.length === 1) {
+      if (!isLeftover && !heroPhotoPaths.includes(toPhotoKey(photoDir, file))) {
+        report.warning("Loose file in the photo root: it belongs to no shoot but is still bundled. Move it into a shoot folder or delete it.");
+      }
+    } else if (VIDEO_FILE_RE.test(fileName) && parts.length > 2) {
+      report.error("Clips are only picked up directly inside a shoot folder, not in subfolders.");
+      continue;
+    } else if (VIDEO_FILE_RE.test(fileName) && parts[0].toLowerCase() === DIGITALS_FOLDER) {
+      report.warning("Clips in digitals are ignored.");
+      continue;
+    } else {
+      const folder = folders.get(parts[0]) ?? { photos: [], videos: [] };
+      folder[isPhoto ? "photos" : "videos"].push(file);
+      folders.set(parts[0], folder);
+    }
+
+    if (isPhoto) {
+      const { size } = await stat(file);
+      const { width = 0, height = 0 } = await sharp(file).metadata().catch(() => ({}));
+
+      if (!width || !height) {
+        report.error("The image can't be read; it may be corrupt.");
+      } else if (size > limits.maxBytes || Math.max(width, height) > limits.maxEdge) {
+        report.warning(`Oversized image (${width}×${height}, ${formatMegabytes(size)}); keep it under ${limits.maxEdge}px and ${formatMegabytes(limits.maxBytes)}.`);
+      }
+    }
+  }
+
+  const slugs = new Map();
+  const contentFiles = files.filter((file) => {
+    const parts = path.relative(photoDir, file).split(path.sep);
+    return parts.length === 2 && parts[1] === SHOOT_CONTENT_FILE;
+  });
+  const folderNames = new Set([...folders.keys(), ...contentFiles.map((file) => path.basename(path.dirname(file)))]);
+
+  for (const folderName of folderNames) {
+    const folderPath = path.join(photoDir, folderName);
+    const report = forFile(folderPath);
+    const { photos = [], videos = [] } = folders.get(folderName) ?? {};
+    const contentFile = path.join(folderPath, SHOOT_CONTENT_FILE);
+    const hasContent = contentFiles.includes(contentFile);
+
+    if (folderName.toLowerCase() === DIGITALS_FOLDER) {
+      if (hasContent) {
+        forFile(contentFile).error("The digitals folder is not a shoot; its shoot.json is never read.");
+      }
+
+      const setFolders = new Set(
+        photos.map((file) => path.relative(folderPath, file).split(path.sep)).filter((parts) => parts.length > 1).map((parts) => parts[0])
+      );
+
+      setFolders.forEach((setFolder) => {
+        if (!DIGITAL_SET_FOLDER_RE.test(setFolder)) {
+          forFile(path.join(folderPath, setFolder)).warning(
+            "Digitals sets are dated by their folder name (YYYY-MM-DD); this one falls back to its photos' capture dates."
+          );
+        }
+      });
+
+      continue;
+    }
+
+    if (photos.length === 0) {
+      if (hasContent) {
+        forFile(contentFile).error("Orphan shoot.json: its folder has no photos, so no shoot is built from it.");
+      } else {
+        report.error("The folder has clips but no photos; a shoot needs at least one photo for its cover.");
+      }
+
+      continue;
+    }
+
+    const match = folderName.match(SHOOT_FOLDER_RE);
+
+    if (match && !isValidDate(match[1], match[2], match[3])) {
+      report.error(`${match[1]}-${match[2]}-${match[3]} is not a real date.`);
+    }
+
+    if (!match) {
+      const dates = await Promise.all(photos.map(async (file) => (await readPhotoMetadata(file)).capturedAt));
+
+      if (!dates.some(Boolean)) {
+        report.error("The shoot is skipped: the folder name doesn't start with YYYY-MM-DD- and none of its photos has a capture date.");
+        continue;
+      }
+    }
+
+    const routeSlug = toRouteSlug(match ? match[4] : folderName);
+
+    if (!routeSlug) {
+      report.error("The folder name has no letters or digits to build a URL from.");
+    } else {
+      slugs.set(routeSlug, [...(slugs.get(routeSlug) ?? []), folderName]);
+    }
+
+    if (!photos.some((file) => COVER_RE.test(path.basename(file)))) {
+      const fallback = photos.map((file) => path.basename(file)).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }))[0];
+      report.warning(`No cover.jpg; ${fallback} is used as the cover.`);
+    }
+
+    if (hasContent) {
+      const contentReport = forFile(contentFile);
+      const content = await readJsonObject(contentFile, contentReport);
+
+      if (content) {
+        checkShootContent(content, folderPath, [...photos, ...videos], contentReport);
+      }
+    }
+  }
+
+  slugs.forEach((folderNames, routeSlug) => {
+    if (folderNames.length > 1) {
+      folderNames.forEach((folderName) =>
+        forFile(path.join(photoDir, folderName)).error(
+          `Shares the URL /portfolio/${routeSlug} with ${folderNames.filter((name) => name !== folderName).join(", ")}; only one of them can be reached.`
+        )
+      );
+    }
+  });
+
+  return { errors, warnings };
+};
+
+export const formatContentReport = ({ errors, warnings }) =>
+  [
+    ...errors.map(({ file, message }) => `error    ${file}\n         ${message}`),
+    ...warnings.map(({ file, message }) => `warning  ${file}\n         ${message}`),
+    `${errors.length} error(s), ${warnings.length} warning(s)`,
+  ].join("\n");
+
+/**
+ * Runs validateContent at the start of `vite build`: warnings are printed,
+ * errors fail the build. `npm run validate-content` runs the same checks on
+ * their own.
+ */
+export const contentValidation = ({ dir = "src/assets/photos" } = {}) => {
+  let config;
+
+  return {
+    name: "content-validation",
+    apply: "build",
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    async buildStart() {
+      const { errors, warnings } = await validateContent(path.resolve(config.root, dir), { root: config.root });
+
+      warnings.forEach(({ file, message }) => this.warn(`${file}: ${message}`));
+
+      if (errors.length > 0) {
+        this.error(`Content validation failed:\n${formatContentReport({ errors, warnings: [] })}\nRun \`npm run validate-content\` for the full report.`);
+      }
+    },
+  };
+};
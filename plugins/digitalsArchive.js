@@ -0,0 +1,142 @@
+import path from 'node:path';
+import { crc32 } from 'node:zlib';
+import sharp from 'sharp';
+import { scanCatalog } from './contentScan.js';
+import { DIGITALS_PATH, getDigitalSetArchiveName, getDigitalSetArchivePath } from '../src/lib/digitals.js';
+import { getHeroPhotoPaths } from '../src/lib/hero.js';
+import { withBase } from '../src/lib/router.js';
+import { HERO } from '../src/hero.js';
+import { SITE } from '../src/siteConfig.js';
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * A minimal zip writer: entries are stored uncompressed, which is all JPEGs
+ * need. `entries` are `{ name, data }` with `data` a Buffer.
+ */
+export const createZip = (entries, modified = new Date()) => {
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const checksum = crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+// Full-size JPEGs re-encoded without metadata, so no GPS or camera serials
+// travel with the download.
+const renderArchive = async (set) => {
+  const folder = getDigitalSetArchiveName(SITE.name, set.id);
+  const entries = [];
+
+  for (const photo of set.photos) {
+    const data = await sharp(photo.file).rotate().jpeg({ quality: 92, mozjpeg: true }).toBuffer();
+    entries.push({ name: `${folder}/${path.parse(photo.file).name}.jpg`, data });
+  }
+
+  return createZip(entries);
+};
+
+/**
+ * One zip per digitals set at /digitals/<set>.zip, built on request in dev
+ * and emitted for every set at build time.
+ */
+export const digitalsArchive = ({ dir = "src/assets/photos" } = {}) => {
+  let photoDir;
+
+  const findSet = async (setId) => {
+    const { digitalSets } = await scanCatalog(photoDir, { exclude: getHeroPhotoPaths(HERO) });
+    return digitalSets.find((set) => set.id === setId) ?? null;
+  };
+
+  return {
+    name: "digitals-archive",
+
+    configResolved(config) {
+      photoDir = path.resolve(config.root, dir);
+    },
+
+    configureServer(server) {
+      server.middlewares.use(withBase(`${DIGITALS_PATH}/`, server.config.base), async (req, res, next) => {
+        const match = req.url.split("?")[0].match(/^\/([^/]+)\.zip$/);
+
+        if (!match) {
+          next();
+          return;
+        }
+
+        try {
+          const set = await findSet(decodeURIComponent(match[1]));
+
+          if (!set) {
+            next();
+            return;
+          }
+
+          res.setHeader("Content-Type", "application/zip");
+          res.end(await renderArchive(set));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+
+    async generateBundle() {
+      const { digitalSets } = await scanCatalog(photoDir, { exclude: getHeroPhotoPaths(HERO) });
+
+      for (const set of digitalSets) {
+        this.emitFile({
+          type: "asset",
+          fileName: getDigitalSetArchivePath(set.id).slice(1),
+          source: await renderArchive(set),
+        });
+      }
+    },
+  };
+};
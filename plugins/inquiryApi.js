@@ -0,0 +1,30 @@
+import { loadEnv } from 'vite';
+import { INQUIRY_ENDPOINT } from '../src/lib/inquiry.js';
+import { createDeliveryFromEnv } from '../server/delivery/index.js';
+import { createInquiryHandler } from '../server/inquiryHandler.js';
+
+/**
+ * Mounts the booking inquiry endpoint on the dev and preview servers, using
+ * the delivery adapter configured in .env / .env.local (JSON file by default).
+ */
+export const inquiryApi = () => {
+  let handler;
+
+  const mount = (server) => {
+    // Anything the handler throws goes to Vite's error page, not the process.
+    server.middlewares.use(INQUIRY_ENDPOINT, (req, res, next) => handler(req, res).catch(next));
+  };
+
+  return {
+    name: "inquiry-api",
+    apply: "serve",
+
+    configResolved(config) {
+      const env = { ...loadEnv(config.mode, config.root, "INQUIRY_"), ...process.env };
+      handler = createInquiryHandler({ delivery: createDeliveryFromEnv(env, { root: config.root }) });
+    },
+
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+};
@@ -0,0 +1,130 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readJsonBody, sendJson } from '../server/http.js';
+import { PHOTO_ROOT_PREFIX } from '../src/lib/catalog.js';
+import { DIGITALS_FOLDER } from '../src/lib/digitals.js';
+import { isFocusPoint, PHOTO_CROPS, PHOTO_FOCUS_ENDPOINT } from '../src/lib/photoFocus.js';
+import { PHOTO_META_FILE } from '../src/lib/photoMeta.js';
+
+const SHOOT_CONTENT_FILE = "shoot.json";
+
+// Two-space JSON like the hand-written files, with lists of plain values and
+// points kept on one line.
+const formatJson = (value) =>
+  `${JSON.stringify(value, null, 2)
+    .replace(/\[\n\s+([^[\]{}]*?)\n\s*\]/g, (match, items) => `[${items.split(/,\n\s+/).join(", ")}]`)
+    .replace(/\{\n\s+("x": [\d.]+),\n\s+("y": [\d.]+)\n\s*\}/g, "{ $1, $2 }")}\n`;
+
+const readJsonFile = async (file) => {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+
+    throw error;
+  }
+};
+
+// Where a photo's focal points are kept: its shoot's shoot.json, keyed by
+// the path inside the shoot folder, or the photos.json next to a digital.
+const getMetaLocation = (photoDir, photoPath) => {
+  const parts = photoPath.slice(PHOTO_ROOT_PREFIX.length).split("/");
+
+  if (parts.length < 2 || parts.some((part) => !part || part === "." || part === "..")) {
+    return null;
+  }
+
+  if (parts[0].toLowerCase() === DIGITALS_FOLDER) {
+    return { file: path.join(photoDir, ...parts.slice(0, -1), PHOTO_META_FILE), key: parts[parts.length - 1] };
+  }
+
+  return { file: path.join(photoDir, parts[0], SHOOT_CONTENT_FILE), key: parts.slice(1).join("/") };
+};
+
+// Sets or, with a null `focus`, removes one point and prunes what is left empty.
+const updatePhotoMeta = (content, key, target, focus) => {
+  const photos = { ...content.photos };
+  const meta = { ...photos[key] };
+
+  if (target === "focus") {
+    meta.focus = focus ?? undefined;
+  } else {
+    meta.crops = { ...meta.crops, [target]: focus ?? undefined };
+
+    if (Object.values(meta.crops).every((value) => value === undefined)) {
+      meta.crops = undefined;
+    }
+  }
+
+  photos[key] = Object.values(meta).some((value) => value !== undefined) ? meta : undefined;
+
+  return { ...content, photos: Object.values(photos).some((value) => value !== undefined) ? photos : undefined };
+};
+
+/**
+ * Dev-only endpoint behind the focal point picker: POST `{ path, target,
+ * focus }` with the photo's app path, "focus" or a crop name, and `{ x, y }`
+ * (or null to clear). The point is written to the shoot.json or photos.json
+ * that holds the photo's metadata, which Vite then hot-reloads.
+ */
+export const photoFocusEditor = ({ dir = "src/assets/photos" } = {}) => {
+  let photoDir;
+
+  return {
+    name: "photo-focus-editor",
+    apply: "serve",
+
+    configResolved(config) {
+      photoDir = path.resolve(config.root, dir);
+    },
+
+    configureServer(server) {
+      server.middlewares.use(PHOTO_FOCUS_ENDPOINT, async (req, res) => {
+        if (req.method !== "POST") {
+          sendJson(res, 405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
+          return;
+        }
+
+        let body;
+
+        try {
+          body = await readJsonBody(req);
+        } catch (error) {
+          sendJson(res, error.status ?? 400, { ok: false, error: error.message });
+          return;
+        }
+
+        const location = typeof body.path === "string" && body.path.startsWith(PHOTO_ROOT_PREFIX)
+          ? getMetaLocation(photoDir, body.path)
+          : null;
+
+        if (!location) {
+          sendJson(res, 400, { ok: false, error: "Only photos in a shoot or digitals folder have focal points; the hero's are in src/hero.js." });
+          return;
+        }
+
+        if (body.target !== "focus" && !PHOTO_CROPS.includes(body.target)) {
+          sendJson(res, 400, { ok: false, error: `target must be "focus" or one of ${PHOTO_CROPS.join(", ")}.` });
+          return;
+        }
+
+        if (body.focus !== null && !isFocusPoint(body.focus)) {
+          sendJson(res, 400, { ok: false, error: "focus must be { x, y } in percent, or null." });
+          return;
+        }
+
+        const focus = body.focus && { x: Math.round(body.focus.x), y: Math.round(body.focus.y) };
+
+        try {
+          const content = await readJsonFile(location.file);
+          await writeFile(location.file, formatJson(updatePhotoMeta(content, location.key, body.target, focus)));
+          sendJson(res, 200, { ok: true, file: path.relative(server.config.root, location.file) });
+        } catch (error) {
+          sendJson(res, 500, { ok: false, error: `Couldn't update ${path.basename(location.file)}: ${error.message}` });
+        }
+      });
+    },
+  };
+};
@@ -0,0 +1,125 @@
+import path from 'node:path';
+import sharp from 'sharp';
+import { listPhotoFiles, listVideoFiles, PHOTO_FILE_RE, toPhotoKey } from './contentScan.js';
+import { readPhotoMetadata } from './photoMetadata.js';
+import { extractPosterFrame, getVideoDuration } from './videoProbe.js';
+import { getWatermarkParams } from './watermark.js';
+import { VIDEO_FILE_RE } from '../src/lib/catalog.js';
+
+const VIRTUAL_ID = "virtual:photo-manifest";
+const RESOLVED_VIRTUAL_ID = `\0${VIRTUAL_ID}`;
+const LQIP_WIDTH = 24;
+// Posters go through vite-imagetools like any other photo.
+const POSTER_QUERY = "w=480;960;1600&format=avif;webp;jpg&as=picture";
+
+export const describePhoto = async (file) => {
+  const { autoOrient } = await sharp(file).metadata();
+  const { width, height } = autoOrient;
+  const lqipBuffer = await sharp(file)
+    .rotate()
+    .resize(LQIP_WIDTH)
+    .blur(1)
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width,
+    height,
+    aspectRatio: Number((width / height).toFixed(4)),
+    orientation: width > height ? "landscape" : "portrait",
+    lqip: `data:image/webp;base64,${lqipBuffer.toString("base64")}`,
+  };
+};
+
+/**
+ * Exposes `virtual:photo-manifest`: dimensions, orientation and a tiny blurred
+ * placeholder for every photo under `dir`, keyed the same way as the
+ * `import.meta.glob` keys in App (`./assets/photos/...`). Photos also carry
+ * whatever `capturedAt`, `credit`, `copyright` and `caption` their EXIF/IPTC
+ * holds (see photoMetadata); nothing else from the file's metadata is exposed.
+ *
+ * Videos get the same fields, measured from a poster frame pulled at build
+ * time, plus `kind: "video"`, `duration` (seconds), `mimeType` and a `loader`
+ * that resolves the poster's `picture`, so anything that can show a photo
+ * can show a clip's poster.
+ */
+export const photoManifest = ({ dir = "src/assets/photos" } = {}) => {
+  let photoDir;
+  let posterDir;
+  let manifestPromise = null;
+
+  const buildManifest = async () => {
+    const manifest = {};
+    const posters = {};
+
+    for (const file of await listPhotoFiles(photoDir)) {
+      manifest[toPhotoKey(photoDir, file)] = {
+        ...(await describePhoto(file)),
+        ...(await readPhotoMetadata(file)),
+      };
+    }
+
+    for (const file of await listVideoFiles(photoDir)) {
+      const key = toPhotoKey(photoDir, file);
+      const duration = await getVideoDuration(file);
+      const posterFile = await extractPosterFrame(file, posterDir, { duration });
+      // Posters live in the cache, outside their shoot, so the shoot's
+      // watermark has to be asked for explicitly.
+      const watermarkParams = await getWatermarkParams(photoDir, file);
+
+      manifest[key] = {
+        ...(await describePhoto(posterFile)),
+        kind: "video",
+        duration,
+        mimeType: `video/${path.extname(file).slice(1).toLowerCase()}`,
+      };
+      posters[key] = `${posterFile}?${watermarkParams.size > 0 ? `${POSTER_QUERY}&${watermarkParams}` : POSTER_QUERY}`;
+    }
+
+    return [
+      `const manifest = ${JSON.stringify(manifest)};`,
+      ...Object.entries(posters).map(
+        ([key, posterId]) =>
+          `manifest[${JSON.stringify(key)}].loader = () => import(${JSON.stringify(posterId)}).then((module) => module.default);`
+      ),
+      "export default manifest;",
+    ].join("\n");
+  };
+
+  return {
+    name: "photo-manifest",
+
+    configResolved(config) {
+      photoDir = path.resolve(config.root, dir);
+      posterDir = path.join(config.cacheDir, "video-posters");
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : undefined;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_VIRTUAL_ID) {
+        return undefined;
+      }
+
+      manifestPromise ??= buildManifest();
+      return manifestPromise;
+    },
+
+    configureServer(server) {
+      server.watcher.on("all", (event, file) => {
+        if (!file.startsWith(photoDir) || !(PHOTO_FILE_RE.test(file) || VIDEO_FILE_RE.test(file))) {
+          return;
+        }
+
+        manifestPromise = null;
+        const manifestModule = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_ID);
+
+        if (manifestModule) {
+          server.reloadModule(manifestModule);
+        }
+      });
+    },
+  };
+};
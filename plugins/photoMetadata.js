@@ -0,0 +1,87 @@
+import path from 'node:path';
+import exifr from 'exifr';
+import sharp from 'sharp';
+
+// Camera and phone defaults that say nothing about the picture.
+const GENERIC_CAPTION_RE = /^(screenshot|olympus digital camera|sony dsc|digital camera|default|untitled)$/i;
+const EMITTED_IMAGE_RE = /\.(avif|jpe?g|png|tiff?|webp)$/i;
+
+// XMP values may be language alternatives ({ lang, value }) or ordered lists.
+const toText = (value) => {
+  if (Array.isArray(value)) {
+    return toText(value[0]);
+  }
+
+  if (value && typeof value === "object") {
+    return toText(value.value);
+  }
+
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+};
+
+// Accepts "2026:01:16 12:49:03" (EXIF), "20260116" (IPTC) and ISO strings (XMP).
+const toIsoDate = (value) => {
+  const match = toText(value)?.match(/^(\d{4})[:-]?(\d{2})[:-]?(\d{2})/);
+
+  return match && Number(match[1]) > 0 ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const firstOf = (values, convert = toText) => values.map(convert).find(Boolean) ?? null;
+
+/**
+ * Reads the public-facing EXIF/IPTC/XMP fields of a photo: `capturedAt`
+ * ("YYYY-MM-DD"), `credit`, `copyright` and `caption`. Anything missing is
+ * left out. GPS, camera serials and the like are never read, so they can't
+ * end up in the manifest.
+ */
+export const readPhotoMetadata = async (file) => {
+  const segments = await exifr
+    .parse(file, { tiff: true, exif: true, iptc: true, xmp: true, gps: false, reviveValues: false, mergeOutput: false })
+    .catch(() => null);
+  const { ifd0 = {}, exif = {}, iptc = {}, xmp = {}, dc = {}, photoshop = {} } = segments ?? {};
+  const caption = firstOf([ifd0.ImageDescription, iptc.Caption, dc.description]);
+  const metadata = {
+    capturedAt: firstOf([exif.DateTimeOriginal, exif.CreateDate, iptc.DateCreated, photoshop.DateCreated, xmp.CreateDate], toIsoDate),
+    credit: firstOf([ifd0.Artist, iptc.Byline, dc.creator]),
+    copyright: firstOf([ifd0.Copyright, iptc.CopyrightNotice, dc.rights]),
+    caption: caption && !GENERIC_CAPTION_RE.test(caption) ? caption : null,
+  };
+
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value));
+};
+
+/**
+ * Last line of defence for published photos: vite-imagetools and the other
+ * sharp pipelines already drop metadata, but any emitted image that still
+ * carries EXIF, IPTC or XMP (GPS, serials, owner names) is re-encoded
+ * without it and reported.
+ */
+export const stripPhotoMetadata = () => ({
+  name: "strip-photo-metadata",
+  apply: "build",
+
+  generateBundle: {
+    order: "post",
+    async handler(_options, bundle) {
+      for (const asset of Object.values(bundle)) {
+        if (asset.type !== "asset" || !EMITTED_IMAGE_RE.test(asset.fileName)) {
+          continue;
+        }
+
+        const source = Buffer.from(asset.source);
+        const { exif, iptc, xmp, format } = await sharp(source).metadata();
+
+        if (!exif && !iptc && !xmp) {
+          continue;
+        }
+
+        // sharp writes no metadata unless asked to. AVIF reports as "heif".
+        const outputFormat = format === "heif" ? "avif" : format;
+        asset.source = await sharp(source)
+          .toFormat(outputFormat, outputFormat === "png" ? {} : { quality: 90 })
+          .toBuffer();
+        this.warn(`Stripped EXIF/IPTC/XMP from ${path.basename(asset.fileName)}`);
+      }
+    },
+  },
+});
@@ -0,0 +1,300 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { findHeroFile, scanCatalog } from './contentScan.js';
+import { createWatermarkLayer } from './watermark.js';
+import { COMP_CARD_PATH } from '../src/lib/compCard.js';
+import { formatDigitalSetDate, getDigitalSetArchivePath, getDigitalSetPath } from '../src/lib/digitals.js';
+import { getHeroPhotoPaths } from '../src/lib/hero.js';
+import { createTranslator, DEFAULT_LOCALE, LOCALE_CODES, LOCALES, localizeShoot } from '../src/lib/i18n.js';
+import { PORTFOLIO_PATH } from '../src/lib/portfolioFilters.js';
+import { withBase, withLocale } from '../src/lib/router.js';
+import { HERO } from '../src/hero.js';
+import { SITE } from '../src/siteConfig.js';
+
+const OG_IMAGE_WIDTH = 1200;
+const OG_IMAGE_HEIGHT = 630;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// JSON-LD sits inside a <script>, so only "</" needs neutralising.
+const toJsonLd = (data) => JSON.stringify(data).replace(/<\//g, "<\\/");
+
+// Share cards of protected shoots carry the same watermark as the gallery.
+const writeOgImage = async (sourceFile, outDir, name, watermark) => {
+  const fileName = `og/${name}.jpg`;
+  const target = path.join(outDir, fileName);
+  const image = sharp(sourceFile)
+    .rotate()
+    .resize(OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT, { fit: "cover", position: "attention" });
+
+  if (watermark) {
+    image.composite([createWatermarkLayer(OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT, watermark)]);
+  }
+
+  await mkdir(path.dirname(target), { recursive: true });
+  await image
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toFile(target);
+
+  return fileName;
+};
+
+const renderHead = ({ title, description, url, locale, alternates, imageUrl, jsonLd }) =>
+  [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    ...alternates.map(({ hreflang, href }) => `<link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(href)}" />`),
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:locale" content="${LOCALES[locale].intl.replace("-", "_")}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(SITE.name)}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    imageUrl && `<meta property="og:image" content="${escapeHtml(imageUrl)}" />`,
+    imageUrl && `<meta property="og:image:width" content="${OG_IMAGE_WIDTH}" />`,
+    imageUrl && `<meta property="og:image:height" content="${OG_IMAGE_HEIGHT}" />`,
+    `<meta name="twitter:card" content="${imageUrl ? "summary_large_image" : "summary"}" />`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}" />`,
+    imageUrl && `<meta name="twitter:image" content="${escapeHtml(imageUrl)}" />`,
+    ...jsonLd.map((data) => `<script type="application/ld+json">${toJsonLd(data)}</script>`),
+  ]
+    .filter(Boolean)
+    .join("\n    ");
+
+// Crawlers and link unfurlers that skip JavaScript still get the basics.
+const renderNoscript = ({ heading, description, links }) =>
+  `<noscript><main><h1>${escapeHtml(heading)}</h1><p>${escapeHtml(description)}</p><ul>${links
+    .map(({ href, label }) => `<li><a href="${escapeHtml(href)}">${escapeHtml(label)}</a></li>`)
+    .join("")}</ul></main></noscript>`;
+
+const renderPage = (template, page) =>
+  template
+    .replace(/<html lang="[^"]*">/, `<html lang="${page.locale}">`)
+    .replace(/\s*<title>[\s\S]*?<\/title>/, "")
+    .replace(/\s*<meta name="description"[^>]*>/, "")
+    .replace("</head>", `  ${renderHead(page)}\n  </head>`)
+    .replace(/<div id="root"><\/div>/, `<div id="root"></div>\n    ${renderNoscript(page)}`);
+
+const renderSitemap = (pages) =>
+  [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+    ...pages.map(({ url, lastModified }) =>
+      `  <url><loc>${escapeHtml(url)}</loc>${lastModified ? `<lastmod>${lastModified}</lastmod>` : ""}</url>`
+    ),
+    `</urlset>`,
+    "",
+  ].join("\n");
+
+/**
+ * Writes a static HTML entry for `/` and every shoot route (including the
+ * per-photo lightbox URLs) so deep links resolve on a plain static host, each
+ * with its own title, description, OpenGraph/Twitter card and JSON-LD. Every
+ * page is written once per locale ("/de/portfolio/…") with hreflang links
+ * between the copies. Also emits sitemap.xml, robots.txt and a noindex
+ * 404.html shell.
+ *
+ * `siteUrl` must be the public origin; absolute URLs are required by
+ * OpenGraph and sitemaps.
+ */
+export const prerender = ({ siteUrl, dir = "src/assets/photos" } = {}) => {
+  let config;
+
+  return {
+    name: "prerender",
+    apply: "build",
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    async writeBundle(options, bundle) {
+      const template = bundle["index.html"]?.source;
+
+      if (typeof template !== "string") {
+        return;
+      }
+
+      if (!siteUrl) {
+        this.warn("SITE_URL is not set; OpenGraph tags and the sitemap will use http://localhost.");
+      }
+
+      const origin = (siteUrl || "http://localhost").replace(/\/+$/, "");
+      const toPath = (pathname) => withBase(pathname, config.base);
+      const toUrl = (pathname) => `${origin}${toPath(pathname)}`;
+      const outDir = options.dir;
+      const photoDir = path.resolve(config.root, dir);
+      const { shoots, digitalSets } = await scanCatalog(photoDir, { exclude: getHeroPhotoPaths(HERO) });
+      const heroFile = await findHeroFile(photoDir);
+      const homeImage = heroFile && (await writeOgImage(heroFile, outDir, "home").catch(() => null));
+
+      const person = {
+        "@type": "Person",
+        name: SITE.name,
+        jobTitle: SITE.tagline.split("/").map((title) => title.trim()),
+        url: toUrl("/"),
+        email: `mailto:${SITE.email}`,
+        sameAs: [SITE.instagramUrl],
+        ...(homeImage ? { image: toUrl(`/${homeImage}`) } : {}),
+      };
+
+      const ogImages = new Map();
+
+      for (const shoot of shoots) {
+        ogImages.set(shoot.id, await writeOgImage(shoot.image.file, outDir, shoot.routeSlug, shoot.protection?.watermark));
+      }
+
+      // `pathname` is the app path; links are already locale-prefixed.
+      const buildPages = (locale) => {
+        const t = createTranslator(locale);
+        const toLocalePath = (pathname) => withLocale(pathname, locale);
+        const localizedShoots = shoots.map((shoot) => localizeShoot(shoot, locale));
+        const shootLinks = localizedShoots.map((shoot) => ({ href: toLocalePath(`/portfolio/${shoot.routeSlug}`), label: shoot.title }));
+        const pages = [
+          {
+            pathname: "/",
+            title: `${SITE.name} — ${t("site.tagline")}`,
+            heading: SITE.name,
+            description: t("site.description", { name: SITE.name }),
+            imageUrl: homeImage && toUrl(`/${homeImage}`),
+            jsonLd: [{ "@context": "https://schema.org", ...person }],
+            links: shootLinks,
+          },
+          {
+            pathname: PORTFOLIO_PATH,
+            title: `${t("meta.portfolio")} — ${SITE.name}`,
+            heading: t("meta.portfolioHeading", { name: SITE.name }),
+            description: t("meta.portfolioDescription", { name: SITE.name }),
+            imageUrl: homeImage && toUrl(`/${homeImage}`),
+            jsonLd: [{ "@context": "https://schema.org", ...person }],
+            links: shootLinks,
+          },
+          {
+            pathname: COMP_CARD_PATH,
+            title: `${t("meta.compCard")} — ${SITE.name}`,
+            heading: t("meta.compCardHeading", { name: SITE.name }),
+            description: t("meta.compCardDescription", { name: SITE.name }),
+            imageUrl: homeImage && toUrl(`/${homeImage}`),
+            jsonLd: [{ "@context": "https://schema.org", ...person }],
+            links: [{ href: "/comp-card.pdf", label: t("meta.compCardPdf") }],
+          },
+        ];
+
+        // The current set lives at /digitals, older ones at /digitals/<set>.
+        digitalSets.forEach((set, index) => {
+          const setDate = set.date ? formatDigitalSetDate(set.date, LOCALES[locale].intl) : t("digitals.undated");
+
+          pages.push({
+            pathname: getDigitalSetPath(index === 0 ? null : set.id),
+            title: index === 0 ? `${t("meta.digitals")} — ${SITE.name}` : `${t("meta.digitals")} ${setDate} — ${SITE.name}`,
+            heading: `${t("meta.digitals")} — ${setDate}`,
+            description: t("meta.digitalsDescription", { name: SITE.name }),
+            imageUrl: homeImage && toUrl(`/${homeImage}`),
+            lastModified: set.date,
+            jsonLd: [{ "@context": "https://schema.org", ...person }],
+            links: [
+              { href: getDigitalSetArchivePath(set.id), label: t("digitals.download") },
+              ...digitalSets
+                .filter((other) => other !== set)
+                .map((other) => ({
+                  href: toLocalePath(getDigitalSetPath(other === digitalSets[0] ? null : other.id)),
+                  label: other.date ? formatDigitalSetDate(other.date, LOCALES[locale].intl) : t("digitals.undated"),
+                })),
+            ],
+          });
+        });
+
+        localizedShoots.forEach((shoot) => {
+          const shootPath = `/portfolio/${shoot.routeSlug}`;
+          const ogImage = ogImages.get(shoot.id);
+          const shootPage = {
+            pathname: shootPath,
+            title: `${shoot.title} — ${SITE.name}`,
+            heading: shoot.title,
+            description: shoot.description,
+            imageUrl: toUrl(`/${ogImage}`),
+            lastModified: shoot.date,
+            jsonLd: [
+              {
+                "@context": "https://schema.org",
+                "@type": "ImageGallery",
+                name: shoot.title,
+                description: shoot.description,
+                inLanguage: LOCALES[locale].intl,
+                url: toUrl(toLocalePath(shootPath)),
+                image: toUrl(`/${ogImage}`),
+                ...(shoot.date ? { datePublished: shoot.date } : {}),
+                about: person,
+              },
+            ],
+            links: [{ href: toLocalePath("/"), label: SITE.name }],
+          };
+
+          pages.push(shootPage);
+          shoot.gallery.forEach((photo, index) => {
+            pages.push({
+              ...shootPage,
+              pathname: `${shootPath}/${index + 1}`,
+              title: `${shoot.title} ${index + 1} — ${SITE.name}`,
+              isPhotoPage: true,
+            });
+          });
+        });
+
+        return pages.map((page) => ({ ...page, locale }));
+      };
+
+      const pages = LOCALE_CODES.flatMap(buildPages);
+
+      // x-default points search engines at the unprefixed English page.
+      const getAlternates = (pathname) => [
+        ...LOCALE_CODES.map((code) => ({ hreflang: code, href: toUrl(withLocale(pathname, code)) })),
+        { hreflang: "x-default", href: toUrl(withLocale(pathname, DEFAULT_LOCALE)) },
+      ];
+
+      for (const page of pages) {
+        const localePath = withLocale(page.pathname, page.locale);
+        const target = path.join(outDir, localePath, "index.html");
+        await mkdir(path.dirname(target), { recursive: true });
+        await writeFile(
+          target,
+          renderPage(template, {
+            ...page,
+            url: toUrl(localePath),
+            alternates: getAlternates(page.pathname),
+            links: page.links.map((link) => ({ ...link, href: toPath(link.href) })),
+          })
+        );
+      }
+
+      const sitemapPages = pages
+        .filter((page) => !page.isPhotoPage)
+        .map((page) => ({ url: toUrl(withLocale(page.pathname, page.locale)), lastModified: page.lastModified }));
+
+      // Static hosts serve 404.html for unknown paths; booting the app there
+      // lets private galleries and the in-app "not found" view still work.
+      // Titled like the app titles its own 404, in the default locale.
+      const notFoundTitle = `${createTranslator(DEFAULT_LOCALE)("meta.notFound")} — ${SITE.name}`;
+      await writeFile(
+        path.join(outDir, "404.html"),
+        template
+          .replace(/\s*<title>[\s\S]*?<\/title>/, "")
+          .replace(/\s*<meta name="description"[^>]*>/, "")
+          .replace("</head>", `  <title>${escapeHtml(notFoundTitle)}</title>\n    <meta name="robots" content="noindex" />\n  </head>`)
+      );
+      await writeFile(path.join(outDir, "sitemap.xml"), renderSitemap(sitemapPages));
+      await writeFile(
+        path.join(outDir, "robots.txt"),
+        `User-agent: *\nAllow: /\n\nSitemap: ${toUrl("/sitemap.xml")}\n`
+      );
+    },
+  };
+};
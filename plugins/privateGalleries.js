@@ -0,0 +1,177 @@
+import { createHash } from 'node:crypto';
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { scanCatalog } from './contentScan.js';
+import { isVideo } from '../src/lib/catalog.js';
+import { describePhoto } from './photoManifest.js';
+import { createWatermarkLayer } from './watermark.js';
+import { encryptPayload, getEnvelopeId, isExpired, PRIVATE_PATH_PREFIX } from '../src/lib/privateAccess.js';
+import { withBase } from '../src/lib/router.js';
+
+const PHOTO_WIDTHS = [960, 1600];
+
+const readAccess = async (privateDir, folderName) => {
+  try {
+    const content = JSON.parse(await readFile(path.join(privateDir, folderName, "shoot.json"), "utf8"));
+    return content.access ?? {};
+  } catch {
+    return {};
+  }
+};
+
+// Files are named by content hash: unguessable, and only ever referenced from
+// inside the encrypted envelopes.
+// Protected shoots are watermarked here too, just like public ones.
+const renderPhoto = async (file, files, base, watermark) => {
+  const description = await describePhoto(file);
+  const variants = [];
+
+  for (const width of PHOTO_WIDTHS.filter((item, index) => index === 0 || item <= description.width)) {
+    const outputWidth = Math.min(width, description.width);
+    const image = sharp(file).rotate().resize({ width, withoutEnlargement: true });
+
+    if (watermark) {
+      image.composite([createWatermarkLayer(outputWidth, Math.round(outputWidth / description.aspectRatio), watermark)]);
+    }
+
+    const buffer = await image.webp({ quality: 80 }).toBuffer();
+    const fileName = `${PRIVATE_PATH_PREFIX.slice(1)}${createHash("sha256").update(buffer).digest("hex").slice(0, 24)}.webp`;
+    files.set(fileName, buffer);
+    variants.push({ src: withBase(`/${fileName}`, base), width: outputWidth });
+  }
+
+  const largest = variants[variants.length - 1];
+
+  return {
+    path: `private:${path.basename(largest.src)}`,
+    ...description,
+    picture: {
+      sources: { webp: variants.map((variant) => `${variant.src} ${variant.width}w`).join(", ") },
+      img: { src: largest.src, w: largest.width, h: Math.round(largest.width / description.aspectRatio) },
+    },
+  };
+};
+
+/**
+ * Private, unlisted galleries.
+ *
+ * Put a dated shoot folder under `dir` (git-ignored, default
+ * src/assets/private) with the usual shoot.json plus an `access` block:
+ *
+ *   "access": { "key": "long-random-token", "password": "optional", "expires": "2026-12-31" }
+ *
+ * The gallery then opens at /portfolio/<slug>?key=<key>, or from the
+ * password prompt on /portfolio/<slug>. Nothing about it enters the public
+ * catalog, sitemap or prerendered pages; expired galleries are not emitted.
+ */
+export const privateGalleries = ({ dir = "src/assets/private" } = {}) => {
+  let privateDir;
+  let filesPromise = null;
+  let logger;
+  let base;
+
+  const buildFiles = async () => {
+    const files = new Map();
+
+    if (!(await stat(privateDir).catch(() => null))?.isDirectory()) {
+      return files;
+    }
+
+    const { shoots } = await scanCatalog(privateDir);
+
+    for (const shoot of shoots) {
+      const { key, password, expires } = await readAccess(privateDir, shoot.id);
+      const secrets = [key, password].filter(Boolean);
+
+      if (secrets.length === 0) {
+        logger.warn(`[private-galleries] ${shoot.id} has no access key or password; skipped.`);
+        continue;
+      }
+
+      if (isExpired(expires)) {
+        logger.info(`[private-galleries] ${shoot.id} expired on ${expires}; skipped.`);
+        continue;
+      }
+
+      const rendered = new Map();
+      const render = async (photo) => {
+        if (!rendered.has(photo.file)) {
+          rendered.set(photo.file, await renderPhoto(photo.file, files, base, shoot.protection?.watermark));
+        }
+
+        return rendered.get(photo.file);
+      };
+
+      const payload = {
+        ...shoot,
+        image: await render(shoot.image),
+        backgroundImage: await render(shoot.backgroundImage),
+        backgroundVideo: null,
+        gallery: [],
+        expires: expires ?? null,
+      };
+
+      // Private galleries are photo-only; clips are left out.
+      for (const photo of shoot.gallery.filter((item) => !isVideo(item))) {
+        payload.gallery.push(await render(photo));
+      }
+
+      for (const secret of secrets) {
+        const envelope = { expires: expires ?? null, ...(await encryptPayload(payload, secret)) };
+        files.set(`${PRIVATE_PATH_PREFIX.slice(1)}${await getEnvelopeId(shoot.routeSlug, secret)}.json`, JSON.stringify(envelope));
+      }
+    }
+
+    return files;
+  };
+
+  const getFiles = () => {
+    filesPromise ??= buildFiles();
+    return filesPromise;
+  };
+
+  return {
+    name: "private-galleries",
+
+    configResolved(config) {
+      privateDir = path.resolve(config.root, dir);
+      logger = config.logger;
+      base = config.base;
+    },
+
+    configureServer(server) {
+      server.watcher.add(privateDir);
+      server.watcher.on("all", (event, file) => {
+        if (file.startsWith(privateDir)) {
+          filesPromise = null;
+        }
+      });
+
+      server.middlewares.use(withBase(PRIVATE_PATH_PREFIX, base), async (req, res, next) => {
+        try {
+          const files = await getFiles();
+          const fileName = `${PRIVATE_PATH_PREFIX.slice(1)}${req.url.slice(1).split("?")[0]}`;
+
+          if (!files.has(fileName)) {
+            res.statusCode = 404;
+            res.end();
+            return;
+          }
+
+          res.setHeader("Content-Type", fileName.endsWith(".json") ? "application/json" : "image/webp");
+          res.setHeader("X-Robots-Tag", "noindex");
+          res.end(files.get(fileName));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+
+    async generateBundle() {
+      for (const [fileName, source] of await getFiles()) {
+        this.emitFile({ type: "asset", fileName, source });
+      }
+    },
+  };
+};
@@ -0,0 +1,46 @@
+import { execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import ffmpeg from '@ffmpeg-installer/ffmpeg';
+import ffprobe from '@ffprobe-installer/ffprobe';
+
+const run = promisify(execFile);
+
+// Seconds in, as a fraction of the clip, so the poster skips fade-ins.
+const POSTER_OFFSET = 0.1;
+const MAX_POSTER_OFFSET = 2;
+
+export const getVideoDuration = async (file) => {
+  const { stdout } = await run(ffprobe.path, [
+    "-v", "error",
+    "-show_entries", "format=duration",
+    "-of", "default=noprint_wrappers=1:nokey=1",
+    file,
+  ]);
+  const duration = Number.parseFloat(stdout);
+
+  return Number.isFinite(duration) ? Number(duration.toFixed(2)) : null;
+};
+
+/**
+ * Writes a JPEG poster frame for `file` into `cacheDir` and returns its path.
+ * Frames are keyed by the video's path, size and mtime, so unchanged clips
+ * are not decoded again. ffmpeg applies any rotation metadata itself.
+ */
+export const extractPosterFrame = async (file, cacheDir, { duration } = {}) => {
+  const { size, mtimeMs } = await stat(file);
+  const cacheKey = createHash("sha1").update(`${file}:${size}:${mtimeMs}`).digest("hex").slice(0, 16);
+  const target = path.join(cacheDir, `${cacheKey}.jpg`);
+
+  if (await stat(target).catch(() => null)) {
+    return target;
+  }
+
+  await mkdir(cacheDir, { recursive: true });
+  const offset = duration ? Math.min(duration * POSTER_OFFSET, MAX_POSTER_OFFSET) : 0;
+  await run(ffmpeg.path, ["-v", "error", "-y", "-ss", String(offset), "-i", file, "-frames:v", "1", "-q:v", "2", target]);
+
+  return target;
+};
@@ -0,0 +1,102 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { getMetadata } from 'vite-imagetools';
+import { resolveWatermark } from '../src/lib/protection.js';
+
+// One opaque directive carries every setting: imagetools splits directive
+// values on ";", and the whole value becomes part of its cache key.
+const DIRECTIVE = "watermark";
+const SHOOT_CONTENT_FILE = "shoot.json";
+
+const escapeXml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const encodeWatermark = (watermark) => Buffer.from(JSON.stringify(watermark)).toString("base64url");
+
+const decodeWatermark = (value) => JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+
+const GRAVITY = {
+  "bottom-right": "southeast",
+  "bottom-left": "southwest",
+  "top-right": "northeast",
+  "top-left": "northwest",
+  center: "centre",
+};
+
+/**
+ * A sharp composite layer that sets `text` in one corner (or the centre) of
+ * a `width` x `height` image, scaled to it and softened by `opacity`.
+ * Composite it after resizing so every width gets a legible mark. The layer
+ * is a strip a few pixels narrower than the image and placed by gravity,
+ * because the resized size reported before encoding can be a pixel off.
+ */
+export const createWatermarkLayer = (width, height, { text, position, opacity }) => {
+  const baseSize = Math.min(width, height) * 0.035;
+  // Long lines shrink so they still fit across the image.
+  const fontSize = Math.max(10, Math.round(Math.min(baseSize, (width * 0.8) / (text.length * 0.7))));
+  const margin = Math.round(fontSize * 1.2);
+  const layerWidth = Math.max(width - 2, 1);
+  const layerHeight = Math.max(Math.min(fontSize + margin * 2, height - 2), 1);
+  const horizontal = position === "center" ? "center" : position.split("-")[1];
+  const x = { left: margin, right: layerWidth - margin, center: layerWidth / 2 }[horizontal];
+  const anchor = { left: "start", right: "end", center: "middle" }[horizontal];
+  const textAttributes = `x="${x}" y="${layerHeight / 2}" dominant-baseline="central" text-anchor="${anchor}" font-family="sans-serif" font-size="${fontSize}" letter-spacing="${Math.round(fontSize * 0.15)}"`;
+
+  return {
+    input: Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${layerWidth}" height="${layerHeight}">` +
+        `<text ${textAttributes} dx="1" dy="1" fill="#000" fill-opacity="${opacity * 0.4}">${escapeXml(text)}</text>` +
+        `<text ${textAttributes} fill="#fff" fill-opacity="${opacity}">${escapeXml(text)}</text>` +
+        `</svg>`
+    ),
+    gravity: GRAVITY[position],
+  };
+};
+
+/**
+ * The watermark directive for `file` under `photoDir`, as query parameters:
+ * empty unless the file sits in a protected shoot. Files outside shoot
+ * folders (digitals, extracted video posters) name their shoot's file here.
+ */
+export const getWatermarkParams = async (photoDir, file) => {
+  const parts = path.relative(photoDir, file).split(path.sep);
+
+  if (parts[0] === ".." || parts.length < 2 || parts[0].toLowerCase() === "digitals") {
+    return new URLSearchParams();
+  }
+
+  const content = await readFile(path.join(photoDir, parts[0], SHOOT_CONTENT_FILE), "utf8")
+    .then(JSON.parse)
+    .catch(() => ({}));
+  const watermark = resolveWatermark(content.protection);
+
+  return new URLSearchParams(watermark ? { [DIRECTIVE]: encodeWatermark(watermark) } : {});
+};
+
+/**
+ * vite-imagetools `defaultDirectives` for photos under `dir`: every import of
+ * a photo in a protected shoot gets the watermark directive, whatever query
+ * it was imported with, so no unmarked variant is ever generated for it.
+ */
+export const watermarkDirectives = ({ dir = "src/assets/photos" } = {}) => {
+  const photoDir = path.resolve(dir);
+
+  return (url) => getWatermarkParams(photoDir, decodeURIComponent(url.pathname));
+};
+
+// imagetools transform for the directive above. It runs after the built-in
+// transforms, so the image metadata already holds the resized dimensions.
+export const watermarkTransform = (config, context) => {
+  if (!config[DIRECTIVE]) {
+    return undefined;
+  }
+
+  context.useParam(DIRECTIVE);
+  const watermark = decodeWatermark(config[DIRECTIVE]);
+
+  return (image) => image.composite([createWatermarkLayer(getMetadata(image, "width"), getMetadata(image, "height"), watermark)]);
+};
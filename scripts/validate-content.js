@@ -0,0 +1,11 @@
+// Checks the photo tree and prints every problem found, e.g. before
+// committing new shoots. Exits non-zero when there are errors; `vite build`
+// runs the same checks (plugins/contentValidation).
+import path from 'node:path';
+import { formatContentReport, validateContent } from '../plugins/contentValidation.js';
+
+const photoDir = path.resolve(process.argv[2] ?? "src/assets/photos");
+const report = await validateContent(photoDir);
+
+console.log(formatContentReport(report));
+process.exitCode = report.errors.length > 0 ? 1 : 0;
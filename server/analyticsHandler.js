@@ -0,0 +1,78 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { validateEvent } from '../src/lib/analytics.js';
+import { getClientKey, readJsonBody, sendJson } from './http.js';
+import { createRateLimiter } from './rateLimit.js';
+
+export const DEFAULT_ANALYTICS_FILE = ".data/events.jsonl";
+const MAX_EVENT_BYTES = 2 * 1024;
+
+/**
+ * Local analytics sink: appends each event as one JSON line, so the file can
+ * be tailed, grepped or streamed into a report without parsing it whole.
+ */
+export const createJsonLinesStore = ({ file }) => {
+  let queue = Promise.resolve();
+
+  const append = async (event) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    await appendFile(file, `${JSON.stringify(event)}\n`);
+  };
+
+  return {
+    name: "json-lines",
+    // Serialise writes so lines from concurrent requests never interleave.
+    record(event) {
+      queue = queue.catch(() => {}).then(() => append(event));
+      return queue;
+    },
+  };
+};
+
+/**
+ * Node `(req, res)` handler for POST /api/events. Stores validated events
+ * with a timestamp and nothing about the sender: the client address is only
+ * used, in memory, for rate limiting.
+ */
+export const createAnalyticsHandler = ({
+  store,
+  rateLimiter = createRateLimiter({ limit: 600, windowMs: 60 * 60 * 1000 }),
+  trustProxy = false,
+  logger = console,
+}) =>
+  async (req, res) => {
+    if (req.method !== "POST") {
+      sendJson(res, 405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
+      return;
+    }
+
+    let body;
+
+    try {
+      body = await readJsonBody(req, { maxBytes: MAX_EVENT_BYTES });
+    } catch (error) {
+      sendJson(res, error.status ?? 400, { ok: false, error: error.message });
+      return;
+    }
+
+    if (!rateLimiter.consume(getClientKey(req, trustProxy)).allowed) {
+      sendJson(res, 429, { ok: false, error: "Too many events." });
+      return;
+    }
+
+    const event = validateEvent(body);
+
+    if (!event) {
+      sendJson(res, 400, { ok: false, error: "Unknown event." });
+      return;
+    }
+
+    try {
+      await store.record({ ...event, receivedAt: new Date().toISOString() });
+      res.writeHead(204);
+      res.end();
+    } catch (error) {
+      logger.error(`[analytics] ${store.name} store failed:`, error);
+      sendJson(res, 500, { ok: false, error: "Event could not be stored." });
+    }
+  };
@@ -0,0 +1,41 @@
+import path from 'node:path';
+import { createJsonFileDelivery } from './jsonFile.js';
+import { createSmtpDelivery } from './smtp.js';
+import { createWebhookDelivery } from './webhook.js';
+
+const DEFAULT_FILE = ".data/inquiries.json";
+
+/**
+ * Picks the delivery adapter from environment variables:
+ *
+ *   INQUIRY_DELIVERY=file     INQUIRY_FILE (default .data/inquiries.json)
+ *   INQUIRY_DELIVERY=webhook  INQUIRY_WEBHOOK_URL, INQUIRY_WEBHOOK_SECRET
+ *   INQUIRY_DELIVERY=smtp     INQUIRY_SMTP_URL, INQUIRY_TO, INQUIRY_FROM
+ *
+ * Every adapter exposes `{ name, deliver(inquiry) }`.
+ */
+export const createDeliveryFromEnv = (env, { root = process.cwd() } = {}) => {
+  const kind = env.INQUIRY_DELIVERY || "file";
+
+  if (kind === "file") {
+    return createJsonFileDelivery({ file: path.resolve(root, env.INQUIRY_FILE || DEFAULT_FILE) });
+  }
+
+  if (kind === "webhook") {
+    if (!env.INQUIRY_WEBHOOK_URL) {
+      throw new Error("INQUIRY_WEBHOOK_URL is required for webhook delivery.");
+    }
+
+    return createWebhookDelivery({ url: env.INQUIRY_WEBHOOK_URL, secret: env.INQUIRY_WEBHOOK_SECRET });
+  }
+
+  if (kind === "smtp") {
+    if (!env.INQUIRY_SMTP_URL || !env.INQUIRY_TO) {
+      throw new Error("INQUIRY_SMTP_URL and INQUIRY_TO are required for SMTP delivery.");
+    }
+
+    return createSmtpDelivery({ url: env.INQUIRY_SMTP_URL, to: env.INQUIRY_TO, from: env.INQUIRY_FROM });
+  }
+
+  throw new Error(`Unknown INQUIRY_DELIVERY "${kind}". Use file, webhook or smtp.`);
+};
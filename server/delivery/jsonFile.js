@@ -0,0 +1,35 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Development/test sink: appends each inquiry to a JSON array on disk so
+ * submissions can be inspected without any mail setup.
+ */
+export const createJsonFileDelivery = ({ file }) => {
+  let queue = Promise.resolve();
+
+  const append = async (inquiry) => {
+    let inquiries = [];
+
+    try {
+      inquiries = JSON.parse(await readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    inquiries.push(inquiry);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, `${JSON.stringify(inquiries, null, 2)}\n`);
+  };
+
+  return {
+    name: "json-file",
+    // Serialise writes so concurrent submissions can't clobber each other.
+    deliver(inquiry) {
+      queue = queue.catch(() => {}).then(() => append(inquiry));
+      return queue;
+    },
+  };
+};
@@ -0,0 +1,21 @@
+/**
+ * POSTs each inquiry as JSON to a URL (Zapier, Make, Slack workflow, a
+ * serverless function...). Any non-2xx response counts as a failure.
+ */
+export const createWebhookDelivery = ({ url, secret }) => ({
+  name: "webhook",
+  async deliver(inquiry) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(secret ? { Authorization: `Bearer ${secret}` } : {}),
+      },
+      body: JSON.stringify(inquiry),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  },
+});
@@ -0,0 +1,57 @@
+// Small request/response helpers shared by the API handlers.
+const DEFAULT_MAX_BODY_BYTES = 32 * 1024;
+
+export const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Every endpoint takes a JSON object; `null`, arrays and bare values are a
+// 400 here so no handler has to guard against them.
+export const readJsonBody = (req, { maxBytes = DEFAULT_MAX_BODY_BYTES } = {}) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+
+      // Past the limit the rest is read and dropped rather than the socket
+      // destroyed, so the 413 still reaches the client.
+      if (size > maxBytes) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        chunks.length = 0;
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > maxBytes) {
+        return;
+      }
+
+      let body;
+
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+        return;
+      }
+
+      if (isPlainObject(body)) {
+        resolve(body);
+      } else {
+        reject(Object.assign(new Error("Expected a JSON object"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+
+export const getClientKey = (req, trustProxy) => {
+  const forwarded = trustProxy ? req.headers["x-forwarded-for"] : null;
+  return (forwarded ? forwarded.split(",")[0].trim() : req.socket.remoteAddress) || "unknown";
+};
@@ -0,0 +1,165 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ANALYTICS_ENDPOINT } from '../src/lib/analytics.js';
+import { INQUIRY_ENDPOINT } from '../src/lib/inquiry.js';
+import { stripBase } from '../src/lib/router.js';
+import { createAnalyticsHandler, createJsonLinesStore, DEFAULT_ANALYTICS_FILE } from './analyticsHandler.js';
+import { createDeliveryFromEnv } from './delivery/index.js';
+import { createInquiryHandler } from './inquiryHandler.js';
+
+// Minimal production server: serves the prerendered `dist/` build, the
+// booking inquiry endpoint and the analytics endpoint. Static hosts without
+// the API can still serve `dist/` on its own; the form then falls back to
+// the email link.
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const distDir = path.join(root, "dist");
+const port = Number(process.env.PORT) || 4173;
+// Match the BASE_PATH the site was built with.
+const basePath = process.env.BASE_PATH || "/";
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript",
+  ".css": "text/css",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".woff2": "font/woff2",
+  ".woff": "font/woff",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".xml": "application/xml",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+const resolveStaticFile = async (pathname) => {
+  const safePath = path.normalize(decodeURIComponent(pathname)).replace(/^(\.\.[/\\])+/, "");
+  const candidates = [path.join(distDir, safePath), path.join(distDir, safePath, "index.html")];
+
+  for (const candidate of candidates) {
+    if (!candidate.startsWith(distDir)) {
+      continue;
+    }
+
+    const info = await stat(candidate).catch(() => null);
+
+    if (info?.isFile()) {
+      return candidate;
+    }
+  }
+
+  // Unknown routes (including private galleries) get the noindex SPA shell,
+  // which renders its own 404 or unlock prompt.
+  return null;
+};
+
+const notFoundFile = path.join(distDir, "404.html");
+
+// Streams `file` (or a byte range of it); a read error, e.g. a file removed
+// mid-request, just drops the connection.
+const streamFile = (res, file, range) =>
+  createReadStream(file, range)
+    .on("error", () => res.destroy())
+    .pipe(res);
+
+// A single `bytes=` range as { start, end } (inclusive), null when the header
+// is absent or asks for several ranges (the whole file is sent instead), and
+// false when it cannot be satisfied. Safari won't play <video> without these.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() ?? "");
+
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  // "bytes=-500" is the last 500 bytes.
+  const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+
+  return start <= end && start < size ? { start, end } : false;
+};
+
+const handleInquiry = createInquiryHandler({
+  delivery: createDeliveryFromEnv(process.env, { root }),
+  trustProxy: process.env.TRUST_PROXY === "1",
+});
+
+// Target of VITE_ANALYTICS_SINK=file builds.
+const handleAnalytics = createAnalyticsHandler({
+  store: createJsonLinesStore({ file: path.resolve(root, process.env.ANALYTICS_FILE || DEFAULT_ANALYTICS_FILE) }),
+  trustProxy: process.env.TRUST_PROXY === "1",
+});
+
+const server = http.createServer(async (req, res) => {
+  // A failing request gets a 500; it must never take the process down.
+  try {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === INQUIRY_ENDPOINT) {
+      await handleInquiry(req, res);
+      return;
+    }
+
+    if (pathname === ANALYTICS_ENDPOINT) {
+      await handleAnalytics(req, res);
+      return;
+    }
+
+    const file = (await resolveStaticFile(stripBase(pathname, basePath))) ?? notFoundFile;
+    const headers = {
+      "Content-Type": MIME_TYPES[path.extname(file).toLowerCase()] ?? "application/octet-stream",
+    };
+
+    if (file === notFoundFile) {
+      res.writeHead(404, headers);
+      streamFile(res, file);
+      return;
+    }
+
+    const { size } = await stat(file);
+    const range = parseRange(req.headers.range, size);
+    headers["Accept-Ranges"] = "bytes";
+
+    if (range === false) {
+      res.writeHead(416, { ...headers, "Content-Range": `bytes */${size}` });
+      res.end();
+      return;
+    }
+
+    if (range) {
+      res.writeHead(206, {
+        ...headers,
+        "Content-Length": range.end - range.start + 1,
+        "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+      });
+      streamFile(res, file, range);
+      return;
+    }
+
+    res.writeHead(200, { ...headers, "Content-Length": size });
+    streamFile(res, file);
+  } catch (error) {
+    console.error(`[server] ${req.method} ${req.url} failed:`, error);
+
+    if (!res.headersSent) {
+      res.writeHead(500);
+    }
+
+    res.end();
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Serving dist/ on http://localhost:${port}`);
+});
@@ -0,0 +1,58 @@
+import { isHoneypotFilled, validateInquiry } from '../src/lib/inquiry.js';
+import { getClientKey, readJsonBody, sendJson } from './http.js';
+import { createRateLimiter } from './rateLimit.js';
+
+/**
+ * Node `(req, res)` handler for POST /api/inquiries. Validates with the same
+ * rules as the form, silently accepts honeypot hits without delivering them,
+ * rate-limits per client address and hands valid inquiries to `delivery`.
+ */
+export const createInquiryHandler = ({ delivery, rateLimiter = createRateLimiter(), trustProxy = false, logger = console }) =>
+  async (req, res) => {
+    if (req.method !== "POST") {
+      sendJson(res, 405, { ok: false, error: "Method not allowed." }, { Allow: "POST" });
+      return;
+    }
+
+    let body;
+
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, error.status ?? 400, { ok: false, error: error.message });
+      return;
+    }
+
+    // Report success so bots have no signal to adapt to.
+    if (isHoneypotFilled(body)) {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+
+    const { allowed, retryAfterMs } = rateLimiter.consume(getClientKey(req, trustProxy));
+
+    if (!allowed) {
+      sendJson(
+        res,
+        429,
+        { ok: false, error: "Too many inquiries from this connection. Please try again later or email directly." },
+        { "Retry-After": String(Math.ceil(retryAfterMs / 1000)) }
+      );
+      return;
+    }
+
+    const { values, errors } = validateInquiry(body);
+
+    if (Object.keys(errors).length > 0) {
+      sendJson(res, 400, { ok: false, error: "Please fix the highlighted fields.", errors });
+      return;
+    }
+
+    try {
+      await delivery.deliver({ ...values, receivedAt: new Date().toISOString() });
+      sendJson(res, 200, { ok: true });
+    } catch (error) {
+      logger.error(`[inquiries] ${delivery.name} delivery failed:`, error);
+      sendJson(res, 502, { ok: false, error: "Your inquiry couldn't be sent. Please email directly instead." });
+    }
+  };
@@ -0,0 +1,36 @@
+/**
+ * In-memory sliding-window limiter keyed by client address. Good enough for
+ * a single process; a multi-instance deploy should front it with the
+ * platform's own limiter.
+ */
+export const createRateLimiter = ({ limit = 5, windowMs = 60 * 60 * 1000 } = {}) => {
+  const hits = new Map();
+
+  const prune = (now) => {
+    hits.forEach((times, key) => {
+      if (now - times[times.length - 1] >= windowMs) {
+        hits.delete(key);
+      }
+    });
+  };
+
+  return {
+    // Records a hit and reports whether it is still within the limit.
+    consume(key, now = Date.now()) {
+      if (hits.size > 1000) {
+        prune(now);
+      }
+
+      const recent = (hits.get(key) ?? []).filter((time) => now - time < windowMs);
+
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+      }
+
+      recent.push(now);
+      hits.set(key, recent);
+      return { allowed: true, retryAfterMs: 0 };
+    },
+  };
+};
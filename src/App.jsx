@@ -1,289 +1,279 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { Menu, X, ArrowLeft } from 'lucide-react';
-import { motion as Motion, AnimatePresence } from 'framer-motion';
+import React, { lazy, Suspense, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Menu, X, ArrowLeft, Lock, Play } from 'lucide-react';
+import { motion as Motion, AnimatePresence, useReducedMotion } from 'framer-motion';
 import { Swiper, SwiperSlide } from 'swiper/react';
-import { A11y, EffectCreative, EffectFade, Navigation, Pagination } from 'swiper/modules';
-import { DEFAULT_PROJECT_CONTENT, PROJECT_CONTENT } from './projectContent';
+import { A11y, EffectCreative, EffectFade, Keyboard, Navigation, Pagination } from 'swiper/modules';
+import BookingForm from './components/BookingForm';
+import ColorSchemeToggle from './components/ColorSchemeToggle';
+import CompCard from './components/CompCard';
+import DigitalsPage from './components/DigitalsPage';
+import HeroBackdrop from './components/HeroBackdrop';
+import JustifiedGallery from './components/JustifiedGallery';
+import LazyPhoto from './components/LazyPhoto';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import LazyVideo from './components/LazyVideo';
+import Lightbox from './components/Lightbox';
+import Link from './components/Link';
+import PortfolioIndex from './components/PortfolioIndex';
+import PrivateGalleryUnlock from './components/PrivateGalleryUnlock';
+import ProjectPager from './components/ProjectPager';
+import RouteAnnouncer from './components/RouteAnnouncer';
+import { track } from './lib/analytics';
+import { buildCatalog, isVideo } from './lib/catalog';
+import { COMP_CARD_PATH, COMP_CARD_PDF_PATH, selectCompCardPhotos } from './lib/compCard';
+import { DIGITALS_PATH, getDigitalAlt } from './lib/digitals';
+import { formatDuration, toCounterValue } from './lib/format';
+import { buildGalleryRows, getGalleryColumns, getGalleryTileSizes } from './lib/galleryLayout';
+import { getHeroInterval, getHeroPhotoPaths, resolveHeroImages } from './lib/hero';
+import { localizeShoot } from './lib/i18n';
+import useColorScheme from './hooks/useColorScheme';
+import useFocusTrap from './hooks/useFocusTrap';
+import useI18n from './hooks/useI18n';
+import { MOBILE_QUERY } from './hooks/useMediaQuery';
+import usePersistentState from './hooks/usePersistentState';
+import usePrivateShoot from './hooks/usePrivateShoot';
+import useRouter from './hooks/useRouter';
+import useSwipe from './hooks/useSwipe';
+import { formatMeasurements, formatUpdatedDate, getLastUpdated, MEASUREMENT_UNITS } from './lib/measurements';
+import { getGalleryPhotoAlt, getPhotoAlt } from './lib/photoMeta';
+import { prefetchPhoto } from './lib/photoPrefetch';
+import { parsePortfolioQuery, PORTFOLIO_PATH, toPortfolioQuery } from './lib/portfolioFilters';
+import { formatExpiry } from './lib/privateAccess';
+import { getProjectPath, withBase } from './lib/router';
+import { getShootThemeStyle } from './lib/shootTheme';
+import { HERO } from './hero';
+import { MEASUREMENTS } from './measurements';
+import { SITE } from './siteConfig';
+import photoManifest from 'virtual:photo-manifest';
 import 'swiper/css';
 import 'swiper/css/effect-creative';
 import 'swiper/css/effect-fade';
 import 'swiper/css/navigation';
 import 'swiper/css/pagination';
 
-const HERO_PATH = "./assets/photos/A.Wachtendonk-17.JPG";
-const SHOOT_FOLDER_RE = /^(\d{4})-(\d{2})-(\d{2})-(.+)$/;
-const coverRegex = /^cover\.(jpg|jpeg|png)$/i;
-const PHOTO_ROOT_PREFIX = "./assets/photos/";
-const PROJECT_PATH_PREFIX = "/portfolio/";
-
+// Every photo is resized at build time into AVIF, WebP and JPEG at several
+// widths; loaders resolve to a vite-imagetools `picture` object.
 const photoLoaders = import.meta.glob("./assets/photos/**/*.{jpg,JPG,jpeg,png}", {
+  query: { w: "480;960;1600;2400", format: "avif;webp;jpg", as: "picture" },
   import: "default"
 });
 
-const toTitleCase = (value) =>
-  value
-    .split(/[\s_-]+/)
-    .filter(Boolean)
-    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(" ");
-
-const toCounterValue = (value) => value.toString().padStart(2, "0");
-
-const toRouteSlug = (value) =>
-  value
-    .toLowerCase()
-    .replace(/&/g, " and ")
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "");
-
-const normalizePathname = (value) => {
-  if (!value || value === "/") {
-    return "/";
-  }
-
-  const withLeadingSlash = value.startsWith("/") ? value : `/${value}`;
-  return withLeadingSlash.replace(/\/+$/, "") || "/";
-};
+// Clips inside shoot folders. Posters, dimensions and durations are extracted
+// at build time and come from the photo manifest.
+const videoUrls = import.meta.glob("./assets/photos/*/*.{mp4,webm,MP4,WEBM}", {
+  query: "?url",
+  import: "default",
+  eager: true
+});
 
-const getProjectSlugFromPathname = (pathname) => {
-  const match = pathname.match(/^\/portfolio\/([^/]+)\/?$/);
+// Per-shoot copy and credits, read from each dated folder's shoot.json.
+const shootContentFiles = import.meta.glob("./assets/photos/*/shoot.json", {
+  import: "default",
+  eager: true
+});
 
-  if (!match) {
-    return null;
-  }
+// Focal points for digitals, which have no shoot.json (see lib/photoFocus).
+const digitalsMetaFiles = import.meta.glob("./assets/photos/digitals/**/photos.json", {
+  import: "default",
+  eager: true
+});
 
-  try {
-    return decodeURIComponent(match[1]).toLowerCase();
-  } catch {
-    return match[1].toLowerCase();
-  }
+// `sizes` hints per layout so each slot fetches a width close to what it shows.
+const PHOTO_SIZES = {
+  hero: "100vw",
+  background: "100vw",
+  sliderCard: "(max-width: 768px) 96vw, 39rem",
+  digitalTall: "(min-width: 1024px) 22rem, 50vw",
+  digitalSquare: "(min-width: 1024px) 18rem, 50vw",
+  projectCover: "(min-width: 1024px) 45rem, 100vw",
 };
 
-const getProjectPath = (projectSlug) => `${PROJECT_PATH_PREFIX}${encodeURIComponent(projectSlug)}`;
-
-const getFolderDateValue = (folderName) => {
-  const match = folderName.match(SHOOT_FOLDER_RE);
-
-  if (!match) {
-    return Number.NEGATIVE_INFINITY;
-  }
+// How long a shoot page waits before fetching its neighbours' photos, so its
+// own go first.
+const PREFETCH_DELAY = 1000;
 
-  const [, year, month, day] = match;
-  return Date.UTC(Number(year), Number(month) - 1, Number(day));
-};
+// Dev only: Alt+click a photo to set its focal point (see lib/photoFocus).
+const FocusPicker = import.meta.env.DEV ? lazy(() => import('./components/FocusPicker')) : null;
 
-const LazyPhoto = React.memo(({ loader, alt, className, priority = false }) => {
-  const [src, setSrc] = useState(null);
-  const [shouldLoad, setShouldLoad] = useState(() => priority || typeof IntersectionObserver === 'undefined');
-  const imageRef = useRef(null);
+const HERO_PHOTO_PATHS = getHeroPhotoPaths(HERO);
+const HERO_INTERVAL = getHeroInterval(HERO);
 
-  useEffect(() => {
-    if (priority || shouldLoad) {
-      return undefined;
-    }
+const MEASUREMENTS_LAST_UPDATED = getLastUpdated(MEASUREMENTS);
+const COMP_CARD_MEASUREMENTS = formatMeasurements(MEASUREMENTS, "both");
 
-    const node = imageRef.current;
-
-    if (!node) {
-      return undefined;
-    }
+// Visitors outside the US most likely think in centimetres.
+const getDefaultMeasurementUnits = () => (navigator.language === "en-US" ? "imperial" : "metric");
 
-    const observer = new IntersectionObserver(
-      ([entry]) => {
-        if (entry?.isIntersecting) {
-          setShouldLoad(true);
-          observer.disconnect();
-        }
-      },
-      { rootMargin: '300px 0px' }
-    );
+// Pairs a loader with its build-time manifest entry (width, height,
+// aspectRatio, orientation, lqip) so layouts never have to probe the file.
+const toPhoto = (path, loader) => ({ path, loader, ...photoManifest[path] });
 
-    observer.observe(node);
+// Video entries carry their own poster `loader` in the manifest.
+const toVideo = (path, src) => ({ path, src, ...photoManifest[path] });
 
-    return () => observer.disconnect();
-  }, [priority, shouldLoad]);
-
-  useEffect(() => {
-    if (!loader || !shouldLoad) {
-      return undefined;
-    }
-
-    let isMounted = true;
-
-    loader()
-      .then((resolvedSrc) => {
-        if (isMounted) {
-          setSrc(resolvedSrc);
-        }
-      })
-      .catch(() => {
-        if (isMounted) {
-          setSrc(null);
-        }
-      });
-
-    return () => {
-      isMounted = false;
-    };
-  }, [loader, shouldLoad]);
-
-  return (
-    <img
-      ref={imageRef}
-      src={src || undefined}
-      alt={alt}
-      className={className}
-      loading="lazy"
-      fetchPriority={priority ? 'high' : undefined}
-      decoding="async"
-    />
-  );
-});
+// Arrow keys typed into a field move the caret, not the page.
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
 
 const App = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
-  const [pathname, setPathname] = useState(() => normalizePathname(window.location.pathname));
-  const [pendingSectionId, setPendingSectionId] = useState(null);
+  const { location, route, navigate, back, completeNavigation } = useRouter();
+  const { locale, intlLocale, t } = useI18n();
   const [activeWorkIndex, setActiveWorkIndex] = useState(0);
-  const [workOrientations, setWorkOrientations] = useState({});
+  const [storedMeasurementUnits, setMeasurementUnits] = usePersistentState("measurement-units", getDefaultMeasurementUnits);
+  const [colorScheme, setColorScheme] = useColorScheme();
+  const prefersReducedMotion = useReducedMotion();
+  const menuRef = useRef(null);
   const workMainSwiperRef = useRef(null);
   const workBgSwiperRef = useRef(null);
 
-  const heroPhoto = photoLoaders[HERO_PATH];
-
-  const { shoots, digitalImages } = useMemo(() => {
-    const shootsByFolder = new Map();
-    const digitals = [];
-
-    Object.entries(photoLoaders).forEach(([path, loader]) => {
-      if (path === HERO_PATH || !path.startsWith(PHOTO_ROOT_PREFIX)) {
-        return;
-      }
-
-      const relativePath = path.slice(PHOTO_ROOT_PREFIX.length);
-      const parts = relativePath.split("/");
-
-      if (parts.length < 2) {
-        return;
-      }
-
-      const folderName = parts[0];
-      const fileName = parts[parts.length - 1];
-
-      if (folderName.toLowerCase() === "digitals") {
-        digitals.push({ fileName, loader });
-        return;
-      }
-
-      if (!SHOOT_FOLDER_RE.test(folderName)) {
-        return;
-      }
-
-      if (!shootsByFolder.has(folderName)) {
-        shootsByFolder.set(folderName, []);
-      }
-
-      shootsByFolder.get(folderName).push({ path, fileName, loader });
-    });
+  // Hero images whose file is missing are skipped rather than blanking the
+  // page; the comp card front uses the first one left.
+  const heroImages = useMemo(
+    () =>
+      resolveHeroImages(HERO, (path) => Boolean(photoLoaders[path])).map((image) => ({
+        ...image,
+        photo: toPhoto(image.path, photoLoaders[image.path]),
+        mobilePhoto: toPhoto(image.mobilePath, photoLoaders[image.mobilePath]),
+      })),
+    []
+  );
 
-    const builtShoots = Array.from(shootsByFolder.entries())
-      .sort(([folderA], [folderB]) => {
-        const dateDiff = getFolderDateValue(folderB) - getFolderDateValue(folderA);
-
-        if (dateDiff !== 0) {
-          return dateDiff;
-        }
-
-        return folderB.localeCompare(folderA, undefined, { sensitivity: "base" });
-      })
-      .map(([folderName, files]) => {
-        const sortedFiles = [...files].sort((a, b) =>
-          a.fileName.localeCompare(b.fileName, undefined, { sensitivity: "base" })
-        );
-
-        if (sortedFiles.length === 0) {
-          return null;
-        }
-
-        const coverFile = sortedFiles.find((file) => coverRegex.test(file.fileName)) || sortedFiles[0];
-        const gallery = sortedFiles
-          .filter((file) => file.path !== coverFile.path)
-          .map((file) => file.loader);
-        const backgroundImage = gallery[0] || coverFile.loader;
-
-        const match = folderName.match(SHOOT_FOLDER_RE);
-        const folderSlug = match ? match[4] : folderName;
-        const routeSlug = toRouteSlug(folderSlug);
-        const projectContent = PROJECT_CONTENT[routeSlug] ?? {};
-        const title = projectContent.title ?? toTitleCase(folderSlug);
-        const category = projectContent.category ?? DEFAULT_PROJECT_CONTENT.category;
-        const header = projectContent.header ?? category ?? DEFAULT_PROJECT_CONTENT.header;
-        const subtext = projectContent.subtext ?? DEFAULT_PROJECT_CONTENT.subtext;
-        const description = projectContent.description ?? DEFAULT_PROJECT_CONTENT.description;
-
-        return {
-          id: folderName,
-          routeSlug,
-          title,
-          header,
-          subtext,
-          category,
-          description,
-          image: coverFile.loader,
-          backgroundImage,
-          gallery,
-        };
-      })
-      .filter(Boolean);
-
-    const sortedDigitals = digitals
-      .sort((a, b) => a.fileName.localeCompare(b.fileName, undefined, { sensitivity: "base" }))
-      .map((file) => file.loader)
-      .slice(0, 3);
+  const { shoots: catalogShoots, digitalSets, digitalImages, compCardPhotos } = useMemo(() => {
+    const photos = Object.entries(photoLoaders)
+      .filter(([path]) => !HERO_PHOTO_PATHS.includes(path))
+      .map(([path, loader]) => toPhoto(path, loader));
+    const videos = Object.entries(videoUrls).map(([path, src]) => toVideo(path, src));
+    const catalog = buildCatalog([...photos, ...videos], { ...shootContentFiles, ...digitalsMetaFiles });
 
     return {
-      shoots: builtShoots,
-      digitalImages: sortedDigitals,
+      shoots: catalog.shoots,
+      digitalSets: catalog.digitalSets,
+      digitalImages: catalog.digitals.slice(0, 3),
+      compCardPhotos: selectCompCardPhotos(catalog),
     };
   }, []);
 
-  const isProjectRoute = pathname.startsWith(PROJECT_PATH_PREFIX);
-  const routeProjectSlug = useMemo(() => getProjectSlugFromPathname(pathname), [pathname]);
-  const selectedProject = useMemo(() => {
+  const shoots = useMemo(() => catalogShoots.map((shoot) => localizeShoot(shoot, locale)), [catalogShoots, locale]);
+
+  const measurementUnits = MEASUREMENT_UNITS.includes(storedMeasurementUnits) ? storedMeasurementUnits : "imperial";
+  const measurements = useMemo(() => formatMeasurements(MEASUREMENTS, measurementUnits), [measurementUnits]);
+
+  const isHomeRoute = route.name === "home";
+  const isProjectRoute = route.name === "project";
+  const isCompCardRoute = route.name === "compCard";
+  const isPortfolioRoute = route.name === "portfolio";
+  const isDigitalsRoute = route.name === "digitals";
+  const routeDigitalSetId = isDigitalsRoute ? route.setId : null;
+  const activeDigitalSet = routeDigitalSetId
+    ? digitalSets.find((set) => set.id === routeDigitalSetId) ?? null
+    : isDigitalsRoute
+      ? digitalSets[0] ?? null
+      : null;
+  // A set id that matches nothing, or /digitals with no digitals at all.
+  const isNotFoundRoute = route.name === "notFound" || (isDigitalsRoute && !activeDigitalSet);
+  const isSubpageRoute = !isHomeRoute;
+  const portfolioFilters = useMemo(() => parsePortfolioQuery(location.search), [location.search]);
+  const routeProjectSlug = isProjectRoute ? route.slug : null;
+  const publicProject = useMemo(() => {
     if (!routeProjectSlug) {
       return null;
     }
 
     return shoots.find((item) => item.routeSlug === routeProjectSlug) ?? null;
   }, [shoots, routeProjectSlug]);
+  // Slugs that match no public shoot may be a private gallery.
+  const privateAccess = usePrivateShoot(routeProjectSlug && !publicProject ? routeProjectSlug : null);
+  const privateProject = useMemo(
+    () => (privateAccess.shoot ? localizeShoot(privateAccess.shoot, locale) : null),
+    [privateAccess.shoot, locale]
+  );
+  const selectedProject = publicProject ?? privateProject;
+  // The shoots either side in slider order, newest first; private galleries
+  // have none.
+  const publicProjectIndex = publicProject ? shoots.indexOf(publicProject) : -1;
+  const previousShoot = publicProjectIndex > 0 ? shoots[publicProjectIndex - 1] : null;
+  const nextShoot = publicProjectIndex >= 0 ? shoots[publicProjectIndex + 1] ?? null : null;
+  const routePhotoNumber = isProjectRoute ? route.photoNumber : null;
+  const lightboxIndex = selectedProject && routePhotoNumber >= 1 && routePhotoNumber <= selectedProject.gallery.length
+    ? routePhotoNumber - 1
+    : null;
 
   useEffect(() => {
-    const handlePopState = () => {
-      setPathname(normalizePathname(window.location.pathname));
-    };
+    document.documentElement.lang = locale;
+  }, [locale]);
 
-    window.addEventListener("popstate", handlePopState);
-    return () => window.removeEventListener("popstate", handlePopState);
-  }, []);
+  const getPageTitle = () => {
+    if (isCompCardRoute) {
+      return `${t("meta.compCard")} — ${SITE.name}`;
+    }
+
+    if (isPortfolioRoute) {
+      return `${t("meta.portfolio")} — ${SITE.name}`;
+    }
+
+    if (activeDigitalSet) {
+      return `${t("meta.digitals")} — ${SITE.name}`;
+    }
+
+    if (isNotFoundRoute) {
+      return `${t("meta.notFound")} — ${SITE.name}`;
+    }
+
+    return selectedProject
+      ? `${selectedProject.title} — ${SITE.name}`
+      : `${SITE.name} — ${t("site.tagline")}`;
+  };
+  // Also read out by the RouteAnnouncer when it changes.
+  const pageTitle = getPageTitle();
+
+  useEffect(() => {
+    document.title = pageTitle;
+  }, [pageTitle]);
+
+  // 404s, private galleries and their password prompt stay out of search
+  // results.
+  const isIndexable = !isNotFoundRoute && !(isProjectRoute && !publicProject);
 
   useEffect(() => {
-    if (!pendingSectionId || pathname !== "/") {
+    if (isIndexable) {
       return undefined;
     }
 
-    const timeoutId = window.setTimeout(() => {
-      const section = document.getElementById(pendingSectionId);
+    const robots = document.createElement("meta");
+    robots.name = "robots";
+    robots.content = "noindex, nofollow";
+    document.head.appendChild(robots);
+
+    return () => robots.remove();
+  }, [isIndexable]);
+
+  // Which view AnimatePresence is showing. When it changes, the router's
+  // scroll waits for onExitComplete so it lands on the incoming view;
+  // otherwise (hash links, lightbox steps) it can run right away.
+  const viewKey = isCompCardRoute
+    ? "comp-card"
+    : isPortfolioRoute
+      ? "portfolio-index"
+      : activeDigitalSet
+        ? "digitals"
+        : isHomeRoute
+          ? "main"
+          : selectedProject
+            ? selectedProject.routeSlug
+            : isProjectRoute
+              ? "project-not-found"
+              : "not-found";
+  const lastViewKeyRef = useRef(viewKey);
 
-      if (section) {
-        section.scrollIntoView({ behavior: "smooth", block: "start" });
-      }
-
-      setPendingSectionId(null);
-    }, 80);
+  useEffect(() => {
+    if (lastViewKeyRef.current === viewKey) {
+      completeNavigation();
+    }
 
-    return () => window.clearTimeout(timeoutId);
-  }, [pathname, pendingSectionId]);
+    lastViewKeyRef.current = viewKey;
+  }, [location, viewKey, completeNavigation]);
 
   useEffect(() => {
     const handleScroll = () => {
@@ -296,46 +286,6 @@ const App = () => {
     return () => window.removeEventListener('scroll', handleScroll);
   }, []);
 
-  useEffect(() => {
-    if (shoots.length === 0) {
-      return undefined;
-    }
-
-    let isMounted = true;
-
-    const resolveOrientation = async () => {
-      const orientationEntries = await Promise.all(
-        shoots.map(async (item) => {
-          try {
-            const src = await item.image();
-            const orientation = await new Promise((resolve) => {
-              const probeImage = new Image();
-              probeImage.onload = () => {
-                resolve(probeImage.naturalWidth > probeImage.naturalHeight ? "landscape" : "portrait");
-              };
-              probeImage.onerror = () => resolve("portrait");
-              probeImage.src = src;
-            });
-
-            return [item.id, orientation];
-          } catch {
-            return [item.id, "portrait"];
-          }
-        })
-      );
-
-      if (isMounted) {
-        setWorkOrientations(Object.fromEntries(orientationEntries));
-      }
-    };
-
-    resolveOrientation();
-
-    return () => {
-      isMounted = false;
-    };
-  }, [shoots]);
-
   const refreshWorkSliderLayout = (swiper) => {
     if (!swiper) {
       return;
@@ -346,63 +296,37 @@ const App = () => {
     swiper.slideTo(targetIndex, 0, false);
   };
 
-  useEffect(() => {
-    const swiper = workMainSwiperRef.current;
-
-    if (!swiper || shoots.length === 0) {
-      return undefined;
-    }
+  const closeMenu = () => setIsMenuOpen(false);
 
-    const rafId = window.requestAnimationFrame(() => {
-      refreshWorkSliderLayout(swiper);
-    });
-
-    return () => window.cancelAnimationFrame(rafId);
-  }, [workOrientations, shoots.length]);
-
-  const navigateTo = (nextPath, options = {}) => {
-    const { replace = false } = options;
-    const normalizedPath = normalizePathname(nextPath);
-    const currentPath = normalizePathname(window.location.pathname);
-
-    if (currentPath !== normalizedPath) {
-      const historyMethod = replace ? "replaceState" : "pushState";
-      window.history[historyMethod](null, "", normalizedPath);
-    }
-
-    setPathname(normalizedPath);
-  };
+  useFocusTrap(menuRef, isMenuOpen, closeMenu);
 
   const goHome = () => {
-    setPendingSectionId(null);
-    setIsMenuOpen(false);
-    navigateTo("/");
-    window.scrollTo({ top: 0, behavior: "smooth" });
+    closeMenu();
+    navigate("/");
   };
 
-  const goToSection = (sectionId) => {
-    setIsMenuOpen(false);
+  // Heading back to the slider from a shoot lands on that shoot's slide.
+  const prepareSectionVisit = (sectionId) => {
+    closeMenu();
 
-    if (pathname !== "/") {
-      if (sectionId === "work" && selectedProject) {
-        const selectedIndex = shoots.findIndex((item) => item.id === selectedProject.id);
+    if (sectionId === "work" && publicProject) {
+      const selectedIndex = shoots.findIndex((item) => item.id === publicProject.id);
 
-        if (selectedIndex >= 0) {
-          setActiveWorkIndex(selectedIndex);
-        }
+      if (selectedIndex >= 0) {
+        setActiveWorkIndex(selectedIndex);
       }
-
-      setPendingSectionId(sectionId);
-      navigateTo("/");
-      return;
     }
+  };
 
-    setPendingSectionId(null);
-    const section = document.getElementById(sectionId);
+  // Contact links lead to the booking form, so they count as booking clicks.
+  const openContact = (source) => {
+    track("bookingClick", { source });
+    prepareSectionVisit("contact");
+  };
 
-    if (section) {
-      section.scrollIntoView({ behavior: "smooth", block: "start" });
-    }
+  const goToSection = (sectionId) => {
+    prepareSectionVisit(sectionId);
+    navigate("/", { hash: sectionId });
   };
 
   const getValidSwiperIndex = (swiper) => {
@@ -422,16 +346,90 @@ const App = () => {
     return ((resolvedIndex % shoots.length) + shoots.length) % shoots.length;
   };
 
-  const openProject = (project) => {
+  const openCompCard = () => {
+    closeMenu();
+    navigate(COMP_CARD_PATH);
+  };
+
+  const openPortfolioIndex = () => {
+    closeMenu();
+    navigate(PORTFOLIO_PATH);
+  };
+
+  // Filter changes replace the entry so Back leaves the index rather than
+  // stepping through every chip that was toggled.
+  const handlePortfolioFiltersChange = (filters) => {
+    navigate(PORTFOLIO_PATH, { replace: true, query: toPortfolioQuery(filters), scroll: false });
+  };
+
+  // `source` says where the shoot was opened from: the home page work
+  // slider or the portfolio index.
+  const openProject = useCallback((project, source = "work") => {
     if (!project) {
       return;
     }
 
-    setPendingSectionId(null);
+    track("openProject", { slug: project.routeSlug, source });
     setIsMenuOpen(false);
-    navigateTo(getProjectPath(project.routeSlug));
-    window.scrollTo({ top: 0, behavior: "auto" });
-  };
+    navigate(getProjectPath(project.routeSlug));
+  }, [navigate]);
+
+  // Paging between shoots: the pager links, the arrow keys and a swipe on
+  // touch screens, whenever the lightbox and menu are closed.
+  const isPagerActive = Boolean(publicProject) && lightboxIndex === null && !isMenuOpen;
+
+  useEffect(() => {
+    if (!isPagerActive) {
+      return undefined;
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey || isTypingTarget(event.target)) {
+        return;
+      }
+
+      const project = event.key === "ArrowLeft" ? previousShoot : event.key === "ArrowRight" ? nextShoot : null;
+
+      if (!project) {
+        return;
+      }
+
+      event.preventDefault();
+      openProject(project, "keyboard");
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isPagerActive, previousShoot, nextShoot, openProject]);
+
+  useSwipe(
+    {
+      onSwipeLeft: () => openProject(nextShoot, "swipe"),
+      onSwipeRight: () => openProject(previousShoot, "swipe"),
+    },
+    isPagerActive
+  );
+
+  // Fetch the neighbours' covers and first gallery row at the sizes their
+  // pages ask for, so paging to them paints straight from the cache.
+  useEffect(() => {
+    if ((!previousShoot && !nextShoot) || navigator.connection?.saveData) {
+      return undefined;
+    }
+
+    const timer = window.setTimeout(() => {
+      const columns = getGalleryColumns(window.matchMedia(MOBILE_QUERY).matches);
+
+      [previousShoot, nextShoot].filter(Boolean).forEach((shoot) => {
+        prefetchPhoto(shoot.image, PHOTO_SIZES.projectCover);
+        buildGalleryRows(shoot.gallery, columns)[0]?.tiles
+          .filter(({ item }) => !isVideo(item))
+          .forEach(({ item, share }) => prefetchPhoto(item, getGalleryTileSizes(share)));
+      });
+    }, PREFETCH_DELAY);
+
+    return () => window.clearTimeout(timer);
+  }, [previousShoot, nextShoot]);
 
   const openActiveProject = () => {
     const slideIndex = getValidSwiperIndex(workMainSwiperRef.current);
@@ -443,6 +441,44 @@ const App = () => {
     openProject(shoots[slideIndex]);
   };
 
+  const openGalleryPhoto = (photoIndex) => {
+    if (!selectedProject) {
+      return;
+    }
+
+    navigate(getProjectPath(selectedProject.routeSlug, photoIndex + 1), {
+      state: { openedFromGallery: true },
+      scroll: false
+    });
+  };
+
+  const handleLightboxIndexChange = (photoIndex) => {
+    if (!selectedProject || photoIndex === lightboxIndex) {
+      return;
+    }
+
+    navigate(getProjectPath(selectedProject.routeSlug, photoIndex + 1), {
+      replace: true,
+      state: location.state,
+      scroll: false
+    });
+  };
+
+  const closeLightbox = () => {
+    if (!selectedProject) {
+      return;
+    }
+
+    // Step back when the lightbox was opened in-app so closing it doesn't
+    // leave a duplicate project entry in history; deep links replace instead.
+    if (location.state?.openedFromGallery) {
+      back();
+      return;
+    }
+
+    navigate(getProjectPath(selectedProject.routeSlug), { replace: true, scroll: false });
+  };
+
   const handleWorkSlideChange = (swiper) => {
     const nextIndex = getValidSwiperIndex(swiper);
 
@@ -451,6 +487,7 @@ const App = () => {
     }
 
     setActiveWorkIndex(nextIndex);
+    track("workSlideChange", { slug: shoots[nextIndex]?.routeSlug, index: nextIndex });
 
     if (!workBgSwiperRef.current || workBgSwiperRef.current.activeIndex === nextIndex) {
       return;
@@ -459,10 +496,6 @@ const App = () => {
     workBgSwiperRef.current.slideTo(nextIndex);
   };
 
-  if (!heroPhoto) {
-    return null;
-  }
-
   const fadeUp = {
     initial: { opacity: 0, y: 30 },
     whileInView: { opacity: 1, y: 0 },
@@ -476,26 +509,28 @@ const App = () => {
   const activeWorkProject = shoots[safeWorkIndex];
   const currentWorkCounter = shoots.length > 0 ? toCounterValue(safeWorkIndex + 1) : "00";
   const totalWorkCounter = toCounterValue(shoots.length);
-  const selectedProjectOrientation = selectedProject ? workOrientations[selectedProject.id] ?? "landscape" : "landscape";
+  const selectedProjectOrientation = selectedProject?.image.orientation ?? "landscape";
   const isSelectedProjectPortrait = selectedProjectOrientation === "portrait";
 
   return (
-    <div className="min-h-screen bg-[#E5EAEF] text-[#1A1F2B] font-sans selection:bg-[#5F7A91] selection:text-white overflow-x-hidden">
+    <div className="min-h-screen bg-canvas text-ink font-sans selection:bg-accent selection:text-paper overflow-x-hidden">
       {/* Navigation */}
-      <nav className={`fixed w-full z-[100] transition-all duration-700 px-6 py-4 flex justify-between items-center ${scrolled || isProjectRoute ? 'bg-[#E5EAEF]/90 backdrop-blur-md py-3 border-b border-[#1A1F2B]/5 shadow-sm' : 'bg-transparent'}`}>
+      <nav className={`print:hidden fixed w-full z-[100] transition-all duration-700 px-6 py-4 flex justify-between items-center ${scrolled || isSubpageRoute ? 'bg-canvas/90 backdrop-blur-md py-3 border-b border-ink/5 shadow-sm' : 'bg-transparent'}`}>
         <Motion.div 
           onClick={goHome}
-          className={`flex-1 min-w-0 pr-4 text-[0.7rem] sm:text-[0.78rem] md:text-xl font-bold tracking-[0.16em] md:tracking-[0.3em] whitespace-nowrap uppercase cursor-pointer transition-all duration-500 ${(isProjectRoute || scrolled) ? 'text-[#1A1F2B] opacity-100 pointer-events-auto' : 'text-white opacity-0 pointer-events-none'}`}>
+          className={`flex-1 min-w-0 pr-4 text-[0.7rem] sm:text-[0.78rem] md:text-xl font-bold tracking-[0.16em] md:tracking-[0.3em] whitespace-nowrap uppercase cursor-pointer transition-all duration-500 ${(isSubpageRoute || scrolled) ? 'text-ink opacity-100 pointer-events-auto' : 'text-white opacity-0 pointer-events-none'}`}>
           ASHLEY WACHTENDONK
         </Motion.div>
         
-        <div className={`hidden md:flex gap-12 items-center text-[15px] uppercase tracking-[0.25em] font-medium transition-colors duration-500 ${(isProjectRoute || scrolled) ? 'text-[#1A1F2B]' : 'text-white'}`}>
-          <button onClick={goHome} className="hover:text-[#5F7A91] transition-colors">HOME</button>
-          <button onClick={() => goToSection("work")} className="hover:text-[#5F7A91] transition-colors">PORTFOLIO</button>
-          <button onClick={() => goToSection("contact")} className="hover:text-[#5F7A91] transition-colors">CONTACT</button>
+        <div className={`hidden md:flex gap-12 items-center text-[15px] uppercase tracking-[0.25em] font-medium transition-colors duration-500 ${(isSubpageRoute || scrolled) ? 'text-ink' : 'text-white'}`}>
+          <Link to="/" onClick={closeMenu} className="hover:text-accent transition-colors">{t("nav.home")}</Link>
+          <Link to="/" hash="work" onClick={() => prepareSectionVisit("work")} className="hover:text-accent transition-colors">{t("nav.portfolio")}</Link>
+          <Link to="/" hash="contact" onClick={() => openContact("nav")} className="hover:text-accent transition-colors">{t("nav.contact")}</Link>
+          <LanguageSwitcher className="text-[11px] tracking-[0.3em]" linkClassName="transition-opacity" />
+          <ColorSchemeToggle scheme={colorScheme} onChange={setColorScheme} />
         </div>
 
-        <button onClick={() => setIsMenuOpen(!isMenuOpen)} className={`md:hidden ml-2 shrink-0 p-2 transition-colors duration-500 ${(isProjectRoute || scrolled) ? 'text-[#1A1F2B]' : 'text-white'}`}>
+        <button onClick={() => setIsMenuOpen(!isMenuOpen)} aria-label={t(isMenuOpen ? "nav.closeMenu" : "nav.openMenu")} aria-expanded={isMenuOpen} aria-controls="mobile-menu" className={`md:hidden ml-2 shrink-0 p-2 transition-colors duration-500 ${(isSubpageRoute || scrolled) ? 'text-ink' : 'text-white'}`}>
           {isMenuOpen ? <X size={24} /> : <Menu size={24} />}
         </button>
       </nav>
@@ -504,47 +539,85 @@ const App = () => {
       <AnimatePresence>
         {isMenuOpen && (
           <Motion.div 
+            ref={menuRef}
+            id="mobile-menu"
+            role="dialog"
+            aria-modal="true"
+            aria-label={t("nav.menu")}
             initial={{ y: "-100%" }} animate={{ y: 0 }} exit={{ y: "-100%" }}
             transition={{ duration: 0.6, ease: [0.22, 1, 0.36, 1] }}
-            className="fixed inset-0 bg-[#E5EAEF] z-[110] flex flex-col justify-center items-center gap-10"
+            className="fixed inset-0 bg-canvas z-[110] flex flex-col justify-center items-center gap-10"
           >
-            <button onClick={() => setIsMenuOpen(false)} className="absolute top-6 right-6 p-2 text-[#1A1F2B]"><X size={24} /></button>
-            <button onClick={goHome} className="text-4xl uppercase tracking-[0.2em] font-light text-[#1A1F2B]">Home</button>
-            <button onClick={() => goToSection("work")} className="text-4xl uppercase tracking-[0.2em] font-light text-[#1A1F2B]">Portfolio</button>
-            <button onClick={() => goToSection("contact")} className="text-4xl uppercase tracking-[0.2em] font-light text-[#1A1F2B]">Contact</button>
+            <button onClick={() => setIsMenuOpen(false)} aria-label={t("nav.closeMenu")} className="absolute top-6 right-6 p-2 text-ink"><X size={24} /></button>
+            <Link to="/" onClick={closeMenu} className="text-4xl uppercase tracking-[0.2em] font-light text-ink">{t("nav.home")}</Link>
+            <Link to="/" hash="work" onClick={() => prepareSectionVisit("work")} className="text-4xl uppercase tracking-[0.2em] font-light text-ink">{t("nav.portfolio")}</Link>
+            <Link to="/" hash="contact" onClick={() => openContact("menu")} className="text-4xl uppercase tracking-[0.2em] font-light text-ink">{t("nav.contact")}</Link>
+            <LanguageSwitcher
+              onSelect={closeMenu}
+              className="mt-6 gap-8 text-sm uppercase tracking-[0.4em] text-ink"
+              linkClassName="transition-opacity"
+            />
+            <ColorSchemeToggle scheme={colorScheme} onChange={setColorScheme} size={20} className="text-ink" />
           </Motion.div>
         )}
       </AnimatePresence>
 
-      <AnimatePresence mode="wait">
-        {!isProjectRoute ? (
+      <AnimatePresence mode="wait" onExitComplete={completeNavigation}>
+        {isCompCardRoute ? (
+          <Motion.div
+            key="comp-card"
+            initial={{ opacity: 0, x: 100 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -100 }}
+            className="pt-24 pb-32 min-h-screen bg-canvas print:p-0 print:min-h-0 print:bg-white"
+          >
+            <CompCard heroPhoto={heroImages[0]?.photo} heroPosition={heroImages[0]?.position} photos={compCardPhotos} measurements={COMP_CARD_MEASUREMENTS} />
+          </Motion.div>
+        ) : isPortfolioRoute ? (
+          <Motion.div
+            key="portfolio-index"
+            initial={{ opacity: 0, x: 100 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -100 }}
+            className="pt-32 pb-32 min-h-screen bg-paper"
+          >
+            <PortfolioIndex
+              shoots={shoots}
+              filters={portfolioFilters}
+              onFiltersChange={handlePortfolioFiltersChange}
+              onOpenProject={(project) => openProject(project, "portfolio")}
+            />
+          </Motion.div>
+        ) : activeDigitalSet ? (
+          <Motion.div
+            key="digitals"
+            initial={{ opacity: 0, x: 100 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -100 }}
+            className="pt-32 pb-32 min-h-screen bg-paper"
+          >
+            <DigitalsPage sets={digitalSets} activeSet={activeDigitalSet} />
+          </Motion.div>
+        ) : isHomeRoute ? (
           <Motion.div key="main" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
             {/* HERO SECTION - Using User Uploaded Image Background */}
-            <section className="relative h-screen w-full flex items-center justify-center overflow-hidden bg-[#1A1F2B]">
-              <div className="absolute inset-0 w-full h-full">
-                <LazyPhoto
-                  loader={heroPhoto}
-                  alt="Ashley Wachtendonk Hero" 
-                  className="w-full h-full object-cover object-[center_3%] opacity-100 brightness-[0.9] contrast-[1.05]"
-                  priority
-                />
-                <div className="absolute inset-0 bg-gradient-to-b from-[#1A1F2B]/40 via-transparent to-[#1A1F2B]/60"></div>
-              </div>
+            <section className="relative h-screen w-full flex items-center justify-center overflow-hidden bg-night">
+              <HeroBackdrop images={heroImages} interval={HERO_INTERVAL} sizes={PHOTO_SIZES.hero} alt={SITE.name} />
               <div className="relative z-10 text-center px-6">
                 <Motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 1.2 }}>
                   <h1 className="text-white text-4xl md:text-8xl lg:text-8xl font-tt-commons-expanded-thin tracking-tighter uppercase leading-none drop-shadow-2xl">
                     ASHLEY WACHTENDONK
                   </h1>
-                  <p className="mt-4 text-white/90 text-[10px] md:text-xs uppercase tracking-[1em] font-light font-sans pl-[1em]">MODEL / ARCHITECT</p>
+                  <p className="mt-4 text-white/90 text-[10px] md:text-xs uppercase tracking-[1em] font-light font-sans pl-[1em]">{t("site.tagline")}</p>
               
                 </Motion.div>
               </div>
               <div className="absolute bottom-8 w-full px-10 flex justify-between items-end text-white/60 text-[9px] uppercase tracking-[0.3em]">
-                <div className="hidden md:block">BASED IN MILWAUKEE/CHICAGO</div>
+                <div className="hidden md:block">{t("hero.basedIn", { location: SITE.location })}</div>
                 <div className="flex flex-col items-center gap-3">
                   <div className="w-[1px] h-14 bg-white/20"></div>
                 </div>
-                <div className="hidden md:block">© 2026 ALL RIGHTS RESERVED</div>
+                <div className="hidden md:block">{t("hero.rights")}</div>
               </div>
             </section>
 
@@ -557,7 +630,7 @@ const App = () => {
                     modules={[EffectFade, A11y]}
                     effect="fade"
                     fadeEffect={{ crossFade: true }}
-                    speed={1250}
+                    speed={prefersReducedMotion ? 0 : 1250}
                     allowTouchMove={false}
                     onSwiper={(swiper) => {
                       workBgSwiperRef.current = swiper;
@@ -570,12 +643,24 @@ const App = () => {
                   >
                     {shoots.map((item, index) => (
                       <SwiperSlide key={`${item.id}-bg`}>
-                        <LazyPhoto
-                          loader={item.backgroundImage}
-                          alt={`${item.title} background`}
-                          className="work-slider-bg-image"
-                          priority={index === 0}
-                        />
+                        {({ isActive }) => (item.backgroundVideo ? (
+                          <LazyVideo
+                            video={item.backgroundVideo}
+                            label={t("work.background", { title: item.title })}
+                            className="work-slider-bg-image"
+                            active={isActive}
+                          />
+                        ) : (
+                          <LazyPhoto
+                            photo={item.backgroundImage}
+                            alt={t("work.background", { title: item.title })}
+                            sizes={PHOTO_SIZES.background}
+                            crop="16:9"
+                            className="work-slider-bg-image"
+                            priority={index === 0}
+                            protect={Boolean(item.protection)}
+                          />
+                        ))}
                       </SwiperSlide>
                     ))}
                   </Swiper>
@@ -585,12 +670,19 @@ const App = () => {
                 <div className="work-slider-content">
                   <Motion.div {...fadeUp} className="work-slider-head">
                     <div>
-                      <span className="text-[10px] uppercase tracking-[0.5em] text-[#5F7A91] mb-4 block font-bold">Selection</span>
-                      <h2 className="text-4xl md:text-5xl font-tt-commons-expanded-thin tracking-tighter text-[#1A1F2B]">
-                        Portfolio & Work
+                      <span className="text-[10px] uppercase tracking-[0.5em] text-accent mb-4 block font-bold">{t("work.eyebrow")}</span>
+                      <h2 className="text-4xl md:text-5xl font-tt-commons-expanded-thin tracking-tighter text-ink">
+                        {t("work.heading")}
                       </h2>
+                      <button
+                        type="button"
+                        onClick={openPortfolioIndex}
+                        className="mt-4 text-[10px] uppercase tracking-[0.4em] text-ink font-bold hover:text-accent transition-colors"
+                      >
+                        {t("work.viewAll")}
+                      </button>
                     </div>
-                    <div className="work-slider-counter text-[#1A1F2B]">
+                    <div className="work-slider-counter text-ink">
                       <span className="font-tt-commons-expanded-thin">{currentWorkCounter}</span>
                       <span className="opacity-50">/</span>
                       <span className="opacity-70">{totalWorkCounter}</span>
@@ -600,9 +692,9 @@ const App = () => {
                   <div className="work-slider-main-wrap">
                     <Swiper
                       className="work-slider-main"
-                      modules={[EffectCreative, Navigation, Pagination, A11y]}
+                      modules={[EffectCreative, Keyboard, Navigation, Pagination, A11y]}
                       effect="creative"
-                      speed={1250}
+                      speed={prefersReducedMotion ? 0 : 1250}
                       rewind={shoots.length > 1}
                       loop={false}
                       centeredSlides
@@ -626,6 +718,12 @@ const App = () => {
                           opacity: 0
                         }
                       }}
+                      keyboard={{ enabled: true, onlyInViewport: true }}
+                      a11y={{
+                        prevSlideMessage: t("work.prevShoot"),
+                        nextSlideMessage: t("work.nextShoot"),
+                        paginationBulletMessage: t("work.goToShoot", { number: "{{index}}" })
+                      }}
                       navigation={{
                         prevEl: '.work-slider-prev',
                         nextEl: '.work-slider-next'
@@ -664,25 +762,33 @@ const App = () => {
                       {shoots.map((item) => (
                         <SwiperSlide
                           key={item.id}
-                          className={`work-slider-main-slide ${workOrientations[item.id] === 'landscape' ? 'is-landscape' : ''}`}
+                          className={`work-slider-main-slide ${item.image.orientation === 'landscape' ? 'is-landscape' : ''}`}
                         >
                           {({ isActive }) => (
-                            <div className="work-slider-slide-stack">
+                            // Hidden slides stay out of the tab order.
+                            <div className="work-slider-slide-stack" inert={!isActive}>
                               <button
                                 type="button"
                                 className="work-slider-card group block"
                                 onClick={() => openProject(item)}
-                                aria-label={`Open ${item.title}`}
+                                aria-label={t("work.open", { title: item.title })}
                               >
-                                <LazyPhoto loader={item.image} alt={item.title} className="work-slider-main-image" />
+                                <LazyPhoto
+                                  photo={item.image}
+                                  alt={item.title}
+                                  sizes={PHOTO_SIZES.sliderCard}
+                                  crop={item.image.orientation === 'landscape' ? "16:9" : "3:4"}
+                                  className="work-slider-main-image"
+                                  protect={Boolean(item.protection)}
+                                />
                               </button>
                               <button
                                 type="button"
                                 className={`work-slider-view-btn swiper-no-swiping text-white text-[9px] uppercase tracking-[0.4em] border border-white/40 px-5 py-2 backdrop-blur-md ${isActive ? 'is-active' : ''}`}
                                 onClick={() => openProject(item)}
-                                aria-label={`View photos for ${item.title}`}
+                                aria-label={t("work.viewPhotosLabel", { title: item.title })}
                               >
-                                View Photos
+                                {t("work.viewPhotos")}
                               </button>
                             </div>
                           )}
@@ -692,9 +798,10 @@ const App = () => {
                     {activeWorkProject && (
                       <button
                         type="button"
-                        className={`work-slider-cover-hit ${workOrientations[activeWorkProject.id] === 'landscape' ? 'is-landscape' : ''}`}
+                        className={`work-slider-cover-hit ${activeWorkProject.image.orientation === 'landscape' ? 'is-landscape' : ''}`}
                         onClick={openActiveProject}
-                        aria-label={`Open ${activeWorkProject.title}`}
+                        tabIndex={-1}
+                        aria-hidden="true"
                       />
                     )}
                   </div>
@@ -702,18 +809,18 @@ const App = () => {
                   <div className="work-slider-bottom">
                     {activeWorkProject && (
                       <div className="work-slider-project-meta">
-                        <h3 className="text-sm md:text-lg uppercase tracking-[0.3em] font-bold text-[#1A1F2B] mb-2">
+                        <h3 className="text-sm md:text-lg uppercase tracking-[0.3em] font-bold text-ink mb-2">
                           {activeWorkProject.title}
                         </h3>
-                        <p className="text-[11px] md:text-sm uppercase tracking-[0.26em] text-[#5F7A91] font-medium">
+                        <p className="text-[11px] md:text-sm uppercase tracking-[0.26em] text-accent font-medium">
                           {activeWorkProject.category}
                         </p>
                       </div>
                     )}
                     <div className="work-slider-controls">
                       <div className="work-slider-btn-wrap">
-                        <button type="button" className="work-slider-btn work-slider-prev">Prev</button>
-                        <button type="button" className="work-slider-btn work-slider-next">Next</button>
+                        <button type="button" className="work-slider-btn work-slider-prev">{t("work.prev")}</button>
+                        <button type="button" className="work-slider-btn work-slider-next">{t("work.next")}</button>
                       </div>
                       <div className="work-slider-pagination" />
                     </div>
@@ -723,42 +830,70 @@ const App = () => {
             </section>
 
             {/* MEASUREMENTS - MATCHING SCREENSHOT 2 LAYOUT */}
-            <section className="py-24 bg-[#1A1F2B] text-white">
+            <section className="py-24 bg-night text-white">
               <div className="max-w-7xl mx-auto px-6">
                 <div className="grid lg:grid-cols-12 gap-8 items-start">
                   
                   {/* Left Column Stats */}
                   <div className="lg:col-span-5 pt-8">
                     <Motion.div {...fadeUp}>
-                      <div className="flex items-center gap-6 mb-20">
-                        <div className="w-[1px] h-12 bg-[#5F7A91]"></div>
-                        <h2 className="text-4xl font-tt-commons-expanded-thin tracking-tighter uppercase">Measurements</h2>
+                      <div className="flex items-center gap-6 mb-8">
+                        <div className="w-[1px] h-12 bg-steel"></div>
+                        <h2 className="text-4xl font-tt-commons-expanded-thin tracking-tighter uppercase">{t("measurements.heading")}</h2>
+                      </div>
+
+                      <div className="flex flex-wrap items-center justify-between gap-4 mb-16">
+                        <div role="group" aria-label={t("measurements.units")} className="flex border border-white/15 text-[10px] uppercase tracking-[0.4em] font-bold">
+                          {[
+                            { units: "imperial", label: "in" },
+                            { units: "metric", label: "cm" }
+                          ].map((option) => (
+                            <button
+                              key={option.units}
+                              type="button"
+                              onClick={() => setMeasurementUnits(option.units)}
+                              aria-pressed={measurementUnits === option.units}
+                              className={`px-4 py-2 uppercase tracking-[0.4em] transition-colors ${measurementUnits === option.units ? 'bg-haze text-night' : 'text-white/40 hover:text-white'}`}
+                            >
+                              {option.label}
+                            </button>
+                          ))}
+                        </div>
+                        {MEASUREMENTS_LAST_UPDATED && (
+                          <p className="text-[10px] uppercase tracking-[0.4em] text-white/30">
+                            {t("measurements.updated", { date: formatUpdatedDate(MEASUREMENTS_LAST_UPDATED, intlLocale) })}
+                          </p>
+                        )}
                       </div>
 
                       <div className="grid grid-cols-2 gap-x-12 gap-y-16">
-                        {[
-                          { label: 'Height', value: "5'8\" / 173cm" },
-                          { label: 'Bust', value: '32" / 81cm' },
-                          { label: 'Waist', value: '25" / 63cm' },
-                          { label: 'Hips', value: '35.5" / 90cm' },
-                          { label: 'Eyes', value: 'Blue-Green-Grey' },
-                          { label: 'Shoe', value: '7.5 US / 38 EU' },
-                          { label: 'Hair', value: 'Dark Blonde' }
-                        ].map((stat, i) => (
-                          <div key={i} className="space-y-4">
-                            <p className="text-[10px] uppercase tracking-[0.5em] text-white/30 font-tt-commons-expanded-thin">{stat.label}</p>
-                            <p className="text-xl md:text-2xl font-tt-commons-expanded-thin tracking-tight text-[#CED6DE]">{stat.value}</p>
+                        {measurements.map((stat) => (
+                          <div key={stat.key} className="space-y-4">
+                            <p className="text-[10px] uppercase tracking-[0.5em] text-white/30 font-tt-commons-expanded-thin">{t(`measurement.${stat.key}`)}</p>
+                            <p className="text-xl md:text-2xl font-tt-commons-expanded-thin tracking-tight text-haze">{stat.value}</p>
+                            {stat.updated && stat.updated !== MEASUREMENTS_LAST_UPDATED && (
+                              <p className="text-[9px] uppercase tracking-[0.3em] text-white/20">{t("measurements.asOf", { date: formatUpdatedDate(stat.updated, intlLocale) })}</p>
+                            )}
                           </div>
                         ))}
                       </div>
+
+                      <div className="mt-16 flex flex-wrap gap-x-10 gap-y-4 text-[10px] uppercase tracking-[0.4em] font-bold">
+                        <a href={withBase(COMP_CARD_PDF_PATH)} download className="text-haze hover:text-white transition-colors">
+                          {t("measurements.downloadCompCard")}
+                        </a>
+                        <button type="button" onClick={openCompCard} className="text-white/40 hover:text-white transition-colors uppercase tracking-[0.4em]">
+                          {t("measurements.viewCompCard")}
+                        </button>
+                      </div>
                     </Motion.div>
                   </div>
 
                   {/* Right Column Digitals Grid */}
                   <div className="lg:col-span-7 mt-12 lg:mt-0">
                     <div className="flex justify-between items-end mb-6 px-1">
-                      <span className="text-[10px] uppercase tracking-[0.5em] text-white/40 font-bold">Digitals</span>
-                      <span className="text-[10px] uppercase tracking-[0.5em] text-white/10 font-bold">Raw & Unedited</span>
+                      <span className="text-[10px] uppercase tracking-[0.5em] text-white/40 font-bold">{t("digitals.heading")}</span>
+                      <span className="text-[10px] uppercase tracking-[0.5em] text-white/10 font-bold">{t("digitals.subheading")}</span>
                     </div>
 
                     <div className="grid grid-cols-2 grid-rows-2 gap-6">
@@ -770,7 +905,7 @@ const App = () => {
                         className="row-span-2 bg-white/5 overflow-hidden"
                       >
                         {digitalImages[0] && (
-                          <LazyPhoto loader={digitalImages[0]} className="w-full h-full object-cover object-center hover:opacity-100 transition-opacity duration-700" alt="Ashley Digital" />
+                          <LazyPhoto photo={digitalImages[0]} sizes={PHOTO_SIZES.digitalTall} crop="3:4" className="w-full h-full object-cover object-center hover:opacity-100 transition-opacity duration-700" alt={getDigitalAlt(digitalImages[0], t, SITE.name, locale)} />
                         )}
                       </Motion.div>
                       <Motion.div 
@@ -781,7 +916,7 @@ const App = () => {
                         className="aspect-square bg-white/5 overflow-hidden"
                       >
                         {digitalImages[1] && (
-                          <LazyPhoto loader={digitalImages[1]} className="w-full h-full object-cover object-[center_25%] hover:opacity-100 transition-opacity duration-700" alt="Ashley Profile" />
+                          <LazyPhoto photo={digitalImages[1]} sizes={PHOTO_SIZES.digitalSquare} crop="square" className="w-full h-full object-cover hover:opacity-100 transition-opacity duration-700" alt={getDigitalAlt(digitalImages[1], t, SITE.name, locale)} />
                         )}
                       </Motion.div>
                       <Motion.div 
@@ -792,22 +927,34 @@ const App = () => {
                         className="aspect-square bg-white/5 overflow-hidden"
                       >
                         {digitalImages[2] && (
-                          <LazyPhoto loader={digitalImages[2]} className="w-full h-full object-cover object-[center_25%] hover:opacity-100 transition-opacity duration-700" alt="Ashley Full Body" />
+                          <LazyPhoto photo={digitalImages[2]} sizes={PHOTO_SIZES.digitalSquare} crop="square" className="w-full h-full object-cover hover:opacity-100 transition-opacity duration-700" alt={getDigitalAlt(digitalImages[2], t, SITE.name, locale)} />
                         )}
                       </Motion.div>
                     </div>
+
+                    {digitalSets.length > 0 && (
+                      <Link
+                        to={DIGITALS_PATH}
+                        className="inline-block mt-8 px-1 text-[10px] uppercase tracking-[0.4em] font-bold text-white/40 hover:text-white transition-colors"
+                      >
+                        {t("digitals.viewAll")}
+                      </Link>
+                    )}
                   </div>
                 </div>
               </div>
             </section>
 
             {/* FOOTER */}
-            <footer id="contact" className="py-40 px-6 bg-[#E5EAEF] text-center">
+            <footer id="contact" className="py-40 px-6 bg-canvas text-center">
               <Motion.div {...fadeUp} className="max-w-5xl mx-auto">
-                <span className="text-[10px] uppercase tracking-[0.8em] text-[#5F7A91] block mb-12 font-bold">Booking</span>
-                <a href="mailto:wachtendonkashley@gmail.com" className="max-w-full px-1 text-[clamp(0.84rem,4vw,1.08rem)] md:text-7xl lg:text-7xl font-tt-commons-expanded-thin hover:text-[#5F7A91] transition-all duration-700 tracking-[0.02em] md:tracking-tighter block mb-20 text-[#1A1F2B] [overflow-wrap:anywhere]">wachtendonkashley@gmail.com</a>
-                <div className="flex justify-center gap-12 text-[10px] uppercase tracking-[0.5em] font-tt-commons-expanded-thin">
-                  <a href="https://www.instagram.com/ajmwachtendonk/" className="hover:text-[#5F7A91]">Instagram</a>
+                <span className="text-[10px] uppercase tracking-[0.8em] text-accent block mb-12 font-bold">{t("contact.eyebrow")}</span>
+                <h2 className="text-4xl md:text-6xl font-tt-commons-expanded-thin tracking-tighter text-ink mb-16">{t("contact.heading")}</h2>
+                <BookingForm email={SITE.email} />
+                <div className="mt-20 flex flex-wrap justify-center gap-x-12 gap-y-6 text-[10px] uppercase tracking-[0.5em] font-tt-commons-expanded-thin">
+                  <a href={`mailto:${SITE.email}`} onClick={() => track("bookingClick", { source: "email" })} className="normal-case tracking-[0.2em] hover:text-accent [overflow-wrap:anywhere]">{SITE.email}</a>
+                  <a href={SITE.instagramUrl} onClick={() => track("instagramClick", { source: "footer" })} className="hover:text-accent">{t("contact.instagram")}</a>
+                  <button type="button" onClick={openCompCard} className="uppercase tracking-[0.5em] hover:text-accent">{t("contact.compCard")}</button>
                 </div>
               </Motion.div>
             </footer>
@@ -816,96 +963,213 @@ const App = () => {
           /* PROJECT DETAIL VIEW */
           <Motion.div 
             key={selectedProject.routeSlug} initial={{ opacity: 0, x: 100 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -100 }}
-            className="pt-24 pb-32 min-h-screen bg-white"
+            className="pt-24 pb-32 min-h-screen bg-paper text-ink"
+            style={getShootThemeStyle(selectedProject.theme)}
           >
             <div className="max-w-7xl mx-auto px-6">
               <button 
                 onClick={() => goToSection("work")}
-                className="flex items-center gap-4 text-[10px] uppercase tracking-[0.4em] font-bold mb-16 hover:text-[#5F7A91] transition-colors group"
+                className="flex items-center gap-4 text-[10px] uppercase tracking-[0.4em] font-bold mb-16 hover:text-accent transition-colors group"
               >
-                <ArrowLeft size={16} className="group-hover:-translate-x-2 transition-transform" /> Back to Portfolio
+                <ArrowLeft size={16} className="group-hover:-translate-x-2 transition-transform" /> {t("project.back")}
               </button>
 
+              {selectedProject.isPrivate && (
+                <div className="-mt-8 mb-16 flex flex-wrap items-center justify-between gap-4 border border-accent/30 bg-canvas/60 px-6 py-4">
+                  <p className="flex items-center gap-3 text-[10px] uppercase tracking-[0.4em] text-accent font-bold">
+                    <Lock size={14} />
+                    {t("project.private")}
+                    {selectedProject.expires ? ` · ${t("project.availableUntil", { date: formatExpiry(selectedProject.expires, intlLocale) })}` : ""}
+                  </p>
+                  <button
+                    type="button"
+                    onClick={privateAccess.lock}
+                    className="text-[10px] uppercase tracking-[0.4em] hover:text-accent transition-colors"
+                  >
+                    {t("project.lock")}
+                  </button>
+                </div>
+              )}
+
               <div className="grid lg:grid-cols-12 gap-16 mb-24">
                 <div className="lg:col-span-5">
-                  <span className="text-[10px] uppercase tracking-[0.5em] text-[#5F7A91] mb-4 block font-bold">{selectedProject.header}</span>
-                  <h2 className="text-5xl md:text-7xl font-serif italic mb-8 text-[#1A1F2B]">{selectedProject.title}</h2>
-                  <p className="text-[10px] uppercase tracking-[0.36em] text-[#5F7A91] font-bold mb-6">
+                  <span className="text-[10px] uppercase tracking-[0.5em] text-accent mb-4 block font-bold">{selectedProject.header}</span>
+                  <h2 className="text-5xl md:text-7xl font-serif italic mb-8 text-ink">{selectedProject.title}</h2>
+                  <p className="text-[10px] uppercase tracking-[0.36em] text-accent font-bold mb-6">
                     {selectedProject.subtext}
                   </p>
                   <p className="text-lg opacity-60 leading-relaxed font-light mb-12">
                     {selectedProject.description}
                   </p>
+                  {selectedProject.credits.length > 0 && (
+                    <dl className="grid grid-cols-2 gap-x-8 gap-y-6">
+                      {selectedProject.credits.map((credit) => (
+                        <div key={credit.key} className="space-y-2">
+                          <dt className="text-[10px] uppercase tracking-[0.4em] text-accent font-bold">{t(`credits.${credit.key}`)}</dt>
+                          <dd className="text-sm tracking-wide text-ink">{credit.name}</dd>
+                        </div>
+                      ))}
+                    </dl>
+                  )}
                 </div>
                 <div
-                  className={`lg:col-span-7 bg-[#E5EAEF] ${
+                  className={`lg:col-span-7 bg-canvas ${
                     isSelectedProjectPortrait
                       ? "aspect-[3/4] w-full max-w-[30rem] mx-auto lg:mx-0 lg:ml-auto"
                       : "aspect-video"
                   }`}
                 >
                   <LazyPhoto
-                    loader={selectedProject.image}
+                    photo={selectedProject.image}
+                    sizes={PHOTO_SIZES.projectCover}
+                    crop="16:9"
                     className={`w-full h-full shadow-2xl ${isSelectedProjectPortrait ? "object-contain" : "object-cover"}`}
-                    alt={selectedProject.title}
+                    alt={getPhotoAlt(selectedProject.image, locale) ?? selectedProject.title}
+                    protect={Boolean(selectedProject.protection)}
                   />
                 </div>
               </div>
 
               {/* Shoot Gallery */}
-              <div className="columns-2 gap-6 md:gap-10 max-w-6xl mx-auto">
-                {selectedProject.gallery.length > 0 ? selectedProject.gallery.map((loader, i) => (
-                  <Motion.div
-                    key={i}
-                    initial={{ opacity: 0, y: 50 }}
-                    whileInView={{ opacity: 1, y: 0 }}
-                    viewport={{ once: true }}
-                    className="mb-6 md:mb-10 break-inside-avoid overflow-hidden"
-                  >
-                    <LazyPhoto
-                      loader={loader}
-                      className="w-full h-auto object-cover"
-                      alt={`${selectedProject.title} view ${i + 1}`}
-                    />
-                  </Motion.div>
-                )) : (
-                  <div className="py-40 text-center opacity-20 uppercase tracking-[0.5em] text-sm italic">Gallery images loading</div>
+              <div className="max-w-6xl mx-auto">
+                {selectedProject.gallery.length > 0 ? (
+                  <JustifiedGallery
+                    items={selectedProject.gallery}
+                    renderTile={(photo, i, sizes) => {
+                      const alt = getGalleryPhotoAlt(photo, { title: selectedProject.title, number: i + 1, count: selectedProject.gallery.length }, t, locale);
+
+                      return (
+                        <Motion.div
+                          initial={{ opacity: 0, y: 50 }}
+                          whileInView={{ opacity: 1, y: 0 }}
+                          viewport={{ once: true }}
+                          className="w-full h-full overflow-hidden bg-canvas"
+                        >
+                          <button
+                            type="button"
+                            onClick={() => openGalleryPhoto(i)}
+                            className="relative block w-full h-full cursor-zoom-in"
+                            aria-label={t("project.openPhoto", { alt })}
+                          >
+                            {isVideo(photo) ? (
+                              <>
+                                <LazyVideo video={photo} className="w-full h-full object-cover" />
+                                <span className="absolute bottom-3 right-3 flex items-center gap-2 bg-night/70 px-3 py-1 text-[10px] tracking-[0.2em] text-white backdrop-blur-md">
+                                  <Play size={10} fill="currentColor" />
+                                  {photo.duration ? formatDuration(photo.duration) : t("project.video")}
+                                </span>
+                              </>
+                            ) : (
+                              <LazyPhoto
+                                photo={photo}
+                                sizes={sizes}
+                                className="w-full h-full object-cover"
+                                alt={alt}
+                                protect={Boolean(selectedProject.protection)}
+                                onView={() => track("galleryView", { slug: selectedProject.routeSlug, photo: i + 1, source: "gallery" })}
+                              />
+                            )}
+                          </button>
+                        </Motion.div>
+                      );
+                    }}
+                  />
+                ) : (
+                  <div className="py-40 text-center opacity-20 uppercase tracking-[0.5em] text-sm italic">{t("project.loading")}</div>
                 )}
               </div>
               
-              <div className="mt-32 pt-24 border-t border-black/5 text-center">
+              <div className="mt-32 pt-24 border-t border-ink/5 text-center">
+                <ProjectPager
+                  previous={previousShoot}
+                  next={nextShoot}
+                  onOpen={(project) => track("openProject", { slug: project.routeSlug, source: "pager" })}
+                  className="mb-24"
+                />
                  <button 
                   onClick={() => goToSection("work")}
-                  className="px-12 py-4 border border-black/20 rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-black hover:text-white transition-all"
+                  className="px-12 py-4 border border-ink/20 rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-ink hover:text-paper transition-all"
                 >
-                  Return to Portfolio
+                  {t("project.return")}
                 </button>
               </div>
             </div>
           </Motion.div>
-        ) : (
+        ) : isProjectRoute ? (
           <Motion.div
             key="project-not-found"
             initial={{ opacity: 0, x: 100 }}
             animate={{ opacity: 1, x: 0 }}
             exit={{ opacity: 0, x: -100 }}
-            className="pt-24 pb-32 min-h-screen bg-white"
+            className="pt-24 pb-32 min-h-screen bg-paper"
           >
             <div className="max-w-3xl mx-auto px-6 text-center">
-              <h2 className="text-4xl md:text-6xl font-serif italic mb-8 text-[#1A1F2B]">Project Not Found</h2>
+              <h2 className="text-4xl md:text-6xl font-serif italic mb-8 text-ink">{t("project.notFoundTitle")}</h2>
               <p className="text-lg opacity-60 leading-relaxed font-light mb-12">
-                The requested portfolio page does not exist.
+                {t("project.notFoundText")}
               </p>
               <button
                 onClick={() => goToSection("work")}
-                className="px-12 py-4 border border-black/20 rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-black hover:text-white transition-all"
+                className="px-12 py-4 border border-ink/20 rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-ink hover:text-paper transition-all"
               >
-                Return to Portfolio
+                {t("project.return")}
               </button>
+              {routeProjectSlug && (
+                <PrivateGalleryUnlock
+                  key={routeProjectSlug}
+                  status={privateAccess.status}
+                  onUnlock={privateAccess.unlock}
+                />
+              )}
+            </div>
+          </Motion.div>
+        ) : (
+          <Motion.div
+            key="not-found"
+            initial={{ opacity: 0, x: 100 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -100 }}
+            className="pt-24 pb-32 min-h-screen bg-paper"
+          >
+            <div className="max-w-3xl mx-auto px-6 text-center">
+              <span className="text-[10px] uppercase tracking-[0.5em] text-accent mb-4 block font-bold">404</span>
+              <h2 className="text-4xl md:text-6xl font-serif italic mb-8 text-ink">{t("notFound.title")}</h2>
+              <p className="text-lg opacity-60 leading-relaxed font-light mb-12">
+                {t("notFound.text")}
+              </p>
+              <Link
+                to="/"
+                className="inline-block px-12 py-4 border border-ink/20 rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-ink hover:text-paper transition-all"
+              >
+                {t("notFound.home")}
+              </Link>
             </div>
           </Motion.div>
         )}
       </AnimatePresence>
+
+      <AnimatePresence>
+        {lightboxIndex !== null && (
+          <Lightbox
+            key={selectedProject.routeSlug}
+            photos={selectedProject.gallery}
+            index={lightboxIndex}
+            title={selectedProject.title}
+            protection={selectedProject.protection}
+            onPhotoView={(photoIndex) => track("galleryView", { slug: selectedProject.routeSlug, photo: photoIndex + 1, source: "lightbox" })}
+            onIndexChange={handleLightboxIndexChange}
+            onClose={closeLightbox}
+          />
+        )}
+      </AnimatePresence>
+
+      <RouteAnnouncer message={pageTitle} />
+
+      {FocusPicker && (
+        <Suspense fallback={null}>
+          <FocusPicker shoots={catalogShoots} digitalSets={digitalSets} />
+        </Suspense>
+      )}
     </div>
   );
 };
@@ -0,0 +1,189 @@
+import React, { useRef, useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import {
+  createEmptyInquiry,
+  HONEYPOT_FIELD,
+  INQUIRY_ENDPOINT,
+  INQUIRY_FIELDS,
+  PROJECT_TYPES,
+  validateInquiry
+} from '../lib/inquiry';
+
+// Client-side throttle on top of the server's per-address rate limit, so a
+// double click or an impatient resend never reaches the network.
+const RESUBMIT_COOLDOWN_MS = 30 * 1000;
+
+const FIELD_BY_NAME = Object.fromEntries(INQUIRY_FIELDS.map((field) => [field.name, field]));
+
+const inputClassName = "w-full bg-transparent border-b border-ink/20 py-3 text-sm text-ink placeholder:text-ink/30 focus:outline-none focus:border-accent transition-colors";
+
+// Validation messages come from lib/inquiry, which the server shares, and
+// stay in English.
+const Field = ({ name, error, className = "", children }) => {
+  const { t } = useI18n();
+
+  return (
+    <label className={`block text-left ${className}`}>
+      <span className="text-[10px] uppercase tracking-[0.4em] text-accent font-bold">
+        {t(`booking.field.${name}`)}
+        {FIELD_BY_NAME[name].required && <span aria-hidden="true"> *</span>}
+      </span>
+      {children}
+      {error && <span id={`${name}-error`} className="mt-2 block text-xs text-red-700 dark:text-red-300">{error}</span>}
+    </label>
+  );
+};
+
+const BookingForm = ({ email }) => {
+  const { t } = useI18n();
+  const [values, setValues] = useState(createEmptyInquiry);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState("idle");
+  const [statusMessage, setStatusMessage] = useState("");
+  const lastSubmittedAtRef = useRef(0);
+
+  const updateField = (event) => {
+    const { name, value } = event.target;
+    setValues((current) => ({ ...current, [name]: value }));
+
+    if (errors[name]) {
+      setErrors((current) => ({ ...current, [name]: undefined }));
+    }
+  };
+
+  const fieldProps = (name) => ({
+    id: `inquiry-${name}`,
+    name,
+    value: values[name],
+    onChange: updateField,
+    maxLength: FIELD_BY_NAME[name].maxLength,
+    required: FIELD_BY_NAME[name].required,
+    "aria-invalid": errors[name] ? true : undefined,
+    "aria-describedby": errors[name] ? `${name}-error` : undefined,
+    className: inputClassName
+  });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const { errors: validationErrors } = validateInquiry(values);
+
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      setStatus("error");
+      setStatusMessage(t("booking.fixFields"));
+      return;
+    }
+
+    if (Date.now() - lastSubmittedAtRef.current < RESUBMIT_COOLDOWN_MS) {
+      setStatus("error");
+      setStatusMessage(t("booking.wait"));
+      return;
+    }
+
+    lastSubmittedAtRef.current = Date.now();
+    setStatus("submitting");
+    setStatusMessage("");
+
+    try {
+      const response = await fetch(INQUIRY_ENDPOINT, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(values)
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok || !result.ok) {
+        setErrors(result.errors ?? {});
+        setStatus("error");
+        setStatusMessage(result.error ?? t("booking.failed"));
+        return;
+      }
+
+      setValues(createEmptyInquiry());
+      setErrors({});
+      setStatus("success");
+    } catch {
+      setStatus("error");
+      setStatusMessage(t("booking.failed"));
+    }
+  };
+
+  if (status === "success") {
+    return (
+      <div role="status" className="max-w-2xl mx-auto py-16">
+        <p className="text-3xl md:text-5xl font-tt-commons-expanded-thin tracking-tighter text-ink mb-6">{t("booking.thanks")}</p>
+        <p className="text-sm opacity-60 leading-relaxed mb-10">{t("booking.received")}</p>
+        <button
+          type="button"
+          onClick={() => setStatus("idle")}
+          className="px-12 py-4 border border-ink/20 rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-ink hover:text-paper transition-all"
+        >
+          {t("booking.another")}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="relative max-w-3xl mx-auto grid md:grid-cols-2 gap-x-10 gap-y-10">
+      <Field name="client" error={errors.client}>
+        <input type="text" autoComplete="organization" {...fieldProps("client")} />
+      </Field>
+      <Field name="email" error={errors.email}>
+        <input type="email" autoComplete="email" {...fieldProps("email")} />
+      </Field>
+      <Field name="projectType" error={errors.projectType}>
+        <select {...fieldProps("projectType")}>
+          <option value="">{t("booking.select")}</option>
+          {PROJECT_TYPES.map((type) => (
+            <option key={type} value={type}>{t(`booking.projectType.${type}`)}</option>
+          ))}
+        </select>
+      </Field>
+      <Field name="location" error={errors.location}>
+        <input type="text" placeholder={t("booking.locationPlaceholder")} {...fieldProps("location")} />
+      </Field>
+      <Field name="startDate" error={errors.startDate}>
+        <input type="date" {...fieldProps("startDate")} />
+      </Field>
+      <Field name="endDate" error={errors.endDate}>
+        <input type="date" min={values.startDate || undefined} {...fieldProps("endDate")} />
+      </Field>
+      <Field name="usage" error={errors.usage}>
+        <input type="text" placeholder={t("booking.usagePlaceholder")} {...fieldProps("usage")} />
+      </Field>
+      <Field name="budget" error={errors.budget}>
+        <input type="text" {...fieldProps("budget")} />
+      </Field>
+      <Field name="message" error={errors.message} className="md:col-span-2">
+        <textarea rows={5} {...fieldProps("message")} />
+      </Field>
+
+      {/* Honeypot: hidden from people and assistive tech, irresistible to bots. */}
+      <div aria-hidden="true" className="absolute -left-[9999px] w-px h-px overflow-hidden">
+        <label>
+          Website
+          <input type="text" name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" value={values[HONEYPOT_FIELD]} onChange={updateField} />
+        </label>
+      </div>
+
+      <div className="md:col-span-2 flex flex-col items-center gap-6">
+        <button
+          type="submit"
+          disabled={status === "submitting"}
+          className="px-12 py-4 border border-ink bg-ink text-paper rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-accent hover:border-accent transition-all disabled:opacity-50 disabled:cursor-wait"
+        >
+          {status === "submitting" ? t("booking.sending") : t("booking.send")}
+        </button>
+        {status === "error" && statusMessage && (
+          <p role="alert" className="text-xs text-red-700 dark:text-red-300">
+            {statusMessage} {t("booking.orEmail")} <a href={`mailto:${email}`} className="underline">{email}</a>.
+          </p>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default BookingForm;
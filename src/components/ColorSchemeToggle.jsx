@@ -0,0 +1,24 @@
+import React from 'react';
+import { Moon, Sun } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+// Switches between light and gallery (dark) mode. Pressed means gallery mode.
+const ColorSchemeToggle = ({ scheme, onChange, size = 16, className = "" }) => {
+  const { t } = useI18n();
+  const isDark = scheme === "dark";
+
+  return (
+    <button
+      type="button"
+      onClick={() => onChange(isDark ? "light" : "dark")}
+      aria-pressed={isDark}
+      aria-label={t("nav.galleryMode")}
+      title={t("nav.galleryMode")}
+      className={`p-2 transition-opacity hover:opacity-60 ${className}`}
+    >
+      {isDark ? <Sun size={size} aria-hidden="true" /> : <Moon size={size} aria-hidden="true" />}
+    </button>
+  );
+};
+
+export default ColorSchemeToggle;
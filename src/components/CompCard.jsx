@@ -0,0 +1,85 @@
+import React from 'react';
+import LazyPhoto from './LazyPhoto';
+import useI18n from '../hooks/useI18n';
+import { COMP_CARD_PDF_PATH, getInstagramHandle } from '../lib/compCard';
+import { withBase } from '../lib/router';
+import { SITE } from '../siteConfig';
+
+// On-screen and printable version of the comp card. Each side is sized to a
+// 5.5in x 8.5in page when printed (see the @page rule in index.css).
+const CompCard = ({ heroPhoto, heroPosition, photos, measurements }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="max-w-6xl mx-auto px-6">
+      <div className="flex flex-wrap justify-between items-end gap-6 mb-12 print:hidden">
+        <div>
+          <span className="text-[10px] uppercase tracking-[0.5em] text-accent mb-4 block font-bold">{t("compCard.eyebrow")}</span>
+          <h2 className="text-4xl md:text-5xl font-tt-commons-expanded-thin tracking-tighter text-ink">{t("compCard.heading")}</h2>
+        </div>
+        <div className="flex gap-4">
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="px-8 py-3 border border-ink/20 rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-ink hover:text-paper transition-all"
+          >
+            {t("compCard.print")}
+          </button>
+          <a
+            href={withBase(COMP_CARD_PDF_PATH)}
+            download
+            className="px-8 py-3 border border-ink bg-ink text-paper rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-accent hover:border-accent transition-all"
+          >
+            {t("compCard.download")}
+          </a>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-10 justify-items-center print:block">
+        {/* Front */}
+        <section className="comp-card-side relative w-full max-w-[26rem] aspect-[5.5/8.5] overflow-hidden bg-night shadow-2xl">
+          {heroPhoto && (
+            <LazyPhoto
+              photo={heroPhoto}
+              sizes="26rem"
+              alt={t("compCard.alt", { name: SITE.name })}
+              objectPosition={heroPosition}
+              className="absolute inset-0 w-full h-full object-cover"
+              priority
+            />
+          )}
+          <div className="absolute inset-0 bg-gradient-to-b from-transparent via-transparent to-night/70" />
+          <div className="absolute bottom-10 inset-x-0 text-center text-white px-6">
+            <p className="text-2xl md:text-3xl font-tt-commons-expanded-thin tracking-[0.08em] uppercase">{SITE.name}</p>
+            <p className="mt-2 text-[8px] uppercase tracking-[0.6em] text-white/80">{t("site.tagline")}</p>
+          </div>
+        </section>
+
+        {/* Back */}
+        <section className="comp-card-side w-full max-w-[26rem] aspect-[5.5/8.5] bg-white shadow-2xl p-[5.5%] flex flex-col">
+          <div className="grid grid-cols-2 grid-rows-2 gap-1.5 basis-[75%] shrink-0">
+            {photos.map((photo) => (
+              <div key={photo.path} className="overflow-hidden bg-mist">
+                <LazyPhoto photo={photo} sizes="13rem" crop="3:4" alt={t("compCard.photoAlt", { name: SITE.name })} className="w-full h-full object-cover" priority />
+              </div>
+            ))}
+          </div>
+          <p className="mt-4 text-xs font-bold uppercase tracking-[0.25em] text-night">{SITE.name}</p>
+          <dl className="mt-3 grid grid-cols-4 gap-x-2 gap-y-2">
+            {measurements.map((stat) => (
+              <div key={stat.key}>
+                <dt className="text-[6px] uppercase tracking-[0.2em] text-steel">{t(`measurement.${stat.key}`)}</dt>
+                <dd className="text-[9px] text-night">{stat.value}</dd>
+              </div>
+            ))}
+          </dl>
+          <p className="mt-auto text-center text-[7px] uppercase tracking-[0.15em] text-night">
+            {SITE.email} &nbsp;/&nbsp; {getInstagramHandle(SITE.instagramUrl)} &nbsp;/&nbsp; {SITE.location}
+          </p>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default CompCard;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import LazyPhoto from './LazyPhoto';
+import Link from './Link';
+import useI18n from '../hooks/useI18n';
+import { track } from '../lib/analytics';
+import { formatDigitalSetDate, getDigitalAlt, getDigitalSetArchivePath, getDigitalSetPath } from '../lib/digitals';
+import { withBase } from '../lib/router';
+import { SITE } from '../siteConfig';
+
+const PHOTO_SIZES = "(min-width: 1280px) 19rem, (min-width: 768px) 25vw, 50vw";
+const THUMBNAIL_SIZES = "6rem";
+
+// One set of digitals with a pose label under each photo, a zip of the whole
+// set and links to every other set. `sets` are newest first, so the first is
+// the current one and is linked as /digitals rather than by its date.
+const DigitalsPage = ({ sets, activeSet }) => {
+  const { locale, intlLocale, t } = useI18n();
+  const formatSetDate = (set) => (set.date ? formatDigitalSetDate(set.date, intlLocale) : t("digitals.undated"));
+  const getSetPath = (set) => getDigitalSetPath(set === sets[0] ? null : set.id);
+  const otherSets = sets.filter((set) => set !== activeSet);
+
+  return (
+    <div className="max-w-7xl mx-auto px-6">
+      <div className="flex flex-wrap items-end justify-between gap-8 mb-12">
+        <div>
+          <span className="text-[10px] uppercase tracking-[0.5em] text-accent mb-4 block font-bold">
+            {activeSet === sets[0] ? t("digitals.current") : t("digitals.archived")}
+          </span>
+          <h2 className="text-4xl md:text-6xl font-tt-commons-expanded-thin tracking-tighter text-ink">{t("digitals.heading")}</h2>
+          <p className="mt-4 text-xs uppercase tracking-[0.3em] text-ink/50">
+            {activeSet.date ? t("digitals.takenOn", { date: formatSetDate(activeSet) }) : formatSetDate(activeSet)}
+          </p>
+        </div>
+        <a
+          href={withBase(getDigitalSetArchivePath(activeSet.id))}
+          download
+          onClick={() => track("digitalsDownload", { set: activeSet.id })}
+          className="inline-flex items-center gap-3 px-8 py-4 border border-ink/20 rounded-full text-[10px] uppercase tracking-[0.4em] text-ink hover:bg-ink hover:text-paper transition-all"
+        >
+          <Download size={14} aria-hidden="true" />
+          {t("digitals.download")}
+        </a>
+      </div>
+
+      <ul className="grid grid-cols-2 md:grid-cols-4 gap-6">
+        {activeSet.photos.map((photo) => (
+          <li key={photo.path}>
+            <figure>
+              <div className="aspect-[3/4] bg-canvas overflow-hidden">
+                <LazyPhoto photo={photo} sizes={PHOTO_SIZES} crop="3:4" className="w-full h-full object-cover object-top" alt={getDigitalAlt(photo, t, SITE.name, locale)} />
+              </div>
+              {photo.pose && (
+                <figcaption className="mt-3 text-[10px] uppercase tracking-[0.4em] text-accent font-bold">
+                  {t(`digitals.pose.${photo.pose}`)}
+                </figcaption>
+              )}
+            </figure>
+          </li>
+        ))}
+      </ul>
+
+      {otherSets.length > 0 && (
+        <nav aria-labelledby="digitals-other-sets" className="mt-24">
+          <h3 id="digitals-other-sets" className="text-[10px] uppercase tracking-[0.5em] text-accent mb-8 font-bold">
+            {t("digitals.otherSets")}
+          </h3>
+          <ul className="divide-y divide-ink/10 border-y border-ink/10">
+            {otherSets.map((set) => (
+              <li key={set.id}>
+                <Link to={getSetPath(set)} className="flex items-center gap-6 py-4 text-ink hover:text-accent transition-colors">
+                  <span className="block w-16 aspect-[3/4] shrink-0 bg-canvas overflow-hidden">
+                    {set.photos[0] && <LazyPhoto photo={set.photos[0]} sizes={THUMBNAIL_SIZES} crop="3:4" className="w-full h-full object-cover object-top" alt="" />}
+                  </span>
+                  <span className="text-sm tracking-[0.1em]">
+                    {formatSetDate(set)}
+                    {set === sets[0] && <span className="ml-3 text-[10px] uppercase tracking-[0.4em] text-accent font-bold">{t("digitals.current")}</span>}
+                  </span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
+    </div>
+  );
+};
+
+export default DigitalsPage;
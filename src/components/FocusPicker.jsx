@@ -0,0 +1,190 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { X } from 'lucide-react';
+import LazyPhoto from './LazyPhoto';
+import { isVideo } from '../lib/catalog';
+import { getPhotoPosition, PHOTO_CROPS, PHOTO_FOCUS_ENDPOINT } from '../lib/photoFocus';
+import { withBase } from '../lib/router';
+
+const PREVIEWS = [
+  { crop: "square", aspect: "aspect-square" },
+  { crop: "3:4", aspect: "aspect-[3/4]" },
+  { crop: "16:9", aspect: "aspect-video", wide: true },
+  { crop: "mobile", aspect: "aspect-[9/16]" },
+];
+const TARGETS = ["focus", ...PHOTO_CROPS];
+
+const targetClassName = (isActive) =>
+  `px-4 py-2 rounded-full border text-[10px] uppercase tracking-[0.3em] transition-colors ${
+    isActive ? "bg-white border-white text-night" : "border-white/30 hover:border-white"
+  }`;
+
+// Dev-only tool: Alt+click any shoot photo or digital to open it here, click
+// the photo to place the focal point or a named crop, and save it to the
+// shoot's metadata through the dev server (plugins/photoFocusEditor). The
+// previews show how each container shape will crop it.
+const FocusPicker = ({ shoots, digitalSets }) => {
+  const [editing, setEditing] = useState(null);
+  const [target, setTarget] = useState("focus");
+  const [status, setStatus] = useState(null);
+
+  const photosByPath = useMemo(() => {
+    const photos = [
+      ...shoots.flatMap((shoot) => [shoot.image, ...shoot.gallery]),
+      ...digitalSets.flatMap((set) => set.photos),
+    ];
+
+    return new Map(photos.filter((photo) => !isVideo(photo)).map((photo) => [photo.path, photo]));
+  }, [shoots, digitalSets]);
+
+  useEffect(() => {
+    const handleClick = (event) => {
+      const image = event.altKey ? event.target.closest?.("img[data-photo-path]") : null;
+      const photo = image && photosByPath.get(image.dataset.photoPath);
+
+      if (!photo) {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+      setEditing({ photo, focus: photo.focus ?? null, crops: photo.crops ?? {} });
+      setTarget("focus");
+      setStatus(null);
+    };
+
+    document.addEventListener("click", handleClick, true);
+    return () => document.removeEventListener("click", handleClick, true);
+  }, [photosByPath]);
+
+  useEffect(() => {
+    if (!editing) {
+      return undefined;
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        setEditing(null);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [editing]);
+
+  if (!editing) {
+    return null;
+  }
+
+  const { photo } = editing;
+  const point = target === "focus" ? editing.focus : editing.crops[target] ?? null;
+  const draftPhoto = { ...photo, focus: editing.focus, crops: editing.crops };
+
+  const setPoint = (focus) =>
+    setEditing((current) =>
+      target === "focus" ? { ...current, focus } : { ...current, crops: { ...current.crops, [target]: focus ?? undefined } }
+    );
+
+  const handlePick = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    setPoint({
+      x: Math.round(((event.clientX - rect.left) / rect.width) * 100),
+      y: Math.round(((event.clientY - rect.top) / rect.height) * 100),
+    });
+    setStatus(null);
+  };
+
+  const save = async (focus) => {
+    setStatus({ message: "Saving…" });
+
+    try {
+      const response = await fetch(withBase(PHOTO_FOCUS_ENDPOINT), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ path: photo.path, target, focus }),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.ok) {
+        throw new Error(result.error ?? `HTTP ${response.status}`);
+      }
+
+      setPoint(focus);
+      setStatus({ message: `Saved to ${result.file}.` });
+    } catch (error) {
+      setStatus({ message: error.message, isError: true });
+    }
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Focal point picker" className="fixed inset-0 z-[300] overflow-y-auto bg-night/95 p-6 text-white">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex items-center justify-between gap-6 mb-6">
+          <p className="text-xs tracking-[0.1em] text-white/60 [overflow-wrap:anywhere]">{photo.path}</p>
+          <button type="button" onClick={() => setEditing(null)} aria-label="Close" autoFocus className="p-2 hover:text-haze">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="grid gap-10 lg:grid-cols-[minmax(0,1fr)_22rem]">
+          <div>
+            <div role="group" aria-label="Point to set" className="flex flex-wrap gap-3 mb-6">
+              {TARGETS.map((name) => (
+                <button key={name} type="button" aria-pressed={target === name} onClick={() => setTarget(name)} className={targetClassName(target === name)}>
+                  {name}
+                </button>
+              ))}
+            </div>
+
+            <div
+              onClick={handlePick}
+              className="relative mx-auto cursor-crosshair"
+              style={{ aspectRatio: photo.aspectRatio, width: `min(100%, ${70 * (photo.aspectRatio || 1)}vh)` }}
+            >
+              <LazyPhoto photo={photo} sizes="70vw" alt="" className="w-full h-full object-cover" priority />
+              {point && (
+                <span
+                  className="pointer-events-none absolute w-6 h-6 -ml-3 -mt-3 rounded-full border-2 border-white shadow-[0_0_0_2px_rgba(26,31,43,0.6)]"
+                  style={{ left: `${point.x}%`, top: `${point.y}%` }}
+                />
+              )}
+            </div>
+
+            <div className="mt-6 flex flex-wrap items-center gap-4 text-[10px] uppercase tracking-[0.3em]">
+              <button type="button" onClick={() => save(point)} disabled={!point} className="px-6 py-3 rounded-full bg-white text-night disabled:opacity-40">
+                Save {target}
+              </button>
+              <button type="button" onClick={() => save(null)} className="px-6 py-3 rounded-full border border-white/30 hover:border-white">
+                Clear {target}
+              </button>
+              {status && (
+                <span role="status" className={`normal-case tracking-normal text-xs ${status.isError ? "text-red-300" : "text-white/60"}`}>
+                  {status.message}
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 content-start">
+            {PREVIEWS.map(({ crop, aspect, wide }) => (
+              <figure key={crop} className={wide ? "col-span-2" : undefined}>
+                <div className={`${aspect} overflow-hidden bg-white/5`}>
+                  <LazyPhoto
+                    photo={photo}
+                    sizes="22rem"
+                    alt=""
+                    objectPosition={getPhotoPosition(draftPhoto, crop === "mobile" ? null : crop, crop === "mobile") ?? "50% 50%"}
+                    className="w-full h-full object-cover"
+                    priority
+                  />
+                </div>
+                <figcaption className="mt-2 text-[10px] uppercase tracking-[0.3em] text-white/50">{crop}</figcaption>
+              </figure>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FocusPicker;
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { motion as Motion, AnimatePresence, useReducedMotion } from 'framer-motion';
+import LazyPhoto from './LazyPhoto';
+import useMediaQuery, { MOBILE_QUERY } from '../hooks/useMediaQuery';
+
+const CROSSFADE_SECONDS = 1.6;
+
+// The photos behind the hero title. `images` are resolved hero images (see
+// lib/hero) carrying their `photo` and `mobilePhoto` catalog entries. Several
+// images crossfade every `interval` ms; visitors who prefer reduced motion
+// only ever see the first. With no images the section background shows.
+const HeroBackdrop = ({ images, interval, sizes, alt }) => {
+  const [index, setIndex] = useState(0);
+  const reduceMotion = useReducedMotion();
+  const isMobile = useMediaQuery(MOBILE_QUERY);
+  const canRotate = images.length > 1 && !reduceMotion;
+
+  useEffect(() => {
+    if (!canRotate) {
+      return undefined;
+    }
+
+    const timer = window.setInterval(() => setIndex((current) => (current + 1) % images.length), interval);
+    return () => window.clearInterval(timer);
+  }, [canRotate, images.length, interval]);
+
+  const image = images[canRotate ? index % images.length : 0];
+
+  if (!image) {
+    return null;
+  }
+
+  return (
+    <div className="absolute inset-0 w-full h-full">
+      <AnimatePresence initial={false}>
+        <Motion.div
+          key={image.path}
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: CROSSFADE_SECONDS, ease: "easeInOut" }}
+          className="absolute inset-0"
+        >
+          <LazyPhoto
+            photo={isMobile ? image.mobilePhoto : image.photo}
+            objectPosition={isMobile ? image.mobilePosition : image.position}
+            alt={image.alt ?? alt}
+            sizes={sizes}
+            className="w-full h-full object-cover brightness-[0.9] contrast-[1.05]"
+            priority
+          />
+          <div
+            className="absolute inset-0 bg-gradient-to-b from-night/40 via-transparent to-night/60"
+            style={{ opacity: image.overlay }}
+          />
+        </Motion.div>
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default HeroBackdrop;
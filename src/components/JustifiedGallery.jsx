@@ -0,0 +1,34 @@
+import React, { useMemo } from 'react';
+import useMediaQuery, { MOBILE_QUERY } from '../hooks/useMediaQuery';
+import { buildGalleryRows, GALLERY_MAX_WIDTH, getGalleryColumns, getGalleryTileSizes } from '../lib/galleryLayout';
+
+// Lays `items` out in justified rows (see lib/galleryLayout): two columns'
+// worth per row on phones, three from `md` up. Every tile's box is sized from
+// the entry's aspect ratio before anything loads, so nothing shifts as photos
+// arrive. `renderTile(item, index, sizes)` fills a tile edge to edge; `sizes`
+// is the tile's `sizes` hint given the gallery's `maxWidth` in rem.
+const JustifiedGallery = ({ items, renderTile, maxWidth = GALLERY_MAX_WIDTH }) => {
+  const isMobile = useMediaQuery(MOBILE_QUERY);
+  const columns = getGalleryColumns(isMobile);
+  const rows = useMemo(() => buildGalleryRows(items, columns), [items, columns]);
+
+  return (
+    <div className="flex flex-col gap-[var(--gallery-gap)] [--gallery-gap:1.5rem] md:[--gallery-gap:2.5rem]">
+      {rows.map((row) => (
+        <div key={row.tiles[0].index} className="flex gap-[var(--gallery-gap)]">
+          {row.tiles.map(({ item, index, aspect, share }) => (
+            <div
+              key={item.path}
+              className="shrink-0"
+              style={{ width: `calc((100% - ${row.tiles.length - 1} * var(--gallery-gap)) * ${share})`, aspectRatio: aspect }}
+            >
+              {renderTile(item, index, getGalleryTileSizes(share, maxWidth))}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default JustifiedGallery;
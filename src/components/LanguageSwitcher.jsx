@@ -0,0 +1,44 @@
+import React from 'react';
+import Link from './Link';
+import useI18n from '../hooks/useI18n';
+import useRouter from '../hooks/useRouter';
+import { LOCALE_CODES, LOCALES, saveLocalePreference } from '../lib/i18n';
+
+// The current page in every locale. Plain links, so each translation is
+// crawlable; a click also remembers the choice for the next visit.
+const LanguageSwitcher = ({ className = "", linkClassName = "", onSelect }) => {
+  const { location, route } = useRouter();
+  const { locale, t } = useI18n();
+  // Portfolio filters carry over. Other queries are dropped: on a private
+  // gallery the query is the share key, which is already in session storage.
+  const query = route.name === "portfolio" ? location.search : "";
+
+  return (
+    <nav aria-label={t("nav.language")} className={`flex items-center gap-3 ${className}`}>
+      {LOCALE_CODES.map((code) => (
+        <Link
+          key={code}
+          to={location.pathname}
+          query={query}
+          hash={location.hash}
+          locale={code}
+          replace
+          scroll={false}
+          lang={code}
+          hrefLang={code}
+          title={LOCALES[code].label}
+          aria-current={code === locale ? "true" : undefined}
+          onClick={() => {
+            saveLocalePreference(code);
+            onSelect?.();
+          }}
+          className={`${linkClassName} ${code === locale ? "opacity-100" : "opacity-40 hover:opacity-100"}`}
+        >
+          {code}
+        </Link>
+      ))}
+    </nav>
+  );
+};
+
+export default LanguageSwitcher;
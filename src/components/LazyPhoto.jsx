@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useMediaQuery, { MOBILE_QUERY } from '../hooks/useMediaQuery';
+import { getPhotoPosition } from '../lib/photoFocus';
+import { splitSources, toPicture } from '../lib/photoPrefetch';
+
+// Photos of protected shoots: no context menu, dragging or iOS save callout.
+// This only slows casual saving down; the build-time watermark is what
+// actually travels with a copied file.
+const PROTECTED_STYLE = { WebkitTouchCallout: 'none', WebkitUserSelect: 'none', userSelect: 'none' };
+const preventDefault = (event) => event.preventDefault();
+
+// `photo` is a catalog entry: { loader, width, height, aspectRatio, lqip }.
+// Known dimensions reserve the box up front and the LQIP is painted behind
+// the image until the full-size file has loaded.
+// `onView` fires once, the first time at least half the photo is on screen.
+// `crop` names the container's shape ("square", "3:4", "16:9") so an
+// object-cover photo is positioned by its focal point or matching named crop
+// (see lib/photoFocus); `objectPosition` overrides both. The LQIP follows.
+const LazyPhoto = React.memo(({ photo, alt, className, sizes = '100vw', priority = false, protect = false, crop, objectPosition, onView }) => {
+  const [picture, setPicture] = useState(null);
+  const [loadedSrc, setLoadedSrc] = useState(null);
+  const [shouldLoad, setShouldLoad] = useState(() => priority || typeof IntersectionObserver === 'undefined');
+  const imageRef = useRef(null);
+  const onViewRef = useRef(onView);
+  const isMobile = useMediaQuery(MOBILE_QUERY);
+  const position = objectPosition ?? getPhotoPosition(photo, crop, isMobile);
+  const loader = photo?.loader;
+  const hasViewHandler = Boolean(onView);
+
+  useEffect(() => {
+    onViewRef.current = onView;
+  });
+
+  useEffect(() => {
+    if (priority || shouldLoad) {
+      return undefined;
+    }
+
+    const node = imageRef.current;
+
+    if (!node) {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry?.isIntersecting) {
+          setShouldLoad(true);
+          observer.disconnect();
+        }
+      },
+      { rootMargin: '300px 0px' }
+    );
+
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [priority, shouldLoad]);
+
+  // The loading observer above fires well before the photo is visible (and
+  // not at all for priority photos), so views get their own margin-less one.
+  useEffect(() => {
+    const node = imageRef.current;
+
+    if (!hasViewHandler || !node || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry?.isIntersecting) {
+          observer.disconnect();
+          onViewRef.current?.();
+        }
+      },
+      { threshold: 0.5 }
+    );
+
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [hasViewHandler]);
+
+  useEffect(() => {
+    if (!loader || !shouldLoad) {
+      return undefined;
+    }
+
+    let isMounted = true;
+
+    loader()
+      .then((resolved) => {
+        if (isMounted) {
+          setPicture(toPicture(resolved));
+        }
+      })
+      .catch(() => {
+        if (isMounted) {
+          setPicture(null);
+        }
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [loader, shouldLoad]);
+
+  const { modernSources, fallbackSrcSet } = splitSources(picture);
+  const src = picture?.img.src;
+  const isLoaded = Boolean(src) && loadedSrc === src;
+  const placeholderStyle = photo?.lqip && !isLoaded
+    ? { backgroundImage: `url(${photo.lqip})`, backgroundSize: 'cover', backgroundPosition: position ?? 'center' }
+    : undefined;
+
+  return (
+    <picture className="contents">
+      {Object.entries(modernSources).map(([format, srcSet]) => (
+        <source key={format} type={`image/${format}`} srcSet={srcSet} sizes={sizes} />
+      ))}
+      <img
+        ref={imageRef}
+        src={src || undefined}
+        srcSet={fallbackSrcSet}
+        sizes={fallbackSrcSet ? sizes : undefined}
+        width={photo?.width}
+        height={photo?.height}
+        alt={alt}
+        className={className}
+        style={{ aspectRatio: photo?.aspectRatio, objectPosition: position, ...placeholderStyle, ...(protect ? PROTECTED_STYLE : undefined) }}
+        loading="lazy"
+        fetchPriority={priority ? 'high' : undefined}
+        decoding="async"
+        onLoad={() => setLoadedSrc(src)}
+        onContextMenu={protect ? preventDefault : undefined}
+        onDragStart={protect ? preventDefault : undefined}
+        draggable={protect ? false : undefined}
+        data-photo-path={import.meta.env.DEV ? photo?.path : undefined}
+      />
+    </picture>
+  );
+});
+
+export default LazyPhoto;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useMediaQuery, { REDUCED_MOTION_QUERY } from '../hooks/useMediaQuery';
+
+// `video` is a catalog entry: { src, mimeType, loader, width, height,
+// aspectRatio, lqip }, where `loader` resolves the poster frame's `picture`.
+// By default the clip is ambient: muted, looped, and playing only while it is
+// on screen and `active`. With `controls` playback is left to the visitor and
+// the clip just pauses when it stops being `active` (e.g. a lightbox swipe).
+const LazyVideo = React.memo(({ video, label, className, active = true, controls = false }) => {
+  const [posterSrc, setPosterSrc] = useState(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const [shouldLoad, setShouldLoad] = useState(() => typeof IntersectionObserver === 'undefined');
+  const reducedMotion = useMediaQuery(REDUCED_MOTION_QUERY);
+  const videoRef = useRef(null);
+  const loader = video?.loader;
+
+  useEffect(() => {
+    const node = videoRef.current;
+
+    if (!node || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        const isIntersecting = Boolean(entry?.isIntersecting);
+        setIsVisible(isIntersecting);
+
+        if (isIntersecting) {
+          setShouldLoad(true);
+        }
+      },
+      { rootMargin: '200px 0px', threshold: 0.25 }
+    );
+
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!loader || !shouldLoad) {
+      return undefined;
+    }
+
+    let isMounted = true;
+
+    loader()
+      .then((picture) => {
+        if (isMounted) {
+          setPosterSrc(picture?.img.src ?? null);
+        }
+      })
+      .catch(() => {});
+
+    return () => {
+      isMounted = false;
+    };
+  }, [loader, shouldLoad]);
+
+  const shouldAutoplay = !controls && active && isVisible && !reducedMotion;
+
+  useEffect(() => {
+    const node = videoRef.current;
+
+    if (!node || !shouldLoad) {
+      return;
+    }
+
+    if (shouldAutoplay) {
+      // Browsers may still refuse (data saver, low power); the poster stays.
+      node.play().catch(() => {});
+    } else if (!controls || !active) {
+      node.pause();
+    }
+  }, [shouldAutoplay, shouldLoad, controls, active]);
+
+  const placeholderStyle = video?.lqip && !posterSrc
+    ? { backgroundImage: `url(${video.lqip})`, backgroundSize: 'cover', backgroundPosition: 'center' }
+    : undefined;
+
+  return (
+    <video
+      ref={videoRef}
+      src={shouldLoad ? video?.src : undefined}
+      poster={posterSrc ?? undefined}
+      width={video?.width}
+      height={video?.height}
+      className={className}
+      style={{ aspectRatio: video?.aspectRatio, ...placeholderStyle }}
+      aria-label={label}
+      muted={!controls}
+      loop={!controls}
+      controls={controls}
+      playsInline
+      preload={shouldLoad ? 'metadata' : 'none'}
+    />
+  );
+});
+
+export default LazyVideo;
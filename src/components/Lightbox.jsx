@@ -0,0 +1,135 @@
+import React, { useEffect, useRef } from 'react';
+import { X } from 'lucide-react';
+import { motion as Motion, useReducedMotion } from 'framer-motion';
+import { Swiper, SwiperSlide } from 'swiper/react';
+import { A11y, Keyboard, Navigation, Zoom } from 'swiper/modules';
+import LazyPhoto from './LazyPhoto';
+import LazyVideo from './LazyVideo';
+import useFocusTrap from '../hooks/useFocusTrap';
+import useI18n from '../hooks/useI18n';
+import { isVideo } from '../lib/catalog';
+import { toCounterValue } from '../lib/format';
+import { getGalleryPhotoAlt } from '../lib/photoMeta';
+import 'swiper/css';
+import 'swiper/css/navigation';
+import 'swiper/css/zoom';
+
+// Fullscreen viewer for a shoot gallery: photos zoom, clips get controls.
+// The active slide is owned by the caller (it lives in the URL), so swipes
+// report back through onIndexChange and external index changes
+// (back/forward) are synced into the Swiper. For a protected shoot,
+// `protection.copyright` goes over every photo in place of the EXIF credit.
+// `onPhotoView(index)` reports each photo the first time it is seen.
+// Focus stays inside while it is open and returns to the opening tile.
+const Lightbox = ({ photos, index, title, protection, onIndexChange, onPhotoView, onClose }) => {
+  const { locale, t } = useI18n();
+  const dialogRef = useRef(null);
+  const swiperRef = useRef(null);
+  const prefersReducedMotion = useReducedMotion();
+  const activePhoto = photos[index];
+  const credit = protection?.copyright
+    ?? activePhoto?.copyright
+    ?? (activePhoto?.credit ? `© ${activePhoto.credit}` : null);
+
+  const getAlt = (photo, i) => getGalleryPhotoAlt(photo, { title, number: i + 1, count: photos.length }, t, locale);
+
+  useFocusTrap(dialogRef, true, onClose);
+
+  useEffect(() => {
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+
+    return () => {
+      document.body.style.overflow = previousOverflow;
+    };
+  }, []);
+
+  useEffect(() => {
+    const swiper = swiperRef.current;
+
+    if (swiper && swiper.activeIndex !== index) {
+      swiper.slideTo(index, 0, false);
+    }
+  }, [index]);
+
+  return (
+    <Motion.div
+      ref={dialogRef}
+      tabIndex={-1}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      transition={{ duration: 0.4, ease: [0.22, 1, 0.36, 1] }}
+      className="lightbox fixed inset-0 z-[120] bg-night/95 text-white focus:outline-none"
+      role="dialog"
+      aria-modal="true"
+      aria-label={t("lightbox.gallery", { title })}
+    >
+      <div className="absolute top-0 inset-x-0 z-10 px-6 py-4 flex justify-between items-center text-[10px] uppercase tracking-[0.4em]">
+        <span className="font-bold">{title}</span>
+        <div className="flex items-center gap-6">
+          <span className="font-tt-commons-expanded-thin">
+            {toCounterValue(index + 1)} <span className="opacity-50">/</span> {toCounterValue(photos.length)}
+          </span>
+          <button type="button" onClick={onClose} className="p-2 hover:text-haze transition-colors" aria-label={t("lightbox.close")}>
+            <X size={24} />
+          </button>
+        </div>
+      </div>
+
+      <Swiper
+        className="lightbox-swiper"
+        modules={[Keyboard, Navigation, Zoom, A11y]}
+        initialSlide={index}
+        speed={prefersReducedMotion ? 0 : 450}
+        keyboard={{ enabled: true }}
+        a11y={{ prevSlideMessage: t("lightbox.prev"), nextSlideMessage: t("lightbox.next") }}
+        zoom={{ maxRatio: 3 }}
+        navigation={{
+          prevEl: '.lightbox-prev',
+          nextEl: '.lightbox-next'
+        }}
+        onSwiper={(swiper) => {
+          swiperRef.current = swiper;
+        }}
+        onSlideChange={(swiper) => onIndexChange(swiper.activeIndex)}
+      >
+        {photos.map((photo, i) => (
+          <SwiperSlide key={photo.path} zoom={!isVideo(photo)}>
+            {isVideo(photo) ? (
+              <LazyVideo
+                video={photo}
+                label={getAlt(photo, i)}
+                className="lightbox-image"
+                active={i === index}
+                controls
+              />
+            ) : (
+              <LazyPhoto
+                photo={photo}
+                alt={getAlt(photo, i)}
+                sizes="100vw"
+                className="lightbox-image"
+                priority={i === index}
+                protect={Boolean(protection)}
+                onView={onPhotoView ? () => onPhotoView(i) : undefined}
+              />
+            )}
+          </SwiperSlide>
+        ))}
+      </Swiper>
+
+      {(activePhoto?.caption || credit) && (
+        <div className="absolute bottom-0 inset-x-0 z-10 px-6 py-4 flex flex-col md:flex-row md:justify-between gap-1 text-[10px] uppercase tracking-[0.3em] pointer-events-none">
+          <span>{activePhoto.caption}</span>
+          <span className="opacity-60">{credit}</span>
+        </div>
+      )}
+
+      <button type="button" className="lightbox-btn lightbox-prev" aria-label={t("lightbox.prev")}>{t("work.prev")}</button>
+      <button type="button" className="lightbox-btn lightbox-next" aria-label={t("lightbox.next")}>{t("work.next")}</button>
+    </Motion.div>
+  );
+};
+
+export default Lightbox;
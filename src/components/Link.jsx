@@ -0,0 +1,30 @@
+import React from 'react';
+import useRouter from '../hooks/useRouter';
+import { toHref, withBase, withLocale } from '../lib/router';
+
+// A real <a href> (so it can be opened in a new tab, copied or crawled) that
+// navigates in-app on a plain left click. `to` is an app path; the current
+// locale prefix is added unless `locale` names another.
+const Link = ({ to, query, hash, replace, scroll, locale, onClick, children, ...props }) => {
+  const { location, navigate } = useRouter();
+  const targetLocale = locale ?? location.locale;
+
+  const handleClick = (event) => {
+    onClick?.(event);
+
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || props.target) {
+      return;
+    }
+
+    event.preventDefault();
+    navigate(to, { query, hash, replace, scroll, locale: targetLocale });
+  };
+
+  return (
+    <a {...props} href={withBase(toHref(withLocale(to, targetLocale), { query, hash }))} onClick={handleClick}>
+      {children}
+    </a>
+  );
+};
+
+export default Link;
@@ -0,0 +1,130 @@
+import React, { useMemo } from 'react';
+import { motion as Motion } from 'framer-motion';
+import LazyPhoto from './LazyPhoto';
+import useI18n from '../hooks/useI18n';
+import { filterPortfolio, getPortfolioFilterOptions, PORTFOLIO_SORTS } from '../lib/portfolioFilters';
+
+const COVER_SIZES = "(min-width: 1280px) 24rem, (min-width: 768px) 33vw, 50vw";
+
+const chipClassName = (isActive) =>
+  `px-4 py-2 rounded-full border text-[10px] uppercase tracking-[0.3em] transition-colors ${
+    isActive
+      ? "bg-ink border-ink text-paper"
+      : "border-ink/20 text-ink hover:border-accent hover:text-accent"
+  }`;
+
+// Every shoot as a grid of covers, filterable by category and tags. The
+// filter state is owned by the caller, which keeps it in the URL query.
+const PortfolioIndex = ({ shoots, filters, onFiltersChange, onOpenProject }) => {
+  const { t } = useI18n();
+  const options = useMemo(() => getPortfolioFilterOptions(shoots), [shoots]);
+  const visibleShoots = useMemo(() => filterPortfolio(shoots, filters), [shoots, filters]);
+  const hasFilters = Boolean(filters.category) || filters.tags.length > 0;
+
+  const setCategory = (category) => onFiltersChange({ ...filters, category });
+  const toggleTag = (tag) =>
+    onFiltersChange({
+      ...filters,
+      tags: filters.tags.includes(tag) ? filters.tags.filter((item) => item !== tag) : [...filters.tags, tag],
+    });
+
+  return (
+    <div className="max-w-7xl mx-auto px-6">
+      <div className="flex flex-wrap items-end justify-between gap-8 mb-12">
+        <div>
+          <span className="text-[10px] uppercase tracking-[0.5em] text-accent mb-4 block font-bold">{t("portfolio.eyebrow")}</span>
+          <h2 className="text-4xl md:text-6xl font-tt-commons-expanded-thin tracking-tighter text-ink">{t("portfolio.heading")}</h2>
+        </div>
+        <label className="flex items-center gap-4 text-[10px] uppercase tracking-[0.4em] text-accent font-bold">
+          {t("portfolio.sort")}
+          <select
+            value={filters.sort}
+            onChange={(event) => onFiltersChange({ ...filters, sort: event.target.value })}
+            className="bg-transparent border-b border-ink/20 py-2 text-xs tracking-[0.2em] text-ink focus:outline-none focus:border-accent"
+          >
+            {PORTFOLIO_SORTS.map((sort) => (
+              <option key={sort} value={sort}>{t(`portfolio.sort.${sort}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="space-y-6 mb-16">
+        <div role="group" aria-label={t("portfolio.filterCategory")} className="flex flex-wrap gap-3">
+          <button type="button" aria-pressed={!filters.category} onClick={() => setCategory(null)} className={chipClassName(!filters.category)}>
+            {t("portfolio.all")}
+          </button>
+          {options.categories.map((category) => (
+            <button
+              key={category}
+              type="button"
+              aria-pressed={filters.category === category}
+              onClick={() => setCategory(filters.category === category ? null : category)}
+              className={chipClassName(filters.category === category)}
+            >
+              {category}
+            </button>
+          ))}
+        </div>
+        {options.tags.length > 0 && (
+          <div role="group" aria-label={t("portfolio.filterTag")} className="flex flex-wrap gap-3">
+            {options.tags.map((tag) => (
+              <button
+                key={tag}
+                type="button"
+                aria-pressed={filters.tags.includes(tag)}
+                onClick={() => toggleTag(tag)}
+                className={chipClassName(filters.tags.includes(tag))}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
+        <p aria-live="polite" className="text-[10px] uppercase tracking-[0.4em] text-ink/50">
+          {t("portfolio.count", { visible: visibleShoots.length, total: shoots.length })}
+          {hasFilters && (
+            <button
+              type="button"
+              onClick={() => onFiltersChange({ ...filters, category: null, tags: [] })}
+              className="ml-6 underline hover:text-accent"
+            >
+              {t("portfolio.clear")}
+            </button>
+          )}
+        </p>
+      </div>
+
+      {visibleShoots.length > 0 ? (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-12 md:gap-x-10">
+          {visibleShoots.map((shoot) => (
+            <Motion.div key={shoot.id} layout initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }}>
+              <button
+                type="button"
+                onClick={() => onOpenProject(shoot)}
+                className="group block w-full text-left"
+              >
+                <span className="block aspect-[3/4] overflow-hidden bg-canvas">
+                  <LazyPhoto
+                    photo={shoot.image}
+                    alt={shoot.title}
+                    sizes={COVER_SIZES}
+                    crop="3:4"
+                    className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-105"
+                    protect={Boolean(shoot.protection)}
+                  />
+                </span>
+                <span className="block mt-4 text-xs md:text-sm uppercase tracking-[0.3em] font-bold text-ink">{shoot.title}</span>
+                <span className="block mt-2 text-[10px] uppercase tracking-[0.26em] text-accent">{shoot.category}</span>
+              </button>
+            </Motion.div>
+          ))}
+        </div>
+      ) : (
+        <div className="py-40 text-center opacity-40 uppercase tracking-[0.5em] text-sm italic">{t("portfolio.empty")}</div>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioIndex;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+// Statuses from usePrivateShoot that get a message under the field.
+const STATUS_MESSAGES = {
+  denied: "privateGallery.denied",
+  expired: "privateGallery.expired",
+};
+
+// Password prompt shown on an unknown /portfolio/<slug> route, which is also
+// where private galleries live.
+const PrivateGalleryUnlock = ({ status, onUnlock }) => {
+  const { t } = useI18n();
+  const [password, setPassword] = useState("");
+  const isUnlocking = status === "unlocking";
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    if (password.trim()) {
+      onUnlock(password.trim());
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-16 pt-12 border-t border-ink/5 max-w-md mx-auto">
+      <label htmlFor="private-gallery-password" className="flex items-center justify-center gap-3 text-[10px] uppercase tracking-[0.4em] text-accent font-bold mb-6">
+        <Lock size={14} /> {t("privateGallery.prompt")}
+      </label>
+      <div className="flex gap-4">
+        <input
+          id="private-gallery-password"
+          type="password"
+          autoComplete="off"
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          aria-invalid={status === "denied" ? true : undefined}
+          aria-describedby={STATUS_MESSAGES[status] ? "private-gallery-status" : undefined}
+          className="flex-1 min-w-0 bg-transparent border-b border-ink/20 py-3 text-sm text-ink focus:outline-none focus:border-accent transition-colors"
+        />
+        <button
+          type="submit"
+          disabled={isUnlocking}
+          className="px-8 py-3 border border-ink bg-ink text-paper rounded-full text-[10px] uppercase tracking-[0.4em] hover:bg-accent hover:border-accent transition-all disabled:opacity-50 disabled:cursor-wait"
+        >
+          {isUnlocking ? t("privateGallery.unlocking") : t("privateGallery.unlock")}
+        </button>
+      </div>
+      {STATUS_MESSAGES[status] && (
+        <p id="private-gallery-status" role="alert" className="mt-4 text-xs text-red-700 dark:text-red-300">{t(STATUS_MESSAGES[status])}</p>
+      )}
+    </form>
+  );
+};
+
+export default PrivateGalleryUnlock;
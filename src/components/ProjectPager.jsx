@@ -0,0 +1,62 @@
+import React from 'react';
+import { ArrowLeft, ArrowRight } from 'lucide-react';
+import LazyPhoto from './LazyPhoto';
+import Link from './Link';
+import useI18n from '../hooks/useI18n';
+import { getProjectPath } from '../lib/router';
+
+const THUMBNAIL_SIZES = "6rem";
+
+// Links to the shoots either side of the open one, in the same newest-first
+// order as the work slider; either may be null at the ends.
+// `onOpen(shoot)` fires before the link navigates.
+const ProjectPager = ({ previous, next, onOpen, className = "" }) => {
+  const { t } = useI18n();
+
+  const renderLink = (shoot, direction) => {
+    const isNext = direction === "next";
+    const Arrow = isNext ? ArrowRight : ArrowLeft;
+
+    return (
+      <Link
+        to={getProjectPath(shoot.routeSlug)}
+        rel={direction}
+        onClick={() => onOpen?.(shoot)}
+        className={`group flex items-center gap-6 ${isNext ? "col-start-2 flex-row-reverse text-right" : ""}`}
+      >
+        <span className="block w-16 md:w-24 aspect-[3/4] shrink-0 bg-canvas overflow-hidden">
+          <LazyPhoto
+            photo={shoot.image}
+            sizes={THUMBNAIL_SIZES}
+            crop="3:4"
+            className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-105"
+            alt=""
+            protect={Boolean(shoot.protection)}
+          />
+        </span>
+        <span className="min-w-0">
+          <span className={`flex items-center gap-3 text-[10px] uppercase tracking-[0.4em] text-accent font-bold mb-3 ${isNext ? "justify-end" : ""}`}>
+            {!isNext && <Arrow size={14} aria-hidden="true" className="transition-transform group-hover:-translate-x-1" />}
+            {t(isNext ? "work.nextShoot" : "work.prevShoot")}
+            {isNext && <Arrow size={14} aria-hidden="true" className="transition-transform group-hover:translate-x-1" />}
+          </span>
+          <span className="block text-xs md:text-sm uppercase tracking-[0.3em] font-bold text-ink [overflow-wrap:anywhere]">{shoot.title}</span>
+          <span className="hidden md:block mt-2 text-[10px] uppercase tracking-[0.26em] text-accent">{shoot.category}</span>
+        </span>
+      </Link>
+    );
+  };
+
+  if (!previous && !next) {
+    return null;
+  }
+
+  return (
+    <nav aria-label={t("project.moreShoots")} className={`grid grid-cols-2 gap-6 md:gap-16 text-left ${className}`}>
+      {previous && renderLink(previous, "prev")}
+      {next && renderLink(next, "next")}
+    </nav>
+  );
+};
+
+export default ProjectPager;
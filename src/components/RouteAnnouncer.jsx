@@ -0,0 +1,12 @@
+import React from 'react';
+
+// Reads the page title out after in-app navigation, which screen readers
+// otherwise don't notice the way they do a full page load. The region is
+// there from the first render, so the initial title isn't read a second time.
+const RouteAnnouncer = ({ message }) => (
+  <p className="sr-only" aria-live="polite" aria-atomic="true">
+    {message}
+  </p>
+);
+
+export default RouteAnnouncer;
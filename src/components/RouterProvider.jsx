@@ -0,0 +1,206 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { REDUCED_MOTION_QUERY } from '../hooks/useMediaQuery';
+import { RouterContext } from '../hooks/useRouter';
+import { DEFAULT_LOCALE, detectLocale, readLocalePreference } from '../lib/i18n';
+import { matchRoute, splitLocale, stripBase, toHref, withBase, withLocale } from '../lib/router';
+
+const SCROLL_POSITIONS_KEY = "router-scroll-positions";
+const MAX_SCROLL_POSITIONS = 50;
+
+const createEntryKey = () => Math.random().toString(36).slice(2, 10);
+
+const readScrollPositions = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SCROLL_POSITIONS_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const saveScrollPosition = (key, top) => {
+  if (!key) {
+    return;
+  }
+
+  const positions = readScrollPositions();
+  delete positions[key];
+  positions[key] = top;
+
+  // Keys keep insertion order, so the oldest entries are dropped first.
+  const keys = Object.keys(positions);
+  keys.slice(0, Math.max(keys.length - MAX_SCROLL_POSITIONS, 0)).forEach((staleKey) => delete positions[staleKey]);
+
+  try {
+    window.sessionStorage.setItem(SCROLL_POSITIONS_KEY, JSON.stringify(positions));
+  } catch {
+    // Without session storage, back/forward simply lands at the top.
+  }
+};
+
+const decodeHash = (hash) => {
+  const value = hash.replace(/^#/, "");
+
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// Every history entry carries a key so its scroll position can be found
+// again; entries made by plain #hash links or older builds get one lazily.
+const ensureEntryKey = () => {
+  if (!window.history.state?.key) {
+    window.history.replaceState({ ...window.history.state, key: createEntryKey() }, "");
+  }
+};
+
+const readLocation = () => {
+  const { locale, pathname } = splitLocale(stripBase(window.location.pathname));
+
+  return {
+    locale,
+    pathname,
+    search: window.location.search,
+    hash: decodeHash(window.location.hash),
+    state: window.history.state,
+    key: window.history.state?.key ?? null,
+  };
+};
+
+// An unprefixed (English) URL is moved to the visitor's language on first
+// load: the one they picked before, else the browser's. Prefixed URLs are
+// always taken as they are.
+const redirectToPreferredLocale = () => {
+  const location = readLocation();
+
+  if (location.locale !== DEFAULT_LOCALE) {
+    return;
+  }
+
+  const preferred = readLocalePreference() ?? detectLocale(navigator.languages ?? [navigator.language]);
+
+  if (preferred !== DEFAULT_LOCALE) {
+    const href = toHref(withLocale(location.pathname, preferred), { query: location.search, hash: location.hash });
+    window.history.replaceState(window.history.state, "", withBase(href));
+  }
+};
+
+// Where a revisited entry should land: its saved position, else its #hash.
+const getRestoredScroll = (location) => {
+  const top = readScrollPositions()[location.key];
+
+  if (typeof top === "number") {
+    return { top };
+  }
+
+  return location.hash ? { hash: location.hash } : null;
+};
+
+/**
+ * History-API router. Owns the current location, resolves it against the
+ * route table in lib/router and restores scroll per history entry.
+ *
+ * Scrolling waits for `completeNavigation()`: the app calls it once the
+ * incoming view is on screen (AnimatePresence's onExitComplete, or straight
+ * away when the view didn't change), so #section targets exist by then.
+ */
+const RouterProvider = ({ children }) => {
+  const [initialLocation] = useState(() => {
+    redirectToPreferredLocale();
+    ensureEntryKey();
+    return readLocation();
+  });
+  const [location, setLocation] = useState(initialLocation);
+  const locationRef = useRef(initialLocation);
+  const pendingScrollRef = useRef(getRestoredScroll(initialLocation));
+
+  const commitLocation = useCallback(() => {
+    const next = readLocation();
+    locationRef.current = next;
+    setLocation(next);
+  }, []);
+
+  useEffect(() => {
+    window.history.scrollRestoration = "manual";
+
+    const handlePopState = () => {
+      saveScrollPosition(locationRef.current.key, window.scrollY);
+      ensureEntryKey();
+      pendingScrollRef.current = getRestoredScroll(readLocation()) ?? { top: 0 };
+      commitLocation();
+    };
+
+    // Lets a reload come back to the same spot.
+    const handlePageHide = () => saveScrollPosition(locationRef.current.key, window.scrollY);
+
+    window.addEventListener("popstate", handlePopState);
+    window.addEventListener("pagehide", handlePageHide);
+
+    return () => {
+      window.removeEventListener("popstate", handlePopState);
+      window.removeEventListener("pagehide", handlePageHide);
+    };
+  }, [commitLocation]);
+
+  /**
+   * Options: `replace` swaps the current entry, `state` is stored with it,
+   * `query` ("?a=b") and `hash` ("contact") complete the URL, `locale`
+   * switches language (it defaults to the current one) and `scroll: false`
+   * leaves the page where it is (lightbox, filters).
+   */
+  const navigate = useCallback((path, options = {}) => {
+    const current = locationRef.current;
+    const { replace = false, state = null, query = "", hash = "", scroll = true, locale = current.locale } = options;
+    const href = toHref(withLocale(path, locale), { query, hash });
+    const isSameEntry = href === toHref(withLocale(current.pathname, current.locale), { query: current.search, hash: current.hash });
+    const shouldReplace = replace || isSameEntry;
+
+    if (!shouldReplace) {
+      saveScrollPosition(current.key, window.scrollY);
+    }
+
+    const key = shouldReplace ? current.key : createEntryKey();
+    window.history[shouldReplace ? "replaceState" : "pushState"]({ ...state, key }, "", withBase(href));
+
+    if (scroll) {
+      pendingScrollRef.current = hash ? { hash, smooth: true } : { top: 0 };
+    }
+
+    commitLocation();
+  }, [commitLocation]);
+
+  const back = useCallback(() => window.history.back(), []);
+
+  const completeNavigation = useCallback(() => {
+    const pending = pendingScrollRef.current;
+
+    if (!pending) {
+      return;
+    }
+
+    pendingScrollRef.current = null;
+
+    // One frame so a view mounted in this commit has been laid out.
+    window.requestAnimationFrame(() => {
+      const target = pending.hash ? document.getElementById(pending.hash) : null;
+
+      if (target) {
+        const smooth = pending.smooth && !window.matchMedia(REDUCED_MOTION_QUERY).matches;
+        target.scrollIntoView({ behavior: smooth ? "smooth" : "auto", block: "start" });
+        return;
+      }
+
+      window.scrollTo({ top: pending.top ?? 0, behavior: "auto" });
+    });
+  }, []);
+
+  const router = useMemo(
+    () => ({ location, route: matchRoute(location.pathname), navigate, back, completeNavigation }),
+    [location, navigate, back, completeNavigation]
+  );
+
+  return <RouterContext.Provider value={router}>{children}</RouterContext.Provider>;
+};
+
+export default RouterProvider;
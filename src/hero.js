@@ -0,0 +1,16 @@
+// The home page hero. Each image names a file in src/assets/photos (e.g.
+// "A.Wachtendonk-17.JPG" or "2025-06-01-lakefront/3.jpg") with:
+//   focus    the point kept in frame when the photo is cropped, in percent
+//            from the left and top; { x: 50, y: 3 } holds the top edge
+//   overlay  strength of the shade behind the name, from 0 (none) to 1
+//   mobile   optional crop for phones: another `file`, a `focus`, or both
+//   alt      alt text, the site name when left out
+// With several images the hero crossfades to the next every `interval`
+// milliseconds, except for visitors who prefer reduced motion. Missing files
+// are skipped; with none left the hero shows its plain background.
+export const HERO = {
+  interval: 7000,
+  images: [
+    { file: "A.Wachtendonk-17.JPG", focus: { x: 50, y: 3 }, overlay: 1 },
+  ],
+};
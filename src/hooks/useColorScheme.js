@@ -0,0 +1,25 @@
+import { useEffect } from 'react';
+import useMediaQuery from './useMediaQuery';
+import usePersistentState from './usePersistentState';
+
+// index.html reads the same key before the app loads, so a stored choice
+// doesn't flash the wrong mode first.
+export const COLOR_SCHEME_KEY = "color-scheme";
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+// "light" or "dark" (gallery mode): the visitor's own choice once they have
+// made one, the system setting until then. Keeps the `dark` class on <html>
+// that the colour tokens in index.css switch on.
+const useColorScheme = () => {
+  const [storedScheme, setScheme] = usePersistentState(COLOR_SCHEME_KEY, null);
+  const prefersDark = useMediaQuery(DARK_QUERY);
+  const scheme = storedScheme === "light" || storedScheme === "dark" ? storedScheme : prefersDark ? "dark" : "light";
+
+  useEffect(() => {
+    document.documentElement.classList.toggle("dark", scheme === "dark");
+  }, [scheme]);
+
+  return [scheme, setScheme];
+};
+
+export default useColorScheme;
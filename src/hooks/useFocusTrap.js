@@ -0,0 +1,77 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "video[controls]",
+  "[tabindex]:not([tabindex='-1'])",
+].join(", ");
+
+const getFocusable = (container) =>
+  [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter((node) => !node.closest("[inert]") && node.getClientRects().length > 0);
+
+// For overlays: while `active`, focus moves into `ref`'s element and Tab and
+// Shift+Tab cycle inside it, Escape calls `onEscape`, and once released focus
+// goes back to whatever had it before (usually the button that opened it).
+const useFocusTrap = (ref, active, onEscape) => {
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    const container = ref.current;
+
+    if (!active || !container) {
+      return undefined;
+    }
+
+    const previousFocus = document.activeElement;
+
+    if (!container.contains(previousFocus)) {
+      (getFocusable(container)[0] ?? container).focus({ preventScroll: true });
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        onEscapeRef.current?.();
+        return;
+      }
+
+      if (event.key !== "Tab") {
+        return;
+      }
+
+      const focusable = getFocusable(container);
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const isInside = container.contains(document.activeElement);
+
+      if (!first) {
+        event.preventDefault();
+      } else if (event.shiftKey && (!isInside || document.activeElement === first)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (!isInside || document.activeElement === last)) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+
+      if (previousFocus instanceof HTMLElement && previousFocus.isConnected) {
+        previousFocus.focus({ preventScroll: true });
+      }
+    };
+  }, [ref, active]);
+};
+
+export default useFocusTrap;
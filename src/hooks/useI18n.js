@@ -0,0 +1,17 @@
+import { useMemo } from 'react';
+import { createTranslator, getIntlLocale } from '../lib/i18n';
+import useRouter from './useRouter';
+
+// `{ locale, intlLocale, t }` for the locale in the current URL.
+// `t("work.open", { title })` falls back to English for missing strings.
+const useI18n = () => {
+  const { location } = useRouter();
+  const { locale } = location;
+
+  return useMemo(
+    () => ({ locale, intlLocale: getIntlLocale(locale), t: createTranslator(locale) }),
+    [locale]
+  );
+};
+
+export default useI18n;
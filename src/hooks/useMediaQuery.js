@@ -0,0 +1,21 @@
+import { useCallback, useSyncExternalStore } from 'react';
+
+// Matches Tailwind's `md` breakpoint: below it is a phone layout.
+export const MOBILE_QUERY = "(max-width: 767px)";
+export const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// Whether a media query matches right now, updated as it changes.
+const useMediaQuery = (query) => {
+  const subscribe = useCallback(
+    (onChange) => {
+      const list = window.matchMedia(query);
+      list.addEventListener("change", onChange);
+      return () => list.removeEventListener("change", onChange);
+    },
+    [query]
+  );
+
+  return useSyncExternalStore(subscribe, () => window.matchMedia(query).matches, () => false);
+};
+
+export default useMediaQuery;
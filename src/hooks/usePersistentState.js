@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+
+const readStoredValue = (key) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored === null ? undefined : JSON.parse(stored);
+  } catch {
+    return undefined;
+  }
+};
+
+// useState that survives reloads via localStorage. `initialValue` may be a
+// function, evaluated only when nothing has been stored yet.
+const usePersistentState = (key, initialValue) => {
+  const [value, setValue] = useState(() => {
+    const stored = readStoredValue(key);
+
+    if (stored !== undefined) {
+      return stored;
+    }
+
+    return typeof initialValue === "function" ? initialValue() : initialValue;
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Storage can be unavailable (private mode, quota); keep the in-memory value.
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+};
+
+export default usePersistentState;
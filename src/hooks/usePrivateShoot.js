@@ -0,0 +1,156 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useRouter from './useRouter';
+import { decryptPayload, getEnvelopePath, isExpired } from '../lib/privateAccess';
+import { withBase } from '../lib/router';
+
+const SESSION_KEY_PREFIX = "private-access:";
+const SHARE_KEY_PARAM = "key";
+
+const readSessionSecret = (slug) => {
+  try {
+    return window.sessionStorage.getItem(`${SESSION_KEY_PREFIX}${slug}`);
+  } catch {
+    return null;
+  }
+};
+
+const writeSessionSecret = (slug, secret) => {
+  try {
+    if (secret) {
+      window.sessionStorage.setItem(`${SESSION_KEY_PREFIX}${slug}`, secret);
+    } else {
+      window.sessionStorage.removeItem(`${SESSION_KEY_PREFIX}${slug}`);
+    }
+  } catch {
+    // Without session storage the gallery simply asks again after a reload.
+  }
+};
+
+// Private photos are already-rendered URLs, so the loader resolves at once.
+const toPrivatePhoto = (entry) => ({ ...entry, loader: () => Promise.resolve(entry.picture) });
+
+const toPrivateShoot = (payload) => ({
+  ...payload,
+  image: toPrivatePhoto(payload.image),
+  backgroundImage: toPrivatePhoto(payload.backgroundImage),
+  gallery: payload.gallery.map(toPrivatePhoto),
+  isPrivate: true,
+});
+
+const fetchPrivateShoot = async (slug, secret) => {
+  const response = await fetch(withBase(await getEnvelopePath(slug, secret)));
+
+  if (!response.ok) {
+    return { status: "denied" };
+  }
+
+  const envelope = await response.json();
+
+  if (isExpired(envelope.expires)) {
+    return { status: "expired" };
+  }
+
+  return { status: "unlocked", shoot: toPrivateShoot(await decryptPayload(envelope, secret)) };
+};
+
+// Resolves to the next hook state and remembers a working secret for the tab.
+// A wrong secret fails decryption (or finds no envelope at all); both read
+// the same to the visitor.
+const resolveAccess = (slug, secret) =>
+  fetchPrivateShoot(slug, secret)
+    .catch(() => ({ status: "denied" }))
+    .then((result) => {
+      writeSessionSecret(slug, result.status === "unlocked" ? secret : null);
+      return { slug, shoot: null, ...result };
+    });
+
+/**
+ * Unlocks a private gallery for `slug` (null when the route is a public
+ * shoot or not a shoot at all). A `?key=` share link or a secret remembered
+ * for this tab opens it straight away; otherwise `unlock(password)` does.
+ *
+ * `status` is "idle", "unlocking", "unlocked", "denied" or "expired".
+ */
+const usePrivateShoot = (slug) => {
+  const [state, setState] = useState({ slug: null, status: "idle", shoot: null });
+  const { location, navigate } = useRouter();
+  // The effect below runs per slug, not on every navigation within it.
+  const locationRef = useRef(location);
+
+  useEffect(() => {
+    locationRef.current = location;
+  });
+
+  // Read before the effect below strips `?key=`, so a shared link shows
+  // "unlocking" rather than a flash of the not-found prompt.
+  const hasPendingSecret = useMemo(
+    () => Boolean(slug && (new URLSearchParams(location.search).get(SHARE_KEY_PARAM) || readSessionSecret(slug))),
+    [slug, location.search]
+  );
+
+  const unlock = useCallback((secret) => {
+    if (!slug || !secret) {
+      return;
+    }
+
+    setState({ slug, status: "unlocking", shoot: null });
+    resolveAccess(slug, secret).then(setState);
+  }, [slug]);
+
+  const lock = useCallback(() => {
+    writeSessionSecret(slug, null);
+    setState({ slug, status: "idle", shoot: null });
+  }, [slug]);
+
+  useEffect(() => {
+    if (!slug) {
+      return undefined;
+    }
+
+    const current = locationRef.current;
+    const params = new URLSearchParams(current.search);
+    const sharedKey = params.get(SHARE_KEY_PARAM);
+
+    if (sharedKey) {
+      // Move the key out of the address bar and into the tab's session, where
+      // a re-run of this effect (or a reload) still finds it.
+      writeSessionSecret(slug, sharedKey);
+      params.delete(SHARE_KEY_PARAM);
+      const query = params.toString();
+      navigate(current.pathname, {
+        replace: true,
+        state: current.state,
+        query: query ? `?${query}` : "",
+        hash: current.hash,
+        scroll: false,
+      });
+    }
+
+    const secret = sharedKey || readSessionSecret(slug);
+
+    if (!secret) {
+      return undefined;
+    }
+
+    let isMounted = true;
+
+    resolveAccess(slug, secret).then((next) => {
+      if (isMounted) {
+        setState(next);
+      }
+    });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [slug, navigate]);
+
+  if (state.slug !== slug) {
+    // State left over from another slug never leaks into this one.
+    return { status: hasPendingSecret ? "unlocking" : "idle", shoot: null, unlock, lock };
+  }
+
+  return { ...state, unlock, lock };
+};
+
+export default usePrivateShoot;
@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+export const RouterContext = createContext(null);
+
+// `{ location, route, navigate, back, completeNavigation }` from the nearest
+// RouterProvider.
+const useRouter = () => {
+  const router = useContext(RouterContext);
+
+  if (!router) {
+    throw new Error("useRouter must be used inside <RouterProvider>.");
+  }
+
+  return router;
+};
+
+export default useRouter;
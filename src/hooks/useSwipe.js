@@ -0,0 +1,61 @@
+import { useEffect, useRef } from 'react';
+
+// Shortest horizontal travel, in px, that counts as a swipe.
+const MIN_DISTANCE = 80;
+
+// Calls `onSwipeLeft` or `onSwipeRight` for a one-finger horizontal swipe
+// anywhere on the page while `enabled`. Mostly-vertical drags (scrolling)
+// and pinches are ignored.
+const useSwipe = ({ onSwipeLeft, onSwipeRight }, enabled = true) => {
+  const handlersRef = useRef({ onSwipeLeft, onSwipeRight });
+
+  useEffect(() => {
+    handlersRef.current = { onSwipeLeft, onSwipeRight };
+  });
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    let start = null;
+
+    const handleTouchStart = (event) => {
+      const touch = event.touches[0];
+      start = event.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+    };
+
+    const handleTouchEnd = (event) => {
+      const touch = event.changedTouches[0];
+
+      if (!start || !touch || event.touches.length > 0) {
+        start = null;
+        return;
+      }
+
+      const dx = touch.clientX - start.x;
+      const dy = touch.clientY - start.y;
+      start = null;
+
+      if (Math.abs(dx) < MIN_DISTANCE || Math.abs(dx) < Math.abs(dy) * 2) {
+        return;
+      }
+
+      if (dx < 0) {
+        handlersRef.current.onSwipeLeft?.();
+      } else {
+        handlersRef.current.onSwipeRight?.();
+      }
+    };
+
+    window.addEventListener("touchstart", handleTouchStart, { passive: true });
+    window.addEventListener("touchend", handleTouchEnd, { passive: true });
+
+    return () => {
+      window.removeEventListener("touchstart", handleTouchStart);
+      window.removeEventListener("touchend", handleTouchEnd);
+    };
+  }, [enabled]);
+};
+
+export default useSwipe;
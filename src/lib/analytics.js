@@ -0,0 +1,151 @@
+// Cookieless analytics: named events with a few flat props and the page
+// path, handed to a pluggable sink. No ids, cookies or storage are involved,
+// and nothing is recorded for visitors with Do Not Track or Global Privacy
+// Control switched on. The schema is shared with the server, which
+// re-validates everything it is sent.
+import { stripBase } from './router.js';
+
+export const ANALYTICS_ENDPOINT = "/api/events";
+
+// Every event the site emits, with the props it may carry.
+export const ANALYTICS_EVENTS = {
+  openProject: ["slug", "source"],
+  workSlideChange: ["slug", "index"],
+  galleryView: ["slug", "photo", "source"],
+  bookingClick: ["source"],
+  instagramClick: ["source"],
+  digitalsDownload: ["set"],
+};
+
+const MAX_VALUE_LENGTH = 120;
+const MAX_PATH_LENGTH = 300;
+
+const toPropValue = (value) => {
+  if (typeof value === "string") {
+    return value.slice(0, MAX_VALUE_LENGTH);
+  }
+
+  return (typeof value === "number" && Number.isFinite(value)) || typeof value === "boolean" ? value : undefined;
+};
+
+/**
+ * Returns a clean `{ name, props, path }` for a known event, or null.
+ * Props the event doesn't list and non-primitive values are dropped, and
+ * long strings are cut short.
+ */
+export const validateEvent = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return null;
+  }
+
+  if (typeof input.name !== "string" || !Object.hasOwn(ANALYTICS_EVENTS, input.name)) {
+    return null;
+  }
+
+  const props = {};
+
+  ANALYTICS_EVENTS[input.name].forEach((key) => {
+    const value = toPropValue(input.props?.[key]);
+
+    if (value !== undefined) {
+      props[key] = value;
+    }
+  });
+
+  return {
+    name: input.name,
+    props,
+    path: typeof input.path === "string" ? input.path.slice(0, MAX_PATH_LENGTH) : null,
+  };
+};
+
+export const isTrackingAllowed = () =>
+  typeof window !== "undefined" &&
+  navigator.doNotTrack !== "1" &&
+  window.doNotTrack !== "1" &&
+  navigator.globalPrivacyControl !== true;
+
+// Sinks are `{ name, send(event) }`.
+export const createConsoleSink = () => ({
+  name: "console",
+  send: (event) => console.info("[analytics]", event.name, event.props, event.path),
+});
+
+// POSTs each event as JSON. `keepalive` lets it outlive the page being left
+// (e.g. an Instagram click) and `credentials: "omit"` keeps cookies out of
+// it even when the collector lives on another origin.
+export const createHttpSink = (url, name = "http") => ({
+  name,
+  send: (event) =>
+    fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(event),
+      keepalive: true,
+      credentials: "omit",
+    }).catch(() => {}),
+});
+
+/**
+ * Picks the sink from Vite env variables:
+ *
+ *   VITE_ANALYTICS_SINK=console    log events (the default in dev)
+ *   VITE_ANALYTICS_SINK=file       POST to the site's own /api/events, which
+ *                                  appends them to a JSON Lines file
+ *   VITE_ANALYTICS_SINK=collector  POST to VITE_ANALYTICS_URL
+ *   VITE_ANALYTICS_SINK=off        drop everything (the default in builds)
+ */
+export const createSinkFromEnv = (env = import.meta.env ?? {}) => {
+  const kind = env.VITE_ANALYTICS_SINK || (env.DEV ? "console" : "off");
+
+  if (kind === "console") {
+    return createConsoleSink();
+  }
+
+  if (kind === "file") {
+    return createHttpSink(ANALYTICS_ENDPOINT, "file");
+  }
+
+  if (kind === "collector" && env.VITE_ANALYTICS_URL) {
+    return createHttpSink(env.VITE_ANALYTICS_URL, "collector");
+  }
+
+  if (kind === "collector") {
+    console.warn("[analytics] VITE_ANALYTICS_URL is required for the collector sink; events are dropped.");
+  }
+
+  return null;
+};
+
+let activeSink;
+
+// Swaps the sink, e.g. for a custom one or to silence events in a test.
+export const setAnalyticsSink = (sink) => {
+  activeSink = sink;
+};
+
+/**
+ * Records `name` with `props`. Never throws and never blocks the caller.
+ * Only the pathname is sent: queries can hold private gallery keys.
+ */
+export const track = (name, props = {}) => {
+  if (!isTrackingAllowed()) {
+    return;
+  }
+
+  const event = validateEvent({ name, props, path: stripBase(window.location.pathname) });
+
+  if (!event) {
+    return;
+  }
+
+  if (activeSink === undefined) {
+    activeSink = createSinkFromEnv();
+  }
+
+  try {
+    activeSink?.send(event);
+  } catch {
+    // Analytics must never break the page.
+  }
+};
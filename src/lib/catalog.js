@@ -0,0 +1,218 @@
+// Shared by the app (fed by import.meta.glob) and the Node build plugins (fed
+// by a folder scan), so imports here carry explicit file extensions.
+import { CREDIT_ROLES, DEFAULT_PROJECT_CONTENT } from '../projectContent.js';
+import { DIGITAL_POSES, DIGITAL_SET_FOLDER_RE, DIGITALS_FOLDER, getDigitalPose } from './digitals.js';
+import { toRouteSlug, toTitleCase } from './format.js';
+import { PHOTO_META_FILE, withPhotoMeta } from './photoMeta.js';
+import { formatCopyright, resolveWatermark } from './protection.js';
+import { normalizeShootTheme } from './shootTheme.js';
+
+export const SHOOT_FOLDER_RE = /^(\d{4})-(\d{2})-(\d{2})-(.+)$/;
+export const PHOTO_ROOT_PREFIX = "./assets/photos/";
+export const VIDEO_FILE_RE = /\.(mp4|webm)$/i;
+const coverRegex = /^cover\.(jpg|jpeg|png)$/i;
+
+export const isVideo = (item) => VIDEO_FILE_RE.test(item.path);
+
+export const getFolderDateValue = (folderName) => {
+  const match = folderName.match(SHOOT_FOLDER_RE);
+
+  if (!match) {
+    return Number.NEGATIVE_INFINITY;
+  }
+
+  const [, year, month, day] = match;
+  return Date.UTC(Number(year), Number(month) - 1, Number(day));
+};
+
+// Tags are matched case-insensitively, so they are stored lower-cased.
+const normalizeTags = (tags) =>
+  Array.isArray(tags)
+    ? [...new Set(tags.filter((tag) => typeof tag === "string").map((tag) => tag.trim().toLowerCase()).filter(Boolean))]
+    : [];
+
+const getEarliestCapture = (files) =>
+  files
+    .map((file) => file.photo.capturedAt)
+    .filter(Boolean)
+    .sort()[0] ?? null;
+
+// The photographer named most often in the files' EXIF/IPTC credit.
+const getMostCommonCredit = (files) => {
+  const counts = new Map();
+
+  files.forEach(({ photo }) => {
+    if (photo.credit) {
+      counts.set(photo.credit, (counts.get(photo.credit) ?? 0) + 1);
+    }
+  });
+
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
+
+const compareFileNames = (a, b) => a.fileName.localeCompare(b.fileName, undefined, { sensitivity: "base" });
+
+const getPoseRank = (pose) => (pose ? DIGITAL_POSES.indexOf(pose) : DIGITAL_POSES.length);
+
+// Subfolders of digitals are sets dated by their name, or else by EXIF; loose
+// files directly in digitals form one more set. Newest first, undated last.
+const buildDigitalSets = (files) => {
+  const filesBySet = new Map();
+
+  files.forEach((file) => {
+    filesBySet.set(file.setFolder, [...(filesBySet.get(file.setFolder) ?? []), file]);
+  });
+
+  return Array.from(filesBySet.entries())
+    .map(([setFolder, setFiles]) => {
+      const match = setFolder?.match(DIGITAL_SET_FOLDER_RE);
+      const date = match ? `${match[1]}-${match[2]}-${match[3]}` : getEarliestCapture(setFiles);
+      const photos = setFiles
+        .map((file) => ({ ...file, pose: getDigitalPose(file.fileName) }))
+        .sort((a, b) => getPoseRank(a.pose) - getPoseRank(b.pose) || compareFileNames(a, b))
+        .map(({ photo, pose }) => ({ ...photo, pose }));
+
+      return { id: setFolder ? toRouteSlug(setFolder) : date ?? "undated", date, photos };
+    })
+    .sort((a, b) => (b.date ?? "").localeCompare(a.date ?? "") || a.id.localeCompare(b.id));
+};
+
+/**
+ * Groups photos into dated shoots (newest first) plus the digitals sets.
+ * `photos` are objects with at least a `path` keyed like the app's glob
+ * (`./assets/photos/<folder>/<file>`); they are passed through untouched as
+ * `image`, `backgroundImage`, `backgroundVideo` and `gallery` entries.
+ * A shoot is dated by its `YYYY-MM-DD-` folder prefix, or else by the
+ * earliest `capturedAt` among its photos; folders with neither are skipped.
+ * Photos' EXIF `credit` stands in for a photographer shoot.json leaves out.
+ * `protection` is null, or `{ watermark, copyright }` for protected shoots.
+ * `theme` is null, or the shoot's own `{ accent, background }` (see
+ * lib/shootTheme).
+ * Videos (.mp4/.webm) may sit in the gallery but are never the cover.
+ * `contentFiles` maps `./assets/photos/<folder>/shoot.json` (and digitals'
+ * photos.json files) to their parsed contents; photos named in their
+ * "photos" map also carry `focus`, `crops` and `fullWidth` (see
+ * lib/photoMeta).
+ * `digitalSets` are `{ id, date, photos }`, newest first, where each photo
+ * also carries its `pose` (see lib/digitals); `digitals` is the newest set's
+ * photos.
+ */
+export const buildCatalog = (photos, contentFiles = {}) => {
+  const shootsByFolder = new Map();
+  const digitals = [];
+
+  photos.forEach((photo) => {
+    if (!photo.path.startsWith(PHOTO_ROOT_PREFIX)) {
+      return;
+    }
+
+    const parts = photo.path.slice(PHOTO_ROOT_PREFIX.length).split("/");
+
+    if (parts.length < 2) {
+      return;
+    }
+
+    const folderName = parts[0];
+    const fileName = parts[parts.length - 1];
+
+    if (folderName.toLowerCase() === DIGITALS_FOLDER) {
+      if (!isVideo(photo)) {
+        const meta = contentFiles[`${PHOTO_ROOT_PREFIX}${parts.slice(0, -1).join("/")}/${PHOTO_META_FILE}`]?.photos?.[fileName];
+        digitals.push({ fileName, setFolder: parts.length > 2 ? parts[1] : null, photo: withPhotoMeta(photo, meta) });
+      }
+
+      return;
+    }
+
+    if (!shootsByFolder.has(folderName)) {
+      shootsByFolder.set(folderName, []);
+    }
+
+    // Per-photo settings are keyed by the path inside the shoot folder.
+    const meta = contentFiles[`${PHOTO_ROOT_PREFIX}${folderName}/shoot.json`]?.photos?.[parts.slice(1).join("/")];
+    shootsByFolder.get(folderName).push({ fileName, photo: withPhotoMeta(photo, meta) });
+  });
+
+  const shoots = Array.from(shootsByFolder.entries())
+    .map(([folderName, files]) => {
+      const sortedFiles = [...files].sort(compareFileNames);
+
+      if (sortedFiles.length === 0) {
+        return null;
+      }
+
+      const imageFiles = sortedFiles.filter((file) => !isVideo(file.photo));
+
+      if (imageFiles.length === 0) {
+        return null;
+      }
+
+      const coverFile = imageFiles.find((file) => coverRegex.test(file.fileName)) || imageFiles[0];
+      const gallery = sortedFiles
+        .filter((file) => file !== coverFile)
+        .map((file) => file.photo);
+      const backgroundImage = gallery.find((item) => !isVideo(item)) || coverFile.photo;
+
+      const match = folderName.match(SHOOT_FOLDER_RE);
+      // Undated folders fall back to the earliest EXIF capture date.
+      const date = match ? `${match[1]}-${match[2]}-${match[3]}` : getEarliestCapture(sortedFiles);
+
+      if (!date) {
+        return null;
+      }
+
+      const folderSlug = match ? match[4] : folderName;
+      const routeSlug = toRouteSlug(folderSlug);
+      const projectContent = contentFiles[`${PHOTO_ROOT_PREFIX}${folderName}/shoot.json`] ?? {};
+      const title = projectContent.title ?? toTitleCase(folderSlug);
+      const category = projectContent.category ?? DEFAULT_PROJECT_CONTENT.category;
+      const header = projectContent.header ?? category ?? DEFAULT_PROJECT_CONTENT.header;
+      const subtext = projectContent.subtext ?? DEFAULT_PROJECT_CONTENT.subtext;
+      const description = projectContent.description ?? DEFAULT_PROJECT_CONTENT.description;
+      // shoot.json can name a clip to play behind the slider instead.
+      const backgroundVideo = projectContent.backgroundVideo
+        ? gallery.find((item) => isVideo(item) && item.path.endsWith(`/${projectContent.backgroundVideo}`)) ?? null
+        : null;
+      const creditNames = {
+        photographer: getMostCommonCredit(sortedFiles),
+        ...Object.fromEntries(
+          Object.entries(projectContent.credits ?? {}).filter(([, name]) => typeof name === "string" && name.trim())
+        ),
+      };
+      const credits = CREDIT_ROLES
+        .map(({ key, label }) => ({ key, role: label, name: creditNames[key]?.trim() }))
+        .filter((credit) => credit.name);
+      // The images themselves are watermarked at build time (plugins/watermark).
+      const watermark = resolveWatermark(projectContent.protection);
+
+      return {
+        id: folderName,
+        routeSlug,
+        date,
+        title,
+        header,
+        subtext,
+        category,
+        tags: normalizeTags(projectContent.tags),
+        description,
+        translations: projectContent.translations ?? {},
+        theme: normalizeShootTheme(projectContent.theme),
+        credits,
+        protection: watermark ? { watermark, copyright: formatCopyright(credits, date) } : null,
+        image: coverFile.photo,
+        backgroundImage,
+        backgroundVideo,
+        gallery,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.date.localeCompare(a.date) || b.id.localeCompare(a.id, undefined, { sensitivity: "base" }));
+
+  const digitalSets = buildDigitalSets(digitals);
+
+  return {
+    shoots,
+    digitals: digitalSets[0]?.photos ?? [],
+    digitalSets,
+  };
+};
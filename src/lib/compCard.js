@@ -0,0 +1,12 @@
+// Shared by the /comp-card page and the build-time PDF so both always show
+// the same photos.
+export const COMP_CARD_PATH = "/comp-card";
+export const COMP_CARD_PDF_PATH = "/comp-card.pdf";
+export const COMP_CARD_PHOTO_COUNT = 4;
+
+// Back of the card: current digitals first, topped up with the newest shoot
+// covers.
+export const selectCompCardPhotos = ({ digitals, shoots }) =>
+  [...digitals, ...shoots.map((shoot) => shoot.image)].slice(0, COMP_CARD_PHOTO_COUNT);
+
+export const getInstagramHandle = (instagramUrl) => `@${instagramUrl.replace(/\/+$/, "").split("/").pop()}`;
@@ -0,0 +1,56 @@
+// Digitals: plain, unretouched photos grouped into dated sets, one subfolder
+// per session (src/assets/photos/digitals/2026-09-01/front.jpg). The newest
+// set is the current one. Shared with the build plugins, hence the explicit
+// extensions.
+import { getPhotoAlt } from './photoMeta.js';
+
+export const DIGITALS_FOLDER = "digitals";
+export const DIGITALS_PATH = "/digitals";
+export const DIGITAL_SET_FOLDER_RE = /^(\d{4})-(\d{2})-(\d{2})(?:-.+)?$/;
+
+// Pose types in display order. A file is labelled by its name: "front.jpg",
+// "profile-2.jpg", "Full Length.jpg". Unknown names keep their file order
+// after the known poses.
+export const DIGITAL_POSES = ["front", "three-quarter", "profile", "back", "full-length", "smile"];
+
+const POSE_ALIASES = {
+  side: "profile",
+  "full-body": "full-length",
+  full: "full-length",
+  "3-4": "three-quarter",
+};
+
+// Aliases are looked up before the numbering is dropped, or "3-4" would
+// read as "3".
+export const getDigitalPose = (fileName) => {
+  const name = fileName
+    .replace(/\.[^.]+$/, "")
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+  const unnumbered = name.replace(/-?\d+$/, "");
+  const pose = POSE_ALIASES[name] ?? POSE_ALIASES[unnumbered] ?? unnumbered;
+
+  return DIGITAL_POSES.includes(pose) ? pose : null;
+};
+
+export const getDigitalSetPath = (setId) => (setId ? `${DIGITALS_PATH}/${encodeURIComponent(setId)}` : DIGITALS_PATH);
+
+// The zip of a set sits next to its page: /digitals/2026-09-01.zip.
+export const getDigitalSetArchivePath = (setId) => `${DIGITALS_PATH}/${encodeURIComponent(setId)}.zip`;
+
+export const getDigitalSetArchiveName = (siteName, setId) =>
+  `${siteName.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-digitals-${setId}`;
+
+// The photo's own alt text (see lib/photoMeta), else "Ashley Wachtendonk,
+// profile", or "Ashley Wachtendonk digital" when the file name names no pose.
+// `t` is a translator from lib/i18n.
+export const getDigitalAlt = (photo, t, name, locale) =>
+  getPhotoAlt(photo, locale)
+    ?? (photo.pose
+      ? t("digitals.photoAlt", { name, pose: t(`digitals.pose.${photo.pose}`) })
+      : t("digitals.altDigital", { name }));
+
+export const formatDigitalSetDate = (isoDate, locale = "en-US") =>
+  new Intl.DateTimeFormat(locale, { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" }).format(
+    new Date(`${isoDate}T00:00:00Z`)
+  );
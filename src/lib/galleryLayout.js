@@ -0,0 +1,76 @@
+// Justified rows for the shoot gallery: photos keep their file order left to
+// right and every photo in a row shares one height, so nothing is cropped.
+// Rows close near `columns` portrait photos' worth of width, which is what
+// the column count changes per viewport.
+
+// Width-to-height of the "typical" photo a column stands for.
+const COLUMN_ASPECT = 0.75;
+// A row that falls this far short of full (the last one, or the one before a
+// full-width break) keeps its natural height instead of being blown up.
+const MIN_STRETCH = 0.7;
+// Entries without a known aspect ratio are laid out as 3:2.
+const FALLBACK_ASPECT = 1.5;
+// Widest the gallery gets, in rem.
+export const GALLERY_MAX_WIDTH = 72;
+
+// Two columns' worth per row on phones, three from `md` up.
+export const getGalleryColumns = (isMobile) => (isMobile ? 2 : 3);
+
+// The `sizes` hint of a tile taking `share` of a row, given the gallery's
+// `maxWidth` in rem.
+export const getGalleryTileSizes = (share, maxWidth = GALLERY_MAX_WIDTH) =>
+  `(min-width: ${maxWidth}rem) ${Math.ceil(maxWidth * share)}rem, ${Math.ceil(share * 100)}vw`;
+
+export const getGalleryAspect = (item) => (item.aspectRatio > 0 ? item.aspectRatio : FALLBACK_ASPECT);
+
+const closeRow = (tiles, targetAspect) => {
+  const rowAspect = tiles.reduce((sum, tile) => sum + tile.aspect, 0);
+  const scale = rowAspect >= targetAspect * MIN_STRETCH ? rowAspect : targetAspect;
+
+  return { tiles: tiles.map((tile) => ({ ...tile, share: tile.aspect / scale })) };
+};
+
+/**
+ * Packs gallery entries into rows of `{ tiles }`, each tile `{ item, index,
+ * aspect, share }`: `index` is the entry's position in `items` and `share`
+ * its fraction of the row's width once gaps are taken off. Shares of a full
+ * row add up to 1. Entries with `fullWidth` get a row to themselves.
+ */
+export const buildGalleryRows = (items, columns) => {
+  const targetAspect = columns * COLUMN_ASPECT;
+  const rows = [];
+  let current = [];
+  let currentAspect = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      rows.push(closeRow(current, targetAspect));
+    }
+
+    current = [];
+    currentAspect = 0;
+  };
+
+  items.forEach((item, index) => {
+    const tile = { item, index, aspect: getGalleryAspect(item) };
+
+    if (item.fullWidth) {
+      flush();
+      rows.push({ tiles: [{ ...tile, share: 1 }] });
+      return;
+    }
+
+    // Close the row when adding this photo would overshoot the target by
+    // more than leaving it out falls short.
+    if (current.length > 0 && Math.abs(currentAspect + tile.aspect - targetAspect) > Math.abs(currentAspect - targetAspect)) {
+      flush();
+    }
+
+    current.push(tile);
+    currentAspect += tile.aspect;
+  });
+
+  flush();
+
+  return rows;
+};
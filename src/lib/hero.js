@@ -0,0 +1,48 @@
+// Resolves src/hero.js for the app and the build plugins, hence the explicit
+// extensions.
+import { PHOTO_ROOT_PREFIX } from './catalog.js';
+import { toObjectPosition } from './photoFocus.js';
+
+export const DEFAULT_HERO_INTERVAL = 7000;
+const MIN_HERO_INTERVAL = 2000;
+
+const clamp = (value, min, max, fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+
+export const toHeroPhotoPath = (file) => `${PHOTO_ROOT_PREFIX}${file}`;
+
+export const getHeroInterval = (hero) => clamp(hero.interval, MIN_HERO_INTERVAL, Infinity, DEFAULT_HERO_INTERVAL);
+
+// Every file the hero names, mobile crops included. They are kept out of the
+// shoots so the hero never doubles as a gallery photo.
+export const getHeroPhotoPaths = (hero) => [
+  ...new Set(hero.images.flatMap((image) => [image.file, image.mobile?.file]).filter(Boolean).map(toHeroPhotoPath)),
+];
+
+/**
+ * The hero images whose file exists, as `{ path, position, mobilePath,
+ * mobilePosition, overlay, alt }`; `hasPhoto(path)` says whether a photo
+ * path is available. A missing mobile file falls back to the main one, so
+ * only a missing main file drops an image.
+ */
+export const resolveHeroImages = (hero, hasPhoto) =>
+  hero.images
+    .filter((image) => image.file && hasPhoto(toHeroPhotoPath(image.file)))
+    .map((image) => {
+      const path = toHeroPhotoPath(image.file);
+      const position = toObjectPosition(image.focus);
+      const mobilePath = image.mobile?.file ? toHeroPhotoPath(image.mobile.file) : null;
+      const hasMobileFile = Boolean(mobilePath) && hasPhoto(mobilePath);
+
+      return {
+        path,
+        position,
+        mobilePath: hasMobileFile ? mobilePath : path,
+        mobilePosition: image.mobile?.focus
+          ? toObjectPosition(image.mobile.focus)
+          : hasMobileFile
+            ? toObjectPosition()
+            : position,
+        overlay: clamp(image.overlay, 0, 1, 1),
+        alt: image.alt ?? null,
+      };
+    });
@@ -0,0 +1,95 @@
+// Message catalogs, locale detection and translated shoot copy. Shared with
+// the prerender plugin, hence the explicit extensions.
+import de from '../locales/de.js';
+import en from '../locales/en.js';
+import es from '../locales/es.js';
+
+export const DEFAULT_LOCALE = "en";
+
+// `label` is the language's own name, as shown in the switcher. `intl` is
+// the BCP 47 tag dates are formatted with and `hreflang` advertises.
+export const LOCALES = {
+  en: { label: "English", intl: "en-US", catalog: en },
+  de: { label: "Deutsch", intl: "de-DE", catalog: de },
+  es: { label: "Español", intl: "es-MX", catalog: es },
+};
+
+export const LOCALE_CODES = Object.keys(LOCALES);
+
+export const isLocale = (value) => typeof value === "string" && Object.hasOwn(LOCALES, value);
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+
+/**
+ * Looks `key` up in the locale's catalog, then in English, then returns the
+ * key itself so a missing string is visible rather than blank. `{name}`
+ * placeholders are filled from `params`.
+ */
+export const translate = (locale, key, params = {}) => {
+  const message = (isLocale(locale) ? LOCALES[locale].catalog[key] : undefined) ?? en[key] ?? key;
+  return interpolate(message, params);
+};
+
+export const createTranslator = (locale) => (key, params) => translate(locale, key, params);
+
+export const getIntlLocale = (locale) => (isLocale(locale) ? LOCALES[locale].intl : LOCALES[DEFAULT_LOCALE].intl);
+
+/**
+ * Picks the first supported language from the browser's preference list
+ * ("de-AT" matches "de"), falling back to English.
+ */
+export const detectLocale = (languages = []) => {
+  const match = languages
+    .map((language) => String(language).toLowerCase().split("-")[0])
+    .find(isLocale);
+
+  return match ?? DEFAULT_LOCALE;
+};
+
+// The shoot.json fields a `translations` block may override.
+const TRANSLATABLE_SHOOT_FIELDS = ["title", "header", "subtext", "description"];
+
+/**
+ * Returns the shoot with its copy swapped for the locale's entry in
+ * `translations`. Untranslated fields keep the shoot.json text; the category
+ * stays as written because it doubles as a filter value in portfolio URLs.
+ */
+export const localizeShoot = (shoot, locale) => {
+  const overrides = shoot.translations?.[locale];
+
+  if (!overrides) {
+    return shoot;
+  }
+
+  const localized = { ...shoot };
+
+  TRANSLATABLE_SHOOT_FIELDS.forEach((field) => {
+    if (typeof overrides[field] === "string" && overrides[field].trim()) {
+      localized[field] = overrides[field];
+    }
+  });
+
+  return localized;
+};
+
+const LOCALE_STORAGE_KEY = "locale";
+
+// A locale picked in the switcher wins over browser detection on later
+// visits. Stored as JSON, like usePersistentState.
+export const readLocalePreference = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+    return isLocale(stored) ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveLocalePreference = (locale) => {
+  try {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, JSON.stringify(locale));
+  } catch {
+    // Without storage the choice lasts as long as the URL prefix does.
+  }
+};
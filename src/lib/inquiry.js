@@ -0,0 +1,75 @@
+// Booking inquiry schema and validation. Runs in the browser for instant
+// feedback and again on the server, which is the one that counts.
+export const INQUIRY_ENDPOINT = "/api/inquiries";
+
+// Bots fill every input they find; people never see this one.
+export const HONEYPOT_FIELD = "website";
+
+export const PROJECT_TYPES = ["Editorial", "Commercial", "Campaign", "Lookbook", "Runway", "Lifestyle", "Other"];
+
+export const INQUIRY_FIELDS = [
+  { name: "client", label: "Client / Brand", required: true, maxLength: 120 },
+  { name: "email", label: "Email", required: true, maxLength: 254 },
+  { name: "projectType", label: "Project Type", required: true, maxLength: 40 },
+  { name: "startDate", label: "Date", required: false, maxLength: 10 },
+  { name: "endDate", label: "End Date", required: false, maxLength: 10 },
+  { name: "location", label: "Location", required: false, maxLength: 160 },
+  { name: "usage", label: "Usage / Rates", required: false, maxLength: 500 },
+  { name: "budget", label: "Budget", required: false, maxLength: 80 },
+  { name: "message", label: "Message", required: true, maxLength: 4000 },
+];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const createEmptyInquiry = () =>
+  Object.fromEntries([...INQUIRY_FIELDS.map((field) => [field.name, ""]), [HONEYPOT_FIELD, ""]]);
+
+/**
+ * Trims and checks an inquiry. Returns `{ values, errors }`; `errors` maps
+ * field names to a message and is empty when the inquiry is valid. Unknown
+ * keys are dropped from `values`.
+ */
+export const validateInquiry = (input) => {
+  const values = {};
+  const errors = {};
+
+  INQUIRY_FIELDS.forEach((field) => {
+    const raw = input?.[field.name];
+    const value = typeof raw === "string" ? raw.trim() : "";
+    values[field.name] = value;
+
+    if (field.required && !value) {
+      errors[field.name] = `${field.label} is required.`;
+    } else if (value.length > field.maxLength) {
+      errors[field.name] = `${field.label} must be ${field.maxLength} characters or fewer.`;
+    }
+  });
+
+  if (values.email && !errors.email && !EMAIL_RE.test(values.email)) {
+    errors.email = "Enter a valid email address.";
+  }
+
+  if (values.projectType && !PROJECT_TYPES.includes(values.projectType)) {
+    errors.projectType = "Choose a project type.";
+  }
+
+  ["startDate", "endDate"].forEach((name) => {
+    if (values[name] && !ISO_DATE_RE.test(values[name])) {
+      errors[name] = "Use the date picker format (YYYY-MM-DD).";
+    }
+  });
+
+  if (values.endDate && !values.startDate && !errors.endDate) {
+    errors.startDate = "Add a start date for the range.";
+  }
+
+  if (values.startDate && values.endDate && !errors.startDate && !errors.endDate && values.endDate < values.startDate) {
+    errors.endDate = "End date can't be before the start date.";
+  }
+
+  return { values, errors };
+};
+
+export const isHoneypotFilled = (input) =>
+  typeof input?.[HONEYPOT_FIELD] === "string" && input[HONEYPOT_FIELD].trim() !== "";
@@ -0,0 +1,70 @@
+// Pure formatting helpers, shared by the app and the comp card PDF plugin.
+export const MEASUREMENT_UNITS = ["imperial", "metric"];
+
+const CM_PER_INCH = 2.54;
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1).replace(/\.0$/, ""));
+
+const toCentimetres = (inches) => Math.round(inches * CM_PER_INCH);
+
+const formatFeetAndInches = (inches) => {
+  const feet = Math.floor(inches / 12);
+  return `${feet}'${formatNumber(inches - feet * 12)}"`;
+};
+
+// US women's sizing is the stored value; EU/UK follow the usual charts.
+export const convertShoeSize = (us) => ({ us, eu: us + 30.5, uk: us - 2 });
+export const convertDressSize = (us) => ({ us, eu: us + 30, uk: us + 4 });
+
+const formatSizes = (sizes, units) => {
+  const us = `${formatNumber(sizes.us)} US`;
+  const eu = `${formatNumber(sizes.eu)} EU`;
+  const uk = `${formatNumber(sizes.uk)} UK`;
+
+  return (units === "metric" ? [eu, us, uk] : [us, eu, uk]).join(" / ");
+};
+
+const formatters = {
+  height: ({ inches }) => ({ imperial: formatFeetAndInches(inches), metric: `${toCentimetres(inches)}cm` }),
+  length: ({ inches }) => ({ imperial: `${formatNumber(inches)}"`, metric: `${toCentimetres(inches)}cm` }),
+};
+
+/**
+ * Formats a measurement for display. `units` is "imperial", "metric" or
+ * "both" (imperial first, as printed on the comp card).
+ */
+export const formatMeasurement = (measurement, units) => {
+  if (measurement.kind === "shoe") {
+    return formatSizes(convertShoeSize(measurement.us), units);
+  }
+
+  if (measurement.kind === "dress") {
+    return formatSizes(convertDressSize(measurement.us), units);
+  }
+
+  const format = formatters[measurement.kind];
+
+  if (!format) {
+    return measurement.value;
+  }
+
+  const values = format(measurement);
+  return units === "both" ? `${values.imperial} / ${values.metric}` : values[units];
+};
+
+export const formatMeasurements = (measurements, units) =>
+  measurements.map((measurement) => ({
+    key: measurement.key,
+    label: measurement.label,
+    value: formatMeasurement(measurement, units),
+    updated: measurement.updated,
+  }));
+
+export const getLastUpdated = (measurements) =>
+  measurements.reduce((latest, { updated }) => (updated && updated > latest ? updated : latest), "");
+
+// `locale` is a BCP 47 tag such as "de-DE".
+export const formatUpdatedDate = (isoDate, locale = "en-US") =>
+  isoDate
+    ? new Intl.DateTimeFormat(locale, { month: "short", year: "numeric", timeZone: "UTC" }).format(new Date(`${isoDate}T00:00:00Z`))
+    : "";
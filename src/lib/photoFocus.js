@@ -0,0 +1,32 @@
+// Focal points and named crops for single photos, set per photo (see
+// lib/photoMeta): { "focus": { "x": 50, "y": 25 }, "crops": { "square": { "x": 50, "y": 15 } } }
+// Points are percentages from the left and top. `focus` is kept in frame by
+// every layout; a named crop overrides it in containers of that shape, and
+// "mobile" overrides both on phones. In dev, Alt+click a photo to pick them.
+// Shared with the build plugins, hence the explicit extensions.
+export const PHOTO_CROPS = ["square", "3:4", "16:9", "mobile"];
+export const PHOTO_FOCUS_ENDPOINT = "/__photo-focus";
+
+const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+
+export const isFocusPoint = (value) => Boolean(value) && isPercent(value.x) && isPercent(value.y);
+
+// `{ x, y }` to a CSS object-position; centred where a value is missing.
+export const toObjectPosition = (focus) =>
+  `${isPercent(focus?.x) ? focus.x : 50}% ${isPercent(focus?.y) ? focus.y : 50}%`;
+
+// The usable named crops of a photo's metadata; malformed ones are dropped.
+export const normalizeCrops = (crops) =>
+  Object.fromEntries(
+    Object.entries(crops ?? {}).filter(([name, focus]) => PHOTO_CROPS.includes(name) && isFocusPoint(focus))
+  );
+
+/**
+ * The object-position for `photo` in a container shaped like `crop`
+ * ("square", "3:4", "16:9" or none), or undefined when the photo has no
+ * focal point for it and the layout's own default should apply.
+ */
+export const getPhotoPosition = (photo, crop, isMobile = false) => {
+  const focus = (isMobile && photo?.crops?.mobile) || (crop && photo?.crops?.[crop]) || photo?.focus;
+  return focus ? toObjectPosition(focus) : undefined;
+};
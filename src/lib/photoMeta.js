@@ -0,0 +1,66 @@
+// Per-photo settings. A shoot keeps them in its shoot.json under "photos",
+// keyed by the path inside the shoot folder; digitals, which have no
+// shoot.json, use a photos.json of the same shape next to the files:
+//   "photos": {
+//     "3.jpg": { "focus": { "x": 50, "y": 25 }, "crops": { "square": { "x": 50, "y": 15 } } },
+//     "7.jpg": { "fullWidth": true, "alt": { "en": "Walking the pier at dusk", "de": "Auf dem Pier in der Dämmerung" } }
+//   }
+// `focus` and `crops` position the photo wherever a layout crops it (see
+// lib/photoFocus). `fullWidth` gives it a row of its own in the shoot gallery.
+// `alt` describes the photo for screen readers: one string, or one per
+// locale (English is the fallback). Without it, layouts fall back to the EXIF
+// caption or a generic "photo 3 of 12" line.
+// Shared with the build plugins, hence the explicit extensions.
+import { DEFAULT_LOCALE, isLocale } from './i18n.js';
+import { isFocusPoint, normalizeCrops } from './photoFocus.js';
+
+export const PHOTO_META_FILE = "photos.json";
+export const PHOTO_META_KEYS = ["focus", "crops", "fullWidth", "alt"];
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+// A usable `alt`: a non-empty string, or a locale map of them; else null.
+export const normalizeAlt = (alt) => {
+  if (isText(alt)) {
+    return alt.trim();
+  }
+
+  const entries = Object.entries(alt !== null && typeof alt === "object" ? alt : {})
+    .filter(([locale, text]) => isLocale(locale) && isText(text))
+    .map(([locale, text]) => [locale, text.trim()]);
+
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+// The photo's own alt text in `locale`, or null when it has none.
+export const getPhotoAlt = (photo, locale) => {
+  const alt = photo?.alt;
+
+  if (!alt || typeof alt === "string") {
+    return alt ?? null;
+  }
+
+  return alt[locale] ?? alt[DEFAULT_LOCALE] ?? null;
+};
+
+// Alt text for photo `number` (from 1) of a shoot gallery of `count`: its
+// own, else its EXIF caption, else "Title, photo 3 of 12". `t` is a
+// translator from lib/i18n.
+export const getGalleryPhotoAlt = (photo, { title, number, count }, t, locale) =>
+  getPhotoAlt(photo, locale) ?? photo.caption ?? t("project.photoAlt", { title, number, count });
+
+// A photo entry with its settings applied, dropping anything malformed.
+// Entries without settings are returned untouched.
+export const withPhotoMeta = (photo, meta) => {
+  if (!meta) {
+    return photo;
+  }
+
+  return {
+    ...photo,
+    focus: isFocusPoint(meta.focus) ? meta.focus : null,
+    crops: normalizeCrops(meta.crops),
+    fullWidth: meta.fullWidth === true,
+    alt: normalizeAlt(meta.alt),
+  };
+};
@@ -0,0 +1,55 @@
+// Photo loaders resolve to the `picture` output of vite-imagetools:
+// { sources: { avif, webp, jpg }, img: { src, w, h } }, where each source is
+// a ready-made srcset. Plain URL strings are still accepted.
+export const toPicture = (resolved) => (typeof resolved === "string" ? { sources: {}, img: { src: resolved } } : resolved);
+
+// The srcsets LazyPhoto puts in <source>s, and the one its <img> falls back to.
+export const splitSources = (picture) => {
+  const { jpg, jpeg, png, ...modernSources } = picture?.sources ?? {};
+  return { modernSources, fallbackSrcSet: jpg || jpeg || png };
+};
+
+const prefetched = new Set();
+
+/**
+ * Fetches a photo ahead of the page that shows it: resolves its loader and
+ * loads the file a LazyPhoto with the same `sizes` would pick, through a
+ * detached <picture> so the browser chooses the format and width itself.
+ * Each photo and `sizes` pair is only fetched once; failures are left for
+ * LazyPhoto to retry.
+ */
+export const prefetchPhoto = async (photo, sizes) => {
+  const key = `${photo?.path} ${sizes}`;
+
+  if (!photo?.loader || prefetched.has(key)) {
+    return;
+  }
+
+  prefetched.add(key);
+
+  try {
+    const picture = toPicture(await photo.loader());
+    const { modernSources, fallbackSrcSet } = splitSources(picture);
+    const element = document.createElement("picture");
+    const image = document.createElement("img");
+
+    Object.entries(modernSources).forEach(([format, srcSet]) => {
+      const source = document.createElement("source");
+      source.type = `image/${format}`;
+      source.srcset = srcSet;
+      source.sizes = sizes;
+      element.append(source);
+    });
+
+    element.append(image);
+    image.sizes = sizes;
+
+    if (fallbackSrcSet) {
+      image.srcset = fallbackSrcSet;
+    }
+
+    image.src = picture.img.src;
+  } catch {
+    prefetched.delete(key);
+  }
+};
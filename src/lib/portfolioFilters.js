@@ -0,0 +1,56 @@
+// Filter and sort state for the /portfolio index. It lives in the URL query
+// (?category=Beauty+Shoot&tag=studio&tag=portrait&sort=title) so a filtered
+// view can be bookmarked and shared.
+export const PORTFOLIO_PATH = "/portfolio";
+
+// Labelled by the `portfolio.sort.<value>` messages in src/locales.
+export const PORTFOLIO_SORTS = ["newest", "oldest", "title"];
+
+const DEFAULT_SORT = PORTFOLIO_SORTS[0];
+
+export const parsePortfolioQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const sort = params.get("sort");
+
+  return {
+    category: params.get("category") || null,
+    tags: [...new Set(params.getAll("tag").map((tag) => tag.trim().toLowerCase()).filter(Boolean))],
+    sort: PORTFOLIO_SORTS.includes(sort) ? sort : DEFAULT_SORT,
+  };
+};
+
+// Defaults are left out so the unfiltered index stays at a clean /portfolio.
+export const toPortfolioQuery = ({ category, tags, sort }) => {
+  const params = new URLSearchParams();
+
+  if (category) {
+    params.set("category", category);
+  }
+
+  tags.forEach((tag) => params.append("tag", tag));
+
+  if (sort !== DEFAULT_SORT) {
+    params.set("sort", sort);
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : "";
+};
+
+export const getPortfolioFilterOptions = (shoots) => ({
+  categories: [...new Set(shoots.map((shoot) => shoot.category))].sort((a, b) => a.localeCompare(b)),
+  tags: [...new Set(shoots.flatMap((shoot) => shoot.tags))].sort((a, b) => a.localeCompare(b)),
+});
+
+const SORTERS = {
+  newest: (a, b) => (b.date ?? "").localeCompare(a.date ?? ""),
+  oldest: (a, b) => (a.date ?? "").localeCompare(b.date ?? ""),
+  title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: "base" }),
+};
+
+// A shoot must match the category and carry every selected tag.
+export const filterPortfolio = (shoots, { category, tags, sort }) =>
+  shoots
+    .filter((shoot) => !category || shoot.category === category)
+    .filter((shoot) => tags.every((tag) => shoot.tags.includes(tag)))
+    .sort(SORTERS[sort] ?? SORTERS[DEFAULT_SORT]);
@@ -0,0 +1,66 @@
+// Private galleries are published as AES-GCM encrypted JSON, one envelope per
+// share key or password. The file name is derived from the slug and the
+// secret, so nothing in the public build lists them or can open them.
+// Uses only WebCrypto, which both browsers and Node 20 expose as
+// globalThis.crypto; the build plugin encrypts with the same helpers.
+export const PRIVATE_PATH_PREFIX = "/private/";
+
+const PBKDF2_ITERATIONS = 150000;
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const toBase64 = (bytes) => {
+  let binary = "";
+
+  // Chunked so large payloads don't overflow the argument limit.
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+
+  return btoa(binary);
+};
+const fromBase64 = (value) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+export const getEnvelopeId = async (slug, secret) => {
+  const digest = await crypto.subtle.digest("SHA-256", textEncoder.encode(`${slug}\n${secret}`));
+  return toHex(new Uint8Array(digest)).slice(0, 32);
+};
+
+export const getEnvelopePath = async (slug, secret) => `${PRIVATE_PATH_PREFIX}${await getEnvelopeId(slug, secret)}.json`;
+
+const deriveKey = async (secret, salt) => {
+  const baseKey = await crypto.subtle.importKey("raw", textEncoder.encode(secret), "PBKDF2", false, ["deriveKey"]);
+
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+export const encryptPayload = async (payload, secret) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(secret, salt);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, textEncoder.encode(JSON.stringify(payload)));
+
+  return { v: 1, salt: toBase64(salt), iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+};
+
+export const decryptPayload = async (envelope, secret) => {
+  const key = await deriveKey(secret, fromBase64(envelope.salt));
+  const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data));
+  return JSON.parse(textDecoder.decode(data));
+};
+
+// `expires` is an inclusive YYYY-MM-DD date (UTC).
+export const isExpired = (expires, now = Date.now()) =>
+  Boolean(expires) && now > Date.parse(`${expires}T23:59:59Z`);
+
+export const formatExpiry = (expires, locale = "en-US") =>
+  expires
+    ? new Intl.DateTimeFormat(locale, { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" }).format(new Date(`${expires}T00:00:00Z`))
+    : "";
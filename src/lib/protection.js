@@ -0,0 +1,31 @@
+// Shared by the app and the build plugins, so imports carry file extensions.
+import { PROTECTION, SITE } from '../siteConfig.js';
+
+export const WATERMARK_POSITIONS = ["bottom-right", "bottom-left", "top-right", "top-left", "center"];
+
+/**
+ * Resolves a shoot.json `protection` value against the site defaults in
+ * siteConfig: `true` uses the default watermark, an object overrides its
+ * `text`, `position` or `opacity`, and `false` turns protection off. When the
+ * shoot doesn't say, `PROTECTION.enabled` decides. Returns the watermark
+ * settings, or null for an unprotected shoot.
+ */
+export const resolveWatermark = (setting = PROTECTION.enabled) => {
+  if (!setting) {
+    return null;
+  }
+
+  const { text, position, opacity } = { ...PROTECTION.watermark, ...(typeof setting === "object" ? setting : {}) };
+
+  return {
+    text: String(text),
+    position: WATERMARK_POSITIONS.includes(position) ? position : PROTECTION.watermark.position,
+    opacity: Math.min(Math.max(Number(opacity) || 0, 0), 1),
+  };
+};
+
+// "© 2026 Jane Doe": the shoot's photographer, else the site owner.
+export const formatCopyright = (credits, date) => {
+  const photographer = credits.find((credit) => credit.role === "Photographer")?.name ?? SITE.name;
+  return `© ${date.slice(0, 4)} ${photographer}`;
+};
@@ -0,0 +1,116 @@
+// Route table and URL helpers. App paths ("/portfolio/editorial") never carry
+// the deploy base; `withBase` / `stripBase` translate at the edges so the site
+// works the same at a domain root or under a sub-path such as GitHub Pages.
+// Shared with the build plugins, hence the explicit extensions.
+//
+// Locales sit in front of the app path: English is unprefixed and the others
+// read "/de/portfolio/editorial". `splitLocale` / `withLocale` move between
+// the two, so the route table itself never sees a locale.
+import { COMP_CARD_PATH } from './compCard.js';
+import { DIGITALS_PATH } from './digitals.js';
+import { DEFAULT_LOCALE, isLocale } from './i18n.js';
+import { PORTFOLIO_PATH } from './portfolioFilters.js';
+
+export const PROJECT_PATH_PREFIX = "/portfolio/";
+const PROJECT_ROUTE_RE = /^\/portfolio\/([^/]+)(?:\/(\d+))?\/?$/;
+const DIGITAL_SET_ROUTE_RE = /^\/digitals\/([^/]+)\/?$/;
+
+// Vite's `base` ("/" or "/sub/path/"); undefined outside Vite, i.e. in Node.
+const BASE_URL = import.meta.env?.BASE_URL ?? "/";
+
+const trimBase = (base) => base.replace(/\/+$/, "");
+
+export const normalizePathname = (value) => {
+  if (!value || value === "/") {
+    return "/";
+  }
+
+  const withLeadingSlash = value.startsWith("/") ? value : `/${value}`;
+  return withLeadingSlash.replace(/\/+$/, "") || "/";
+};
+
+export const withBase = (path, base = BASE_URL) => `${trimBase(base)}${path}` || "/";
+
+export const stripBase = (pathname, base = BASE_URL) => {
+  const prefix = trimBase(base);
+
+  if (prefix && (pathname === prefix || pathname.startsWith(`${prefix}/`))) {
+    return normalizePathname(pathname.slice(prefix.length));
+  }
+
+  return normalizePathname(pathname);
+};
+
+/** Splits "/de/portfolio" into `{ locale: "de", pathname: "/portfolio" }`. */
+export const splitLocale = (pathname) => {
+  const [, first = "", ...rest] = normalizePathname(pathname).split("/");
+
+  if (first !== DEFAULT_LOCALE && isLocale(first)) {
+    return { locale: first, pathname: normalizePathname(`/${rest.join("/")}`) };
+  }
+
+  return { locale: DEFAULT_LOCALE, pathname: normalizePathname(pathname) };
+};
+
+export const withLocale = (path, locale = DEFAULT_LOCALE) =>
+  locale === DEFAULT_LOCALE || !isLocale(locale) ? normalizePathname(path) : normalizePathname(`/${locale}${normalizePathname(path)}`);
+
+/** Builds an app-relative href: `toHref("/", { hash: "contact" })` → "/#contact". */
+export const toHref = (path, { query = "", hash = "" } = {}) =>
+  `${normalizePathname(path)}${query}${hash ? `#${hash}` : ""}`;
+
+// Photo numbers in the URL are 1-based so shared links read naturally
+// (/portfolio/editorial/3 is the third gallery photo).
+export const getProjectPath = (projectSlug, photoNumber) => {
+  const projectPath = `${PROJECT_PATH_PREFIX}${encodeURIComponent(projectSlug)}`;
+  return photoNumber ? `${projectPath}/${photoNumber}` : projectPath;
+};
+
+const decodeSlug = (value) => {
+  try {
+    return decodeURIComponent(value).toLowerCase();
+  } catch {
+    return value.toLowerCase();
+  }
+};
+
+/**
+ * Resolves an app path to `{ name, ...params }`, where `name` is "home",
+ * "compCard", "portfolio", "digitals" (with `setId`, null for the current
+ * set), "project" (with `slug` and `photoNumber`) or "notFound".
+ */
+export const matchRoute = (pathname) => {
+  if (pathname === "/") {
+    return { name: "home" };
+  }
+
+  if (pathname === COMP_CARD_PATH) {
+    return { name: "compCard" };
+  }
+
+  if (pathname === PORTFOLIO_PATH) {
+    return { name: "portfolio" };
+  }
+
+  if (pathname === DIGITALS_PATH) {
+    return { name: "digitals", setId: null };
+  }
+
+  const digitalSetMatch = pathname.match(DIGITAL_SET_ROUTE_RE);
+
+  if (digitalSetMatch) {
+    return { name: "digitals", setId: decodeSlug(digitalSetMatch[1]) };
+  }
+
+  const projectMatch = pathname.match(PROJECT_ROUTE_RE);
+
+  if (projectMatch) {
+    return {
+      name: "project",
+      slug: decodeSlug(projectMatch[1]),
+      photoNumber: projectMatch[2] ? Number(projectMatch[2]) : null,
+    };
+  }
+
+  return { name: "notFound" };
+};
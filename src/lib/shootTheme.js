@@ -0,0 +1,75 @@
+// A shoot's own colours, set in its shoot.json:
+// "theme": { "accent": "#8A5A44", "background": "#F3EEE8" }
+// They repaint that shoot's page in either mode, and the text colour follows
+// the background so it stays readable. Colours are #rgb or #rrggbb.
+// Shared with the build plugins, hence the explicit extension.
+export const SHOOT_THEME_KEYS = ["accent", "background"];
+
+const HEX_COLOR_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+export const isHexColor = (value) => typeof value === "string" && HEX_COLOR_RE.test(value);
+
+// "#5F7A91" to [95, 122, 145].
+const toChannels = (hex) => {
+  const digits = hex.slice(1);
+  const full = digits.length === 3 ? digits.replace(/./g, "$&$&") : digits;
+
+  return [0, 2, 4].map((start) => parseInt(full.slice(start, start + 2), 16));
+};
+
+// WCAG relative luminance, 0 (black) to 1 (white).
+const getLuminance = (channels) => {
+  const [r, g, b] = channels.map((value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// `channels` moved `amount` (0 to 1) of the way towards `target`.
+const mixChannels = (channels, target, amount) =>
+  channels.map((value) => Math.round(value + (target - value) * amount));
+
+// The usable part of a shoot.json `theme`, or null when nothing is left.
+export const normalizeShootTheme = (theme) => {
+  const entries = SHOOT_THEME_KEYS
+    .filter((key) => isHexColor(theme?.[key]))
+    .map((key) => [key, theme[key]]);
+
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+/**
+ * CSS variables that repaint a subtree with `theme`: the background becomes
+ * its canvas and paper, shade is the background nudged towards the ink (as
+ * the site's own shade is), and ink (and the accent, unless the theme sets one)
+ * switches to whichever of the palette's dark or light ends reads better on
+ * it. Undefined without a theme, so it can go straight into a `style` prop.
+ */
+export const getShootThemeStyle = (theme) => {
+  if (!theme) {
+    return undefined;
+  }
+
+  const style = {};
+
+  if (theme.background) {
+    const channels = toChannels(theme.background);
+    // Past this (mid-grey, where both ends give the same contrast ratio) the
+    // dark end reads better.
+    const isLight = getLuminance(channels) > 0.18;
+
+    style["--color-canvas"] = channels.join(" ");
+    style["--color-paper"] = channels.join(" ");
+    style["--color-shade"] = mixChannels(channels, isLight ? 0 : 255, 0.05).join(" ");
+    style["--color-ink"] = isLight ? "var(--color-night)" : "var(--color-mist)";
+    style["--color-accent"] = isLight ? "var(--color-steel)" : "var(--color-haze)";
+  }
+
+  if (theme.accent) {
+    style["--color-accent"] = toChannels(theme.accent).join(" ");
+  }
+
+  return style;
+};
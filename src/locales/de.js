@@ -0,0 +1,161 @@
+// German. Keys left out fall back to English (see en.js).
+export default {
+  "site.tagline": "Model / Architektin",
+  "site.description": "Portfolio von {name}, Model und Architektin aus Milwaukee und Chicago.",
+
+  "nav.home": "Start",
+  "nav.portfolio": "Portfolio",
+  "nav.contact": "Kontakt",
+  "nav.openMenu": "Menü öffnen",
+  "nav.closeMenu": "Menü schließen",
+  "nav.menu": "Menü",
+  "nav.language": "Sprache",
+  "nav.galleryMode": "Galeriemodus",
+
+  "meta.portfolio": "Portfolio",
+  "meta.portfolioHeading": "Portfolio von {name}",
+  "meta.portfolioDescription": "Alle Shootings von {name}, filterbar nach Kategorie und Schlagwort.",
+  "meta.compCard": "Sedcard",
+  "meta.compCardHeading": "Sedcard von {name}",
+  "meta.compCardDescription": "Maße, Digitals und Kontaktdaten von {name}.",
+  "meta.compCardPdf": "Sedcard herunterladen (PDF)",
+  "meta.notFound": "Nicht gefunden",
+  "meta.digitals": "Digitals",
+  "meta.digitalsDescription": "Aktuelle, unbearbeitete Digitals von {name} und frühere Sets.",
+
+  "hero.basedIn": "Ansässig in {location}",
+  "hero.rights": "© 2026 Alle Rechte vorbehalten",
+
+  "work.eyebrow": "Auswahl",
+  "work.heading": "Portfolio & Arbeiten",
+  "work.viewAll": "Alle Shootings ansehen",
+  "work.open": "{title} öffnen",
+  "work.viewPhotos": "Fotos ansehen",
+  "work.viewPhotosLabel": "Fotos von {title} ansehen",
+  "work.background": "{title} Hintergrund",
+  "work.prev": "Zurück",
+  "work.next": "Weiter",
+  "work.prevShoot": "Vorheriges Shooting",
+  "work.nextShoot": "Nächstes Shooting",
+  "work.goToShoot": "Zu Shooting {number}",
+
+  "measurements.heading": "Maße",
+  "measurements.units": "Maßeinheiten",
+  "measurements.updated": "Stand {date}",
+  "measurements.asOf": "Stand {date}",
+  "measurements.downloadCompCard": "Sedcard herunterladen",
+  "measurements.viewCompCard": "Sedcard ansehen",
+  "measurement.height": "Größe",
+  "measurement.bust": "Brust",
+  "measurement.waist": "Taille",
+  "measurement.hips": "Hüfte",
+  "measurement.eyes": "Augen",
+  "measurement.shoe": "Schuhe",
+  "measurement.dress": "Kleid",
+  "measurement.hair": "Haare",
+
+  "digitals.heading": "Digitals",
+  "digitals.subheading": "Unbearbeitet",
+  "digitals.altDigital": "{name} Digital",
+  "digitals.photoAlt": "{name}, {pose}",
+  "digitals.pose.front": "Frontal",
+  "digitals.pose.three-quarter": "Dreiviertel",
+  "digitals.pose.profile": "Profil",
+  "digitals.pose.back": "Rücken",
+  "digitals.pose.full-length": "Ganzkörper",
+  "digitals.pose.smile": "Lächeln",
+  "digitals.viewAll": "Alle Digitals ansehen",
+  "digitals.current": "Aktuelles Set",
+  "digitals.archived": "Früheres Set",
+  "digitals.takenOn": "Aufgenommen am {date}",
+  "digitals.undated": "Ohne Datum",
+  "digitals.download": "Set herunterladen (.zip)",
+  "digitals.otherSets": "Weitere Sets",
+
+  "contact.eyebrow": "Buchung",
+  "contact.heading": "Anfragen",
+  "contact.compCard": "Sedcard",
+
+  "project.back": "Zurück zum Portfolio",
+  "project.return": "Zurück zum Portfolio",
+  "project.moreShoots": "Weitere Shootings",
+  "project.private": "Private Galerie",
+  "project.availableUntil": "Verfügbar bis {date}",
+  "project.lock": "Galerie sperren",
+  "project.photoAlt": "{title}, Bild {number} von {count}",
+  "project.openPhoto": "Im Vollbild öffnen: {alt}",
+  "project.video": "Video",
+  "project.loading": "Galerie wird geladen",
+  "project.notFoundTitle": "Projekt nicht gefunden",
+  "project.notFoundText": "Die angeforderte Portfolioseite existiert nicht.",
+
+  "credits.photographer": "Fotografie",
+  "credits.stylist": "Styling",
+  "credits.mua": "Make-up",
+  "credits.hair": "Haare",
+  "credits.agency": "Agentur",
+
+  "notFound.title": "Seite nicht gefunden",
+  "notFound.text": "Unter dieser Adresse gibt es nichts. Vielleicht wurde die Seite verschoben oder der Link ist fehlerhaft.",
+  "notFound.home": "Zur Startseite",
+
+  "portfolio.eyebrow": "Übersicht",
+  "portfolio.heading": "Alle Arbeiten",
+  "portfolio.sort": "Sortierung",
+  "portfolio.sort.newest": "Neueste",
+  "portfolio.sort.oldest": "Älteste",
+  "portfolio.sort.title": "Titel A–Z",
+  "portfolio.filterCategory": "Nach Kategorie filtern",
+  "portfolio.filterTag": "Nach Schlagwort filtern",
+  "portfolio.all": "Alle",
+  "portfolio.count": "{visible} von {total} Shootings",
+  "portfolio.clear": "Filter zurücksetzen",
+  "portfolio.empty": "Keine Shootings passen zu diesen Filtern",
+
+  "lightbox.gallery": "Galerie {title}",
+  "lightbox.close": "Galerie schließen",
+  "lightbox.prev": "Vorheriges Foto",
+  "lightbox.next": "Nächstes Foto",
+
+  "booking.field.client": "Kunde / Marke",
+  "booking.field.email": "E-Mail",
+  "booking.field.projectType": "Projektart",
+  "booking.field.startDate": "Datum",
+  "booking.field.endDate": "Enddatum",
+  "booking.field.location": "Ort",
+  "booking.field.usage": "Nutzung / Honorar",
+  "booking.field.budget": "Budget",
+  "booking.field.message": "Nachricht",
+  "booking.projectType.Editorial": "Editorial",
+  "booking.projectType.Commercial": "Werbung",
+  "booking.projectType.Campaign": "Kampagne",
+  "booking.projectType.Lookbook": "Lookbook",
+  "booking.projectType.Runway": "Laufsteg",
+  "booking.projectType.Lifestyle": "Lifestyle",
+  "booking.projectType.Other": "Sonstiges",
+  "booking.select": "Auswählen…",
+  "booking.locationPlaceholder": "Stadt oder Studio",
+  "booking.usagePlaceholder": "Medien, Gebiet, Laufzeit",
+  "booking.fixFields": "Bitte korrigiere die markierten Felder.",
+  "booking.wait": "Bitte warte einen Moment, bevor du eine weitere Anfrage sendest.",
+  "booking.failed": "Deine Anfrage konnte nicht gesendet werden.",
+  "booking.orEmail": "Du kannst auch eine E-Mail schreiben an",
+  "booking.thanks": "Vielen Dank.",
+  "booking.received": "Deine Anfrage ist eingegangen. Du erhältst innerhalb von zwei Werktagen eine Antwort.",
+  "booking.another": "Weitere Anfrage senden",
+  "booking.sending": "Wird gesendet…",
+  "booking.send": "Anfrage senden",
+
+  "privateGallery.prompt": "Private Galerie? Gib das Passwort ein, das du erhalten hast",
+  "privateGallery.unlocking": "Wird entsperrt…",
+  "privateGallery.unlock": "Entsperren",
+  "privateGallery.denied": "Mit diesem Passwort lässt sich die Galerie nicht öffnen.",
+  "privateGallery.expired": "Diese private Galerie ist abgelaufen. Bitte um einen neuen Link.",
+
+  "compCard.eyebrow": "Agenturen & Casting",
+  "compCard.heading": "Sedcard",
+  "compCard.print": "Drucken",
+  "compCard.download": "Sedcard herunterladen",
+  "compCard.alt": "Sedcard von {name}",
+  "compCard.photoAlt": "Foto der Sedcard von {name}",
+};
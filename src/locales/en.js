@@ -0,0 +1,163 @@
+// English is the reference catalog: every key lives here, and any key
+// missing from another locale falls back to this text.
+export default {
+  "site.tagline": "Model / Architect",
+  "site.description": "Portfolio of {name}, model and architect based in Milwaukee and Chicago.",
+
+  "nav.home": "Home",
+  "nav.portfolio": "Portfolio",
+  "nav.contact": "Contact",
+  "nav.openMenu": "Open menu",
+  "nav.closeMenu": "Close menu",
+  "nav.menu": "Menu",
+  "nav.language": "Language",
+  "nav.galleryMode": "Gallery mode",
+
+  "meta.portfolio": "Portfolio",
+  "meta.portfolioHeading": "{name} Portfolio",
+  "meta.portfolioDescription": "Every shoot by {name}, filterable by category and tag.",
+  "meta.compCard": "Comp Card",
+  "meta.compCardHeading": "{name} Comp Card",
+  "meta.compCardDescription": "Measurements, digitals and contact details for {name}.",
+  "meta.compCardPdf": "Download comp card (PDF)",
+  "meta.notFound": "Not Found",
+  "meta.digitals": "Digitals",
+  "meta.digitalsDescription": "Current unretouched digitals of {name}, plus earlier sets.",
+
+  "hero.basedIn": "Based in {location}",
+  "hero.rights": "© 2026 All rights reserved",
+
+  "work.eyebrow": "Selection",
+  "work.heading": "Portfolio & Work",
+  "work.viewAll": "View all shoots",
+  "work.open": "Open {title}",
+  "work.viewPhotos": "View Photos",
+  "work.viewPhotosLabel": "View photos for {title}",
+  "work.background": "{title} background",
+  "work.prev": "Prev",
+  "work.next": "Next",
+  "work.prevShoot": "Previous shoot",
+  "work.nextShoot": "Next shoot",
+  "work.goToShoot": "Go to shoot {number}",
+
+  "measurements.heading": "Measurements",
+  "measurements.units": "Measurement units",
+  "measurements.updated": "Updated {date}",
+  "measurements.asOf": "As of {date}",
+  "measurements.downloadCompCard": "Download comp card",
+  "measurements.viewCompCard": "View comp card",
+  "measurement.height": "Height",
+  "measurement.bust": "Bust",
+  "measurement.waist": "Waist",
+  "measurement.hips": "Hips",
+  "measurement.eyes": "Eyes",
+  "measurement.shoe": "Shoe",
+  "measurement.dress": "Dress",
+  "measurement.hair": "Hair",
+
+  "digitals.heading": "Digitals",
+  "digitals.subheading": "Raw & Unedited",
+  "digitals.altDigital": "{name} digital",
+  "digitals.photoAlt": "{name}, {pose}",
+  "digitals.pose.front": "Front",
+  "digitals.pose.three-quarter": "Three-quarter",
+  "digitals.pose.profile": "Profile",
+  "digitals.pose.back": "Back",
+  "digitals.pose.full-length": "Full length",
+  "digitals.pose.smile": "Smile",
+  "digitals.viewAll": "View all digitals",
+  "digitals.current": "Current set",
+  "digitals.archived": "Earlier set",
+  "digitals.takenOn": "Taken {date}",
+  "digitals.undated": "Undated",
+  "digitals.download": "Download set (.zip)",
+  "digitals.otherSets": "Other sets",
+
+  "contact.eyebrow": "Booking",
+  "contact.heading": "Inquiries",
+  "contact.instagram": "Instagram",
+  "contact.compCard": "Comp Card",
+
+  "project.back": "Back to Portfolio",
+  "project.return": "Return to Portfolio",
+  "project.moreShoots": "More shoots",
+  "project.private": "Private gallery",
+  "project.availableUntil": "Available until {date}",
+  "project.lock": "Lock gallery",
+  "project.photoAlt": "{title}, photo {number} of {count}",
+  "project.openPhoto": "Open fullscreen: {alt}",
+  "project.video": "Video",
+  "project.loading": "Gallery images loading",
+  "project.notFoundTitle": "Project Not Found",
+  "project.notFoundText": "The requested portfolio page does not exist.",
+
+  "credits.photographer": "Photographer",
+  "credits.stylist": "Stylist",
+  "credits.mua": "MUA",
+  "credits.hair": "Hair",
+  "credits.agency": "Agency",
+
+  "notFound.title": "Page Not Found",
+  "notFound.text": "There's nothing at this address. It may have moved, or the link may be mistyped.",
+  "notFound.home": "Go to Homepage",
+
+  "portfolio.eyebrow": "Index",
+  "portfolio.heading": "All Work",
+  "portfolio.sort": "Sort",
+  "portfolio.sort.newest": "Newest",
+  "portfolio.sort.oldest": "Oldest",
+  "portfolio.sort.title": "Title A–Z",
+  "portfolio.filterCategory": "Filter by category",
+  "portfolio.filterTag": "Filter by tag",
+  "portfolio.all": "All",
+  "portfolio.count": "{visible} of {total} shoots",
+  "portfolio.clear": "Clear filters",
+  "portfolio.empty": "No shoots match these filters",
+
+  "lightbox.gallery": "{title} gallery",
+  "lightbox.close": "Close gallery",
+  "lightbox.prev": "Previous photo",
+  "lightbox.next": "Next photo",
+
+  "booking.field.client": "Client / Brand",
+  "booking.field.email": "Email",
+  "booking.field.projectType": "Project Type",
+  "booking.field.startDate": "Date",
+  "booking.field.endDate": "End Date",
+  "booking.field.location": "Location",
+  "booking.field.usage": "Usage / Rates",
+  "booking.field.budget": "Budget",
+  "booking.field.message": "Message",
+  "booking.projectType.Editorial": "Editorial",
+  "booking.projectType.Commercial": "Commercial",
+  "booking.projectType.Campaign": "Campaign",
+  "booking.projectType.Lookbook": "Lookbook",
+  "booking.projectType.Runway": "Runway",
+  "booking.projectType.Lifestyle": "Lifestyle",
+  "booking.projectType.Other": "Other",
+  "booking.select": "Select…",
+  "booking.locationPlaceholder": "City or studio",
+  "booking.usagePlaceholder": "Media, territory, term",
+  "booking.fixFields": "Please fix the highlighted fields.",
+  "booking.wait": "Please wait a moment before sending another inquiry.",
+  "booking.failed": "Your inquiry couldn't be sent.",
+  "booking.orEmail": "You can also email",
+  "booking.thanks": "Thank you.",
+  "booking.received": "Your inquiry has been received. Expect a reply within two business days.",
+  "booking.another": "Send another inquiry",
+  "booking.sending": "Sending…",
+  "booking.send": "Send inquiry",
+
+  "privateGallery.prompt": "Private gallery? Enter the password you were given",
+  "privateGallery.unlocking": "Unlocking…",
+  "privateGallery.unlock": "Unlock",
+  "privateGallery.denied": "That password doesn't open this gallery.",
+  "privateGallery.expired": "This private gallery has expired. Ask for a fresh link.",
+
+  "compCard.eyebrow": "Agencies & Casting",
+  "compCard.heading": "Comp Card",
+  "compCard.print": "Print",
+  "compCard.download": "Download comp card",
+  "compCard.alt": "{name} comp card",
+  "compCard.photoAlt": "{name} comp card photo",
+};
@@ -0,0 +1,161 @@
+// Spanish (Mexico). Keys left out fall back to English (see en.js).
+export default {
+  "site.tagline": "Modelo / Arquitecta",
+  "site.description": "Portafolio de {name}, modelo y arquitecta con base en Milwaukee y Chicago.",
+
+  "nav.home": "Inicio",
+  "nav.portfolio": "Portafolio",
+  "nav.contact": "Contacto",
+  "nav.openMenu": "Abrir menú",
+  "nav.closeMenu": "Cerrar menú",
+  "nav.menu": "Menú",
+  "nav.language": "Idioma",
+  "nav.galleryMode": "Modo galería",
+
+  "meta.portfolio": "Portafolio",
+  "meta.portfolioHeading": "Portafolio de {name}",
+  "meta.portfolioDescription": "Todas las sesiones de {name}, filtrables por categoría y etiqueta.",
+  "meta.compCard": "Comp card",
+  "meta.compCardHeading": "Comp card de {name}",
+  "meta.compCardDescription": "Medidas, digitales y datos de contacto de {name}.",
+  "meta.compCardPdf": "Descargar comp card (PDF)",
+  "meta.notFound": "No encontrado",
+  "meta.digitals": "Digitales",
+  "meta.digitalsDescription": "Digitales actuales sin retoque de {name}, y sets anteriores.",
+
+  "hero.basedIn": "Con base en {location}",
+  "hero.rights": "© 2026 Todos los derechos reservados",
+
+  "work.eyebrow": "Selección",
+  "work.heading": "Portafolio y trabajo",
+  "work.viewAll": "Ver todas las sesiones",
+  "work.open": "Abrir {title}",
+  "work.viewPhotos": "Ver fotos",
+  "work.viewPhotosLabel": "Ver fotos de {title}",
+  "work.background": "Fondo de {title}",
+  "work.prev": "Anterior",
+  "work.next": "Siguiente",
+  "work.prevShoot": "Sesión anterior",
+  "work.nextShoot": "Sesión siguiente",
+  "work.goToShoot": "Ir a la sesión {number}",
+
+  "measurements.heading": "Medidas",
+  "measurements.units": "Unidades de medida",
+  "measurements.updated": "Actualizado {date}",
+  "measurements.asOf": "Al {date}",
+  "measurements.downloadCompCard": "Descargar comp card",
+  "measurements.viewCompCard": "Ver comp card",
+  "measurement.height": "Estatura",
+  "measurement.bust": "Busto",
+  "measurement.waist": "Cintura",
+  "measurement.hips": "Cadera",
+  "measurement.eyes": "Ojos",
+  "measurement.shoe": "Calzado",
+  "measurement.dress": "Vestido",
+  "measurement.hair": "Cabello",
+
+  "digitals.heading": "Digitales",
+  "digitals.subheading": "Sin editar",
+  "digitals.altDigital": "Digital de {name}",
+  "digitals.photoAlt": "{name}, {pose}",
+  "digitals.pose.front": "Frente",
+  "digitals.pose.three-quarter": "Tres cuartos",
+  "digitals.pose.profile": "Perfil",
+  "digitals.pose.back": "Espalda",
+  "digitals.pose.full-length": "Cuerpo entero",
+  "digitals.pose.smile": "Sonrisa",
+  "digitals.viewAll": "Ver todos los digitales",
+  "digitals.current": "Set actual",
+  "digitals.archived": "Set anterior",
+  "digitals.takenOn": "Tomadas el {date}",
+  "digitals.undated": "Sin fecha",
+  "digitals.download": "Descargar set (.zip)",
+  "digitals.otherSets": "Otros sets",
+
+  "contact.eyebrow": "Contrataciones",
+  "contact.heading": "Solicitudes",
+  "contact.compCard": "Comp card",
+
+  "project.back": "Volver al portafolio",
+  "project.return": "Volver al portafolio",
+  "project.moreShoots": "Más sesiones",
+  "project.private": "Galería privada",
+  "project.availableUntil": "Disponible hasta el {date}",
+  "project.lock": "Bloquear galería",
+  "project.photoAlt": "{title}, imagen {number} de {count}",
+  "project.openPhoto": "Abrir en pantalla completa: {alt}",
+  "project.video": "Video",
+  "project.loading": "Cargando galería",
+  "project.notFoundTitle": "Proyecto no encontrado",
+  "project.notFoundText": "La página del portafolio que buscas no existe.",
+
+  "credits.photographer": "Fotografía",
+  "credits.stylist": "Estilismo",
+  "credits.mua": "Maquillaje",
+  "credits.hair": "Peinado",
+  "credits.agency": "Agencia",
+
+  "notFound.title": "Página no encontrada",
+  "notFound.text": "No hay nada en esta dirección. Es posible que se haya movido o que el enlace esté mal escrito.",
+  "notFound.home": "Ir al inicio",
+
+  "portfolio.eyebrow": "Índice",
+  "portfolio.heading": "Todo el trabajo",
+  "portfolio.sort": "Ordenar",
+  "portfolio.sort.newest": "Más recientes",
+  "portfolio.sort.oldest": "Más antiguas",
+  "portfolio.sort.title": "Título A–Z",
+  "portfolio.filterCategory": "Filtrar por categoría",
+  "portfolio.filterTag": "Filtrar por etiqueta",
+  "portfolio.all": "Todas",
+  "portfolio.count": "{visible} de {total} sesiones",
+  "portfolio.clear": "Quitar filtros",
+  "portfolio.empty": "Ninguna sesión coincide con estos filtros",
+
+  "lightbox.gallery": "Galería {title}",
+  "lightbox.close": "Cerrar galería",
+  "lightbox.prev": "Foto anterior",
+  "lightbox.next": "Foto siguiente",
+
+  "booking.field.client": "Cliente / Marca",
+  "booking.field.email": "Correo electrónico",
+  "booking.field.projectType": "Tipo de proyecto",
+  "booking.field.startDate": "Fecha",
+  "booking.field.endDate": "Fecha de término",
+  "booking.field.location": "Ubicación",
+  "booking.field.usage": "Uso / Tarifas",
+  "booking.field.budget": "Presupuesto",
+  "booking.field.message": "Mensaje",
+  "booking.projectType.Editorial": "Editorial",
+  "booking.projectType.Commercial": "Comercial",
+  "booking.projectType.Campaign": "Campaña",
+  "booking.projectType.Lookbook": "Lookbook",
+  "booking.projectType.Runway": "Pasarela",
+  "booking.projectType.Lifestyle": "Lifestyle",
+  "booking.projectType.Other": "Otro",
+  "booking.select": "Selecciona…",
+  "booking.locationPlaceholder": "Ciudad o estudio",
+  "booking.usagePlaceholder": "Medios, territorio, vigencia",
+  "booking.fixFields": "Corrige los campos marcados.",
+  "booking.wait": "Espera un momento antes de enviar otra solicitud.",
+  "booking.failed": "No se pudo enviar tu solicitud.",
+  "booking.orEmail": "También puedes escribir a",
+  "booking.thanks": "Gracias.",
+  "booking.received": "Recibimos tu solicitud. Recibirás una respuesta en un plazo de dos días hábiles.",
+  "booking.another": "Enviar otra solicitud",
+  "booking.sending": "Enviando…",
+  "booking.send": "Enviar solicitud",
+
+  "privateGallery.prompt": "¿Galería privada? Escribe la contraseña que recibiste",
+  "privateGallery.unlocking": "Desbloqueando…",
+  "privateGallery.unlock": "Desbloquear",
+  "privateGallery.denied": "Esa contraseña no abre esta galería.",
+  "privateGallery.expired": "Esta galería privada expiró. Solicita un enlace nuevo.",
+
+  "compCard.eyebrow": "Agencias y casting",
+  "compCard.heading": "Comp card",
+  "compCard.print": "Imprimir",
+  "compCard.download": "Descargar comp card",
+  "compCard.alt": "Comp card de {name}",
+  "compCard.photoAlt": "Foto de la comp card de {name}",
+};
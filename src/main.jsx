@@ -1,10 +1,17 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
+import { MotionConfig } from 'framer-motion'
 import App from './App.jsx'
+import RouterProvider from './components/RouterProvider.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <RouterProvider>
+      {/* Visitors who ask for reduced motion get fades instead of slides. */}
+      <MotionConfig reducedMotion="user">
+        <App />
+      </MotionConfig>
+    </RouterProvider>
   </React.StrictMode>,
 )
@@ -0,0 +1,16 @@
+// Source of truth for the Measurements section, the comp card and the PDF.
+// Lengths are stored once in inches and converted for display; shoe and
+// dress sizes are stored in US women's sizing. Bump `updated` (YYYY-MM-DD)
+// whenever a value is re-measured.
+//
+// A dress size can be added as:
+//   { key: "dress", label: "Dress", kind: "dress", us: 4, updated: "2026-02-21" }
+export const MEASUREMENTS = [
+  { key: "height", label: "Height", kind: "height", inches: 68, updated: "2026-02-21" },
+  { key: "bust", label: "Bust", kind: "length", inches: 32, updated: "2026-02-21" },
+  { key: "waist", label: "Waist", kind: "length", inches: 25, updated: "2026-02-21" },
+  { key: "hips", label: "Hips", kind: "length", inches: 35.5, updated: "2026-02-21" },
+  { key: "eyes", label: "Eyes", kind: "text", value: "Blue-Green-Grey", updated: "2026-02-21" },
+  { key: "shoe", label: "Shoe", kind: "shoe", us: 7.5, updated: "2026-02-21" },
+  { key: "hair", label: "Hair", kind: "text", value: "Dark Blonde", updated: "2026-02-21" },
+];
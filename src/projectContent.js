@@ -1,47 +1,49 @@
-// Add an entry here for any new gallery folder.
-// Key format: route slug generated from folder name suffix.
-// Example folder: 2026-07-15-lifestyle-shoot -> key: "lifestyle-shoot"
+// Shoot copy lives next to the photos: add a shoot.json to the dated folder.
+// (A folder without a YYYY-MM-DD- prefix is dated by its photos' EXIF.)
+// Example: src/assets/photos/2026-07-15-lifestyle-shoot/shoot.json
+// {
+//   "title": "Lifestyle Shoot",
+//   "header": "Lifestyle Shoot",
+//   "category": "Lifestyle Shoot",
+//   "tags": ["lifestyle", "outdoor"],
+//   "subtext": "Milwaukee, WI",
+//   "description": "…",
+//   "credits": { "photographer": "", "stylist": "", "mua": "", "hair": "", "agency": "" },
+//   "backgroundVideo": "bts.mp4",
+//   "protection": true,
+//   "theme": { "accent": "#8A5A44", "background": "#F3EEE8" },
+//   "translations": {
+//     "de": { "title": "…", "header": "…", "subtext": "…", "description": "…" },
+//     "es": { "description": "…" }
+//   },
+//   "photos": {
+//     "cover.jpg": { "focus": { "x": 50, "y": 20 }, "crops": { "16:9": { "x": 50, "y": 35 } } }
+//   }
+// }
+// `backgroundVideo` names an .mp4/.webm in the folder to play behind the work
+// slider in place of the background photo.
+// `protection` switches watermarking and the copyright overlay on or off for
+// this shoot (see PROTECTION in siteConfig for the defaults and options).
+// `theme` gives the shoot's page its own accent and/or background colour, in
+// light and gallery mode alike; text switches to stay readable on it.
+// `translations` holds per-locale copy for /de and /es pages; anything not
+// translated is shown as written above.
+// `photos` holds per-file settings: focal points, named crops, full-width
+// gallery rows and alt text (see lib/photoMeta). Alt+click a photo in dev to
+// pick focal points instead of writing them by hand.
+// A blank photographer is filled from the photos' EXIF/IPTC credit.
+// Any field left out falls back to the defaults below.
 export const DEFAULT_PROJECT_CONTENT = {
   header: "Creative Shoot",
   category: "Creative Shoot",
-  description: "Add a custom description for this project in src/projectContent.js.",
+  description: "Add a custom description for this project in the shoot folder's shoot.json.",
 };
 
-export const PROJECT_CONTENT = {
-  editorial: {
-    title: "Editorial",
-    header: "Creative Shoot",
-    category: "Creative Shoot",
-    description: "A cinematic exploration of styling, form, and atmosphere.",
-  },
-  commercial: {
-    title: "Commercial",
-    header: "Commercial Shoot",
-    category: "Commercial Shoot",
-    description: "Polished campaign imagery built for product-forward brand narratives.",
-  },
-  urban: {
-    title: "Urban",
-    header: "Urban Shoot",
-    category: "Urban Shoot",
-    description: "Location-based portrait work balancing raw structure and modern styling.",
-  },
-  lifestyle: {
-    title: "Lifestyle",
-    header: "Lifestyle Shoot",
-    category: "Lifestyle Shoot",
-    description: "Natural interaction and candid motion centered on authenticity, warmth, and ease.",
-  },
-  "high-fashion": {
-    title: "High Fashion",
-    header: "High Fashion Shoot",
-    category: "High Fashion Shoot",
-    description: "An exploration of clean silhouettes and intentional movement.",
-  },
-  "beauty-and-portraits": {
-    title: "Beauty & Portraits",
-    header: "Beauty Shoot",
-    category: "Beauty Shoot",
-    description: "Close framing and soft tonal detail centered on expression, skin, and shape.",
-  },
-};
+// Display order and labels for the `credits` block of shoot.json.
+export const CREDIT_ROLES = [
+  { key: "photographer", label: "Photographer" },
+  { key: "stylist", label: "Stylist" },
+  { key: "mua", label: "MUA" },
+  { key: "hair", label: "Hair" },
+  { key: "agency", label: "Agency" },
+];
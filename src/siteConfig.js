@@ -0,0 +1,19 @@
+// Site-wide identity shared by the app and the build-time prerender.
+export const SITE = {
+  name: "Ashley Wachtendonk",
+  tagline: "Model / Architect",
+  location: "Milwaukee/Chicago",
+  description: "Portfolio of Ashley Wachtendonk, model and architect based in Milwaukee and Chicago.",
+  email: "wachtendonkashley@gmail.com",
+  instagramUrl: "https://www.instagram.com/ajmwachtendonk/",
+};
+
+// Image protection: watermarked image variants, a copyright line over
+// full-size views and no casual right-click saving. `enabled` is the default
+// for every shoot; a shoot.json overrides it with "protection": true/false,
+// or tunes the watermark with "protection": { "text", "position", "opacity" }.
+// Positions: bottom-right, bottom-left, top-right, top-left, center.
+export const PROTECTION = {
+  enabled: false,
+  watermark: { text: `© ${SITE.name}`, position: "bottom-right", opacity: 0.45 },
+};
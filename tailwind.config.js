@@ -1,8 +1,28 @@
+// Colours are CSS variables holding RGB channels (see src/index.css), so
+// `bg-ink/20` and friends still work and gallery mode or a shoot's own theme
+// can swap them without new classes.
+const token = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: ["./index.html", "./src/**/*.{js,jsx,ts,tsx}"],
+  darkMode: "class",
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        // Fixed palette, for surfaces that look the same in either mode.
+        mist: token("mist"),
+        night: token("night"),
+        steel: token("steel"),
+        haze: token("haze"),
+        // Roles that follow light/gallery mode.
+        canvas: token("canvas"),
+        shade: token("shade"),
+        paper: token("paper"),
+        ink: token("ink"),
+        accent: token("accent"),
+      },
+    },
   },
   plugins: [],
 }
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validateEvent } from '../src/lib/analytics.js';
+
+describe("validateEvent", () => {
+  it("keeps a known event's listed props and its path", () => {
+    assert.deepEqual(validateEvent({ name: "openProject", props: { slug: "lifestyle", source: "pager" }, path: "/work/lifestyle" }), {
+      name: "openProject",
+      props: { slug: "lifestyle", source: "pager" },
+      path: "/work/lifestyle",
+    });
+  });
+
+  it("drops props the event doesn't list and non-primitive values", () => {
+    const event = validateEvent({ name: "galleryView", props: { slug: "a", photo: { id: 1 }, email: "x@y.z", source: "swipe" } });
+
+    assert.deepEqual(event.props, { slug: "a", source: "swipe" });
+    assert.equal(event.path, null);
+  });
+
+  it("keeps finite numbers and booleans but not NaN", () => {
+    assert.deepEqual(validateEvent({ name: "workSlideChange", props: { slug: true, index: 3 } }).props, { slug: true, index: 3 });
+    assert.deepEqual(validateEvent({ name: "workSlideChange", props: { index: NaN } }).props, {});
+  });
+
+  it("cuts long strings and paths short", () => {
+    const event = validateEvent({ name: "bookingClick", props: { source: "s".repeat(500) }, path: `/${"p".repeat(500)}` });
+
+    assert.equal(event.props.source.length, 120);
+    assert.equal(event.path.length, 300);
+  });
+
+  it("rejects unknown events, including inherited property names", () => {
+    assert.equal(validateEvent({ name: "purchase" }), null);
+    assert.equal(validateEvent({ name: "toString" }), null);
+    assert.equal(validateEvent({}), null);
+  });
+
+  it("rejects payloads that aren't objects", () => {
+    for (const input of [null, undefined, [], ["openProject"], "openProject", 7]) {
+      assert.equal(validateEvent(input), null);
+    }
+  });
+});
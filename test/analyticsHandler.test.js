@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { createAnalyticsHandler, createJsonLinesStore } from '../server/analyticsHandler.js';
+import { createRateLimiter } from '../server/rateLimit.js';
+import { listen, post } from './helpers/http.js';
+
+const event = { name: "bookingClick", props: { source: "nav" }, path: "/" };
+
+describe("createAnalyticsHandler", () => {
+  let server;
+  let recorded;
+  let store;
+
+  const start = (options = {}) =>
+    listen(createAnalyticsHandler({ store, logger: { error: () => {} }, ...options })).then((started) => {
+      server = started;
+      return started.url;
+    });
+
+  beforeEach(() => {
+    recorded = [];
+    store = { name: "memory", record: async (entry) => recorded.push(entry) };
+  });
+
+  afterEach(() => server?.close());
+
+  it("stores a valid event with a timestamp and answers 204", async () => {
+    const response = await post(await start(), event);
+
+    assert.equal(response.status, 204);
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].name, "bookingClick");
+    assert.ok(!Number.isNaN(Date.parse(recorded[0].receivedAt)));
+  });
+
+  it("answers 400 to unknown events", async () => {
+    const response = await post(await start(), { name: "purchase" });
+
+    assert.equal(response.status, 400);
+    assert.equal(recorded.length, 0);
+  });
+
+  for (const body of ["null", "[]", "true", "{nope"]) {
+    it(`answers 400 to the body ${body}`, async () => {
+      const response = await post(await start(), body);
+
+      assert.equal(response.status, 400);
+      assert.equal(recorded.length, 0);
+    });
+  }
+
+  it("answers 413 to payloads over 2 KB", async () => {
+    const response = await post(await start(), { ...event, path: "x".repeat(3000) });
+
+    assert.equal(response.status, 413);
+  });
+
+  it("answers 429 once a client is over the limit", async () => {
+    const url = await start({ rateLimiter: createRateLimiter({ limit: 1 }) });
+
+    await post(url, event);
+
+    assert.equal((await post(url, event)).status, 429);
+    assert.equal(recorded.length, 1);
+  });
+
+  it("answers 500 when the store fails", async () => {
+    store = { name: "broken", record: async () => { throw new Error("disk full"); } };
+
+    assert.equal((await post(await start(), event)).status, 500);
+  });
+});
+
+describe("createJsonLinesStore", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "events-"));
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it("appends one JSON line per event, in order, even when concurrent", async () => {
+    const file = path.join(dir, "nested", "events.jsonl");
+    const store = createJsonLinesStore({ file });
+
+    await Promise.all([1, 2, 3].map((index) => store.record({ name: "workSlideChange", props: { index } })));
+
+    const lines = (await readFile(file, "utf8")).trimEnd().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((line) => line.props.index), [1, 2, 3]);
+  });
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildCatalog, getFolderDateValue } from '../src/lib/catalog.js';
+import { PROTECTION } from '../src/siteConfig.js';
+
+const photo = (key, fields = {}) => ({ path: `./assets/photos/${key}`, ...fields });
+const shootJson = (folder) => `./assets/photos/${folder}/shoot.json`;
+
+describe("buildCatalog", () => {
+  it("groups photos by folder into shoots, newest first", () => {
+    const { shoots } = buildCatalog([
+      photo("2024-03-01-spring-linen/01.jpg"),
+      photo("2025-06-10-editorial/01.jpg"),
+      photo("2024-03-01-spring-linen/02.jpg"),
+    ]);
+
+    assert.deepEqual(shoots.map((shoot) => [shoot.id, shoot.date, shoot.routeSlug, shoot.title]), [
+      ["2025-06-10-editorial", "2025-06-10", "editorial", "Editorial"],
+      ["2024-03-01-spring-linen", "2024-03-01", "spring-linen", "Spring Linen"],
+    ]);
+  });
+
+  it("uses cover.jpg as the cover, or else the first photo by name", () => {
+    const [withCover, withoutCover] = buildCatalog([
+      photo("2025-01-02-a/b.jpg"),
+      photo("2025-01-02-a/Cover.JPG"),
+      photo("2025-01-01-b/10.jpg"),
+      photo("2025-01-01-b/02.jpg"),
+    ]).shoots;
+
+    assert.equal(withCover.image.path, "./assets/photos/2025-01-02-a/Cover.JPG");
+    assert.deepEqual(withCover.gallery.map((item) => item.path), ["./assets/photos/2025-01-02-a/b.jpg"]);
+    assert.equal(withoutCover.image.path, "./assets/photos/2025-01-01-b/02.jpg");
+    assert.equal(withoutCover.backgroundImage.path, "./assets/photos/2025-01-01-b/10.jpg");
+  });
+
+  it("never uses a video as the cover or background image", () => {
+    const [shoot] = buildCatalog([photo("2025-01-01-a/01.mp4"), photo("2025-01-01-a/02.jpg")]).shoots;
+
+    assert.equal(shoot.image.path, "./assets/photos/2025-01-01-a/02.jpg");
+    assert.equal(shoot.backgroundImage, shoot.image);
+    assert.deepEqual(shoot.gallery.map((item) => item.path), ["./assets/photos/2025-01-01-a/01.mp4"]);
+    assert.equal(shoot.backgroundVideo, null);
+  });
+
+  it("skips folders with only videos", () => {
+    assert.deepEqual(buildCatalog([photo("2025-01-01-a/clip.webm")]).shoots, []);
+  });
+
+  it("picks the background video shoot.json names", () => {
+    const [shoot] = buildCatalog([photo("2025-01-01-a/01.jpg"), photo("2025-01-01-a/loop.mp4")], {
+      [shootJson("2025-01-01-a")]: { backgroundVideo: "loop.mp4" },
+    }).shoots;
+
+    assert.equal(shoot.backgroundVideo.path, "./assets/photos/2025-01-01-a/loop.mp4");
+  });
+
+  it("dates undated folders by their earliest capture and skips the rest", () => {
+    const { shoots } = buildCatalog([
+      photo("beach-day/01.jpg", { capturedAt: "2023-08-20T10:00:00" }),
+      photo("beach-day/02.jpg", { capturedAt: "2023-08-19T18:00:00" }),
+      photo("misc/01.jpg"),
+    ]);
+
+    assert.deepEqual(shoots.map((shoot) => [shoot.id, shoot.date, shoot.routeSlug]), [
+      ["beach-day", "2023-08-19T18:00:00", "beach-day"],
+    ]);
+  });
+
+  it("ignores paths outside the photo root and loose files", () => {
+    assert.deepEqual(buildCatalog([{ path: "./elsewhere/a/01.jpg" }, photo("01.jpg")]).shoots, []);
+  });
+
+  it("takes titles, tags and credits from shoot.json", () => {
+    const [shoot] = buildCatalog([photo("2025-01-01-a/01.jpg", { credit: "Exif Name" })], {
+      [shootJson("2025-01-01-a")]: {
+        title: "Salt & Stone",
+        category: "Editorial",
+        tags: [" Beach ", "beach", "SUMMER", 4, ""],
+        credits: { stylist: "Sam Reed", mua: "  " },
+      },
+    }).shoots;
+
+    assert.equal(shoot.title, "Salt & Stone");
+    assert.equal(shoot.header, "Editorial");
+    assert.deepEqual(shoot.tags, ["beach", "summer"]);
+    assert.deepEqual(shoot.credits, [
+      { key: "photographer", role: "Photographer", name: "Exif Name" },
+      { key: "stylist", role: "Stylist", name: "Sam Reed" },
+    ]);
+  });
+
+  it("credits the photographer named most often in EXIF", () => {
+    const [shoot] = buildCatalog([
+      photo("2025-01-01-a/01.jpg", { credit: "A" }),
+      photo("2025-01-01-a/02.jpg", { credit: "B" }),
+      photo("2025-01-01-a/03.jpg", { credit: "B" }),
+    ]).shoots;
+
+    assert.equal(shoot.credits[0].name, "B");
+  });
+
+  it("resolves protection against the site defaults", () => {
+    const { shoots } = buildCatalog([photo("2025-01-02-a/01.jpg"), photo("2025-01-01-b/01.jpg")], {
+      [shootJson("2025-01-02-a")]: { protection: { position: "nowhere", opacity: 3 }, credits: { photographer: "Ana" } },
+      [shootJson("2025-01-01-b")]: { protection: false },
+    });
+
+    assert.deepEqual(shoots[0].protection, {
+      watermark: { text: PROTECTION.watermark.text, position: PROTECTION.watermark.position, opacity: 1 },
+      copyright: "© 2025 Ana",
+    });
+    assert.equal(shoots[1].protection, null);
+  });
+
+  it("keeps only valid theme colours", () => {
+    const { shoots } = buildCatalog([photo("2025-01-02-a/01.jpg"), photo("2025-01-01-b/01.jpg")], {
+      [shootJson("2025-01-02-a")]: { theme: { accent: "#8A5A44", background: "beige" } },
+      [shootJson("2025-01-01-b")]: { theme: { background: "red" } },
+    });
+
+    assert.deepEqual(shoots[0].theme, { accent: "#8A5A44" });
+    assert.equal(shoots[1].theme, null);
+  });
+
+  it("attaches per-photo settings keyed by the path inside the shoot", () => {
+    const [shoot] = buildCatalog([photo("2025-01-01-a/cover.jpg"), photo("2025-01-01-a/extra/02.jpg")], {
+      [shootJson("2025-01-01-a")]: { photos: { "extra/02.jpg": { focus: { x: 40, y: 10 }, fullWidth: true } } },
+    }).shoots;
+
+    assert.deepEqual(shoot.gallery[0].focus, { x: 40, y: 10 });
+    assert.equal(shoot.gallery[0].fullWidth, true);
+    assert.equal(shoot.image.focus, undefined);
+  });
+});
+
+describe("getFolderDateValue", () => {
+  it("reads the folder's date prefix as UTC", () => {
+    assert.equal(getFolderDateValue("2025-02-03-anything"), Date.UTC(2025, 1, 3));
+    assert.equal(getFolderDateValue("anything"), Number.NEGATIVE_INFINITY);
+  });
+});
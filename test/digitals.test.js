@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildCatalog } from '../src/lib/catalog.js';
+import { getDigitalPose, getDigitalSetArchiveName, getDigitalSetArchivePath, getDigitalSetPath } from '../src/lib/digitals.js';
+
+const photo = (key, fields = {}) => ({ path: `./assets/photos/digitals/${key}`, ...fields });
+const fileNames = (set) => set.photos.map((item) => item.path.split("/").pop());
+
+describe("getDigitalPose", () => {
+  it("reads the pose from the file name", () => {
+    assert.equal(getDigitalPose("front.jpg"), "front");
+    assert.equal(getDigitalPose("Profile-2.JPG"), "profile");
+    assert.equal(getDigitalPose("Full Length.jpeg"), "full-length");
+    assert.equal(getDigitalPose("three_quarter3.png"), "three-quarter");
+  });
+
+  it("understands the usual aliases", () => {
+    assert.equal(getDigitalPose("side.jpg"), "profile");
+    assert.equal(getDigitalPose("full-body.jpg"), "full-length");
+    assert.equal(getDigitalPose("3-4.jpg"), "three-quarter");
+    assert.equal(getDigitalPose("3-4-2.jpg"), "three-quarter");
+  });
+
+  it("returns null for names that aren't a pose", () => {
+    assert.equal(getDigitalPose("IMG_0042.jpg"), null);
+    assert.equal(getDigitalPose("toString.jpg"), null);
+    assert.equal(getDigitalPose("constructor.jpg"), null);
+  });
+});
+
+describe("digital sets", () => {
+  it("are dated by folder, or else by EXIF, newest first", () => {
+    const { digitalSets, digitals, shoots } = buildCatalog([
+      photo("2025-01-05/front.jpg"),
+      photo("2026-09-01-studio/front.jpg"),
+      photo("loose.jpg", { capturedAt: "2025-06-01T09:00:00" }),
+      photo("old/front.jpg"),
+    ]);
+
+    assert.deepEqual(digitalSets.map((set) => [set.id, set.date]), [
+      ["2026-09-01-studio", "2026-09-01"],
+      ["2025-06-01T09:00:00", "2025-06-01T09:00:00"],
+      ["2025-01-05", "2025-01-05"],
+      ["old", null],
+    ]);
+    assert.equal(digitals, digitalSets[0].photos);
+    assert.deepEqual(shoots, []);
+  });
+
+  it("order photos by pose, then by file name", () => {
+    const [set] = buildCatalog([
+      photo("2026-09-01/b-extra.jpg"),
+      photo("2026-09-01/smile.jpg"),
+      photo("2026-09-01/a-extra.jpg"),
+      photo("2026-09-01/profile.jpg"),
+      photo("2026-09-01/Front.jpg"),
+    ]).digitalSets;
+
+    assert.deepEqual(fileNames(set), ["Front.jpg", "profile.jpg", "smile.jpg", "a-extra.jpg", "b-extra.jpg"]);
+    assert.deepEqual(set.photos.map((item) => item.pose), ["front", "profile", "smile", null, null]);
+  });
+
+  it("leave out videos", () => {
+    const [set] = buildCatalog([photo("2026-09-01/front.jpg"), photo("2026-09-01/turn.mp4")]).digitalSets;
+
+    assert.deepEqual(fileNames(set), ["front.jpg"]);
+  });
+
+  it("take per-photo settings from the set's photos.json", () => {
+    const [set] = buildCatalog([photo("2026-09-01/front.jpg")], {
+      "./assets/photos/digitals/2026-09-01/photos.json": { photos: { "front.jpg": { focus: { x: 50, y: 20 } } } },
+    }).digitalSets;
+
+    assert.deepEqual(set.photos[0].focus, { x: 50, y: 20 });
+  });
+
+  it("are empty without a digitals folder", () => {
+    assert.deepEqual(buildCatalog([]), { shoots: [], digitals: [], digitalSets: [] });
+  });
+});
+
+describe("digital set paths", () => {
+  it("point at the set's page and zip", () => {
+    assert.equal(getDigitalSetPath(null), "/digitals");
+    assert.equal(getDigitalSetPath("2026-09-01"), "/digitals/2026-09-01");
+    assert.equal(getDigitalSetArchivePath("2026-09-01"), "/digitals/2026-09-01.zip");
+    assert.equal(getDigitalSetArchiveName("Jane Doe", "2026-09-01"), "jane-doe-digitals-2026-09-01");
+  });
+});
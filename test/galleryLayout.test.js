@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildGalleryRows, getGalleryAspect, getGalleryColumns, getGalleryTileSizes } from '../src/lib/galleryLayout.js';
+
+const portrait = (id, fields = {}) => ({ id, aspectRatio: 0.75, ...fields });
+const landscape = (id, fields = {}) => ({ id, aspectRatio: 1.5, ...fields });
+
+const ids = (rows) => rows.map((row) => row.tiles.map((tile) => tile.item.id));
+const shares = (row) => row.tiles.map((tile) => Number(tile.share.toFixed(4)));
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe("buildGalleryRows", () => {
+  it("fills rows with about `columns` portraits, in file order", () => {
+    const items = ["a", "b", "c", "d", "e", "f"].map((id) => portrait(id));
+    const rows = buildGalleryRows(items, 3);
+
+    assert.deepEqual(ids(rows), [["a", "b", "c"], ["d", "e", "f"]]);
+    assert.deepEqual(rows[1].tiles.map((tile) => tile.index), [3, 4, 5]);
+    assert.deepEqual(shares(rows[0]), [0.3333, 0.3333, 0.3333]);
+  });
+
+  it("counts a landscape photo as two portraits' worth", () => {
+    const rows = buildGalleryRows([landscape("a"), portrait("b"), portrait("c"), portrait("d")], 2);
+
+    assert.deepEqual(ids(rows), [["a"], ["b", "c"], ["d"]]);
+  });
+
+  it("shares a full row's width by aspect ratio, adding up to 1", () => {
+    const [row] = buildGalleryRows([landscape("a"), portrait("b")], 3);
+
+    assert.deepEqual(shares(row), [0.6667, 0.3333]);
+    assert.equal(Number(sum(row.tiles.map((tile) => tile.share)).toFixed(10)), 1);
+  });
+
+  it("keeps a short last row at its natural height", () => {
+    const rows = buildGalleryRows([portrait("a"), portrait("b"), portrait("c"), portrait("d")], 3);
+
+    assert.deepEqual(shares(rows[1]), [0.3333]);
+  });
+
+  it("stretches a nearly full last row", () => {
+    const items = [portrait("a"), portrait("b"), portrait("c"), { id: "d", aspectRatio: 0.8 }, { id: "e", aspectRatio: 0.8 }];
+    const rows = buildGalleryRows(items, 3);
+
+    assert.deepEqual(shares(rows[1]), [0.5, 0.5]);
+  });
+
+  it("gives full-width photos a row of their own", () => {
+    const rows = buildGalleryRows([portrait("a"), portrait("b", { fullWidth: true }), portrait("c")], 3);
+
+    assert.deepEqual(ids(rows), [["a"], ["b"], ["c"]]);
+    assert.deepEqual(shares(rows[1]), [1]);
+  });
+
+  it("lays out entries without a known aspect ratio as 3:2", () => {
+    assert.equal(getGalleryAspect({}), 1.5);
+    assert.equal(getGalleryAspect({ aspectRatio: 0 }), 1.5);
+    assert.deepEqual(ids(buildGalleryRows([{ id: "a" }, portrait("b")], 3)), [["a", "b"]]);
+  });
+
+  it("returns no rows for an empty gallery", () => {
+    assert.deepEqual(buildGalleryRows([], 3), []);
+  });
+});
+
+describe("gallery sizing", () => {
+  it("uses two columns on phones and three otherwise", () => {
+    assert.equal(getGalleryColumns(true), 2);
+    assert.equal(getGalleryColumns(false), 3);
+  });
+
+  it("hints a tile's width from its share of the row", () => {
+    assert.equal(getGalleryTileSizes(1 / 3), "(min-width: 72rem) 24rem, 34vw");
+    assert.equal(getGalleryTileSizes(1, 60), "(min-width: 60rem) 60rem, 100vw");
+  });
+});
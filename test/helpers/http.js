@@ -0,0 +1,23 @@
+import http from 'node:http';
+
+/**
+ * Serves `handler` on a free local port for one test. Resolves to `{ url,
+ * close }`; `post(url, body)` sends `body` as-is, so tests can send JSON that
+ * isn't an object, or no JSON at all.
+ */
+export const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({ url: `http://127.0.0.1:${port}`, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+
+export const post = (url, body) =>
+  fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
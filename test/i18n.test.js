@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTranslator, detectLocale, getIntlLocale, LOCALES, localizeShoot, translate } from '../src/lib/i18n.js';
+import { splitLocale, withLocale } from '../src/lib/router.js';
+
+describe("translate", () => {
+  it("fills placeholders from the locale's catalog", () => {
+    assert.equal(translate("de", "project.photoAlt", { title: "Linen", number: 3, count: 12 }), "Linen, Bild 3 von 12");
+  });
+
+  it("leaves placeholders without a value as written", () => {
+    assert.equal(translate("en", "project.photoAlt", { title: "Linen" }), "Linen, photo {number} of {count}");
+  });
+
+  it("falls back to English for keys a catalog leaves out", () => {
+    assert.equal(LOCALES.de.catalog["contact.instagram"], undefined);
+    assert.equal(translate("de", "contact.instagram"), LOCALES.en.catalog["contact.instagram"]);
+  });
+
+  it("falls back to English for unknown locales", () => {
+    assert.equal(translate("fr", "nav.home"), LOCALES.en.catalog["nav.home"]);
+    assert.equal(translate("toString", "nav.home"), LOCALES.en.catalog["nav.home"]);
+  });
+
+  it("returns the key itself when no catalog has it", () => {
+    assert.equal(translate("de", "missing.key"), "missing.key");
+  });
+
+  it("is bound to a locale by createTranslator", () => {
+    assert.equal(createTranslator("de")("nav.home"), "Start");
+  });
+});
+
+describe("detectLocale", () => {
+  it("takes the first supported language, ignoring the region", () => {
+    assert.equal(detectLocale(["fr-FR", "de-AT", "es"]), "de");
+    assert.equal(detectLocale(["ES-mx"]), "es");
+  });
+
+  it("falls back to English", () => {
+    assert.equal(detectLocale(["fr", "it"]), "en");
+    assert.equal(detectLocale(), "en");
+  });
+});
+
+describe("getIntlLocale", () => {
+  it("maps locales to their BCP 47 tag, defaulting to English", () => {
+    assert.equal(getIntlLocale("de"), "de-DE");
+    assert.equal(getIntlLocale("xx"), "en-US");
+  });
+});
+
+describe("localizeShoot", () => {
+  const shoot = {
+    title: "Spring Linen",
+    description: "English copy",
+    category: "Editorial",
+    translations: { de: { title: "Frühlingsleinen", description: "  ", category: "Redaktionell" } },
+  };
+
+  it("swaps in the translated copy, keeping untranslated fields", () => {
+    const localized = localizeShoot(shoot, "de");
+
+    assert.equal(localized.title, "Frühlingsleinen");
+    assert.equal(localized.description, "English copy");
+    assert.equal(localized.category, "Editorial");
+  });
+
+  it("returns the shoot itself without a translation", () => {
+    assert.equal(localizeShoot(shoot, "es"), shoot);
+    assert.equal(localizeShoot({ title: "No translations" }, "de").title, "No translations");
+  });
+});
+
+describe("locale paths", () => {
+  it("split the locale prefix off, leaving English unprefixed", () => {
+    assert.deepEqual(splitLocale("/de/portfolio/a"), { locale: "de", pathname: "/portfolio/a" });
+    assert.deepEqual(splitLocale("/es"), { locale: "es", pathname: "/" });
+    assert.deepEqual(splitLocale("/en/portfolio"), { locale: "en", pathname: "/en/portfolio" });
+    assert.deepEqual(splitLocale("/fr/portfolio"), { locale: "en", pathname: "/fr/portfolio" });
+  });
+
+  it("add the prefix back for every locale but English", () => {
+    assert.equal(withLocale("/portfolio", "de"), "/de/portfolio");
+    assert.equal(withLocale("/", "es"), "/es");
+    assert.equal(withLocale("/portfolio", "en"), "/portfolio");
+    assert.equal(withLocale("/portfolio", "fr"), "/portfolio");
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createEmptyInquiry, HONEYPOT_FIELD, isHoneypotFilled, validateInquiry } from '../src/lib/inquiry.js';
+
+const validInquiry = {
+  client: "  Studio North ",
+  email: "bookings@studionorth.example",
+  projectType: "Editorial",
+  startDate: "2026-11-02",
+  endDate: "2026-11-03",
+  message: "Two-day editorial in Chicago.",
+};
+
+describe("validateInquiry", () => {
+  it("accepts a complete inquiry and trims its values", () => {
+    const { values, errors } = validateInquiry(validInquiry);
+
+    assert.deepEqual(errors, {});
+    assert.equal(values.client, "Studio North");
+    assert.equal(values.location, "");
+  });
+
+  it("drops keys that are not inquiry fields", () => {
+    const { values } = validateInquiry({ ...validInquiry, isAdmin: true, [HONEYPOT_FIELD]: "x" });
+
+    assert.equal("isAdmin" in values, false);
+    assert.equal(HONEYPOT_FIELD in values, false);
+  });
+
+  it("reports every missing required field", () => {
+    const { errors } = validateInquiry(createEmptyInquiry());
+
+    assert.deepEqual(Object.keys(errors).sort(), ["client", "email", "message", "projectType"]);
+  });
+
+  it("treats non-string values as empty", () => {
+    const { values, errors } = validateInquiry({ ...validInquiry, client: 42, message: ["hi"] });
+
+    assert.equal(values.client, "");
+    assert.ok(errors.client);
+    assert.ok(errors.message);
+  });
+
+  it("rejects malformed emails, unknown project types and over-long values", () => {
+    const { errors } = validateInquiry({
+      ...validInquiry,
+      email: "not-an-email",
+      projectType: "Wedding",
+      budget: "9".repeat(81),
+    });
+
+    assert.deepEqual(Object.keys(errors).sort(), ["budget", "email", "projectType"]);
+  });
+
+  it("checks the date format and range", () => {
+    assert.ok(validateInquiry({ ...validInquiry, startDate: "02/11/2026" }).errors.startDate);
+    assert.ok(validateInquiry({ ...validInquiry, startDate: "", endDate: "2026-11-03" }).errors.startDate);
+    assert.ok(validateInquiry({ ...validInquiry, startDate: "2026-11-03", endDate: "2026-11-02" }).errors.endDate);
+  });
+
+  it("reports a null or missing body as empty rather than throwing", () => {
+    assert.ok(validateInquiry(null).errors.client);
+    assert.ok(validateInquiry(undefined).errors.client);
+  });
+});
+
+describe("isHoneypotFilled", () => {
+  it("is true only when the hidden field has text", () => {
+    assert.equal(isHoneypotFilled({ [HONEYPOT_FIELD]: "https://spam.example" }), true);
+    assert.equal(isHoneypotFilled({ [HONEYPOT_FIELD]: "   " }), false);
+    assert.equal(isHoneypotFilled({ [HONEYPOT_FIELD]: 1 }), false);
+    assert.equal(isHoneypotFilled({}), false);
+  });
+
+  it("does not throw on a null or missing body", () => {
+    assert.equal(isHoneypotFilled(null), false);
+    assert.equal(isHoneypotFilled(undefined), false);
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { HONEYPOT_FIELD } from '../src/lib/inquiry.js';
+import { createInquiryHandler } from '../server/inquiryHandler.js';
+import { createRateLimiter } from '../server/rateLimit.js';
+import { listen, post } from './helpers/http.js';
+
+const validInquiry = {
+  client: "Studio North",
+  email: "bookings@studionorth.example",
+  projectType: "Campaign",
+  message: "Spring campaign, one day.",
+};
+
+const silentLogger = { error: () => {} };
+
+describe("createInquiryHandler", () => {
+  let server;
+  let delivered;
+  let delivery;
+
+  const start = (options = {}) =>
+    listen(createInquiryHandler({ delivery, logger: silentLogger, ...options })).then((started) => {
+      server = started;
+      return started.url;
+    });
+
+  beforeEach(() => {
+    delivered = [];
+    delivery = { name: "memory", deliver: async (inquiry) => delivered.push(inquiry) };
+  });
+
+  afterEach(() => server?.close());
+
+  it("delivers a valid inquiry with its receive time", async () => {
+    const response = await post(await start(), validInquiry);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].client, "Studio North");
+    assert.ok(!Number.isNaN(Date.parse(delivered[0].receivedAt)));
+  });
+
+  it("answers 400 with field errors and delivers nothing", async () => {
+    const response = await post(await start(), { ...validInquiry, email: "nope" });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.ok(body.errors.email);
+    assert.equal(delivered.length, 0);
+  });
+
+  for (const [label, body] of [["null", "null"], ["an array", "[]"], ["a number", "5"], ["a string", "\"hi\""]]) {
+    it(`answers 400 to a JSON body that is ${label}`, async () => {
+      const response = await post(await start(), body);
+
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).ok, false);
+      assert.equal(delivered.length, 0);
+    });
+  }
+
+  it("answers 400 to malformed JSON", async () => {
+    const response = await post(await start(), "{\"client\":");
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, "Invalid JSON");
+  });
+
+  it("answers 413 to an oversized body", async () => {
+    const response = await post(await start(), { ...validInquiry, message: "x".repeat(40 * 1024) });
+
+    assert.equal(response.status, 413);
+  });
+
+  it("only accepts POST", async () => {
+    const response = await fetch(await start());
+
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get("allow"), "POST");
+  });
+
+  it("pretends to accept honeypot hits without delivering or counting them", async () => {
+    const url = await start({ rateLimiter: createRateLimiter({ limit: 1 }) });
+    const spam = await post(url, { ...validInquiry, [HONEYPOT_FIELD]: "https://spam.example" });
+
+    assert.equal(spam.status, 200);
+    assert.equal(delivered.length, 0);
+    assert.equal((await post(url, validInquiry)).status, 200);
+  });
+
+  it("answers 429 with Retry-After once a client is over the limit", async () => {
+    const url = await start({ rateLimiter: createRateLimiter({ limit: 1, windowMs: 60_000 }) });
+
+    await post(url, validInquiry);
+    const response = await post(url, validInquiry);
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get("retry-after"), "60");
+    assert.equal(delivered.length, 1);
+  });
+
+  it("answers 502 when delivery fails", async () => {
+    delivery = { name: "broken", deliver: async () => { throw new Error("SMTP down"); } };
+    const response = await post(await start(), validInquiry);
+
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).ok, false);
+  });
+});
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { createDeliveryFromEnv } from '../server/delivery/index.js';
+import { createJsonFileDelivery } from '../server/delivery/jsonFile.js';
+
+describe("createJsonFileDelivery", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "inquiries-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("creates the file and its folder on the first inquiry", async () => {
+    const file = path.join(dir, "nested", "inquiries.json");
+    await createJsonFileDelivery({ file }).deliver({ client: "A" });
+
+    assert.deepEqual(JSON.parse(await readFile(file, "utf8")), [{ client: "A" }]);
+  });
+
+  it("keeps every one of several concurrent inquiries, in order", async () => {
+    const file = path.join(dir, "concurrent.json");
+    const delivery = createJsonFileDelivery({ file });
+
+    await Promise.all(["A", "B", "C", "D"].map((client) => delivery.deliver({ client })));
+
+    assert.deepEqual(JSON.parse(await readFile(file, "utf8")).map((inquiry) => inquiry.client), ["A", "B", "C", "D"]);
+  });
+});
+
+describe("createDeliveryFromEnv", () => {
+  it("defaults to the JSON file sink", () => {
+    assert.equal(createDeliveryFromEnv({}, { root: tmpdir() }).name, "json-file");
+  });
+
+  it("requires each adapter's settings and rejects unknown adapters", () => {
+    assert.throws(() => createDeliveryFromEnv({ INQUIRY_DELIVERY: "webhook" }), /INQUIRY_WEBHOOK_URL/);
+    assert.throws(() => createDeliveryFromEnv({ INQUIRY_DELIVERY: "smtp" }), /INQUIRY_SMTP_URL/);
+    assert.throws(() => createDeliveryFromEnv({ INQUIRY_DELIVERY: "pigeon" }), /Unknown INQUIRY_DELIVERY/);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  convertDressSize,
+  convertShoeSize,
+  formatMeasurement,
+  formatMeasurements,
+  formatUpdatedDate,
+  getLastUpdated,
+} from '../src/lib/measurements.js';
+
+describe("formatMeasurement", () => {
+  it("shows height in feet and inches or rounded centimetres", () => {
+    const height = { kind: "height", inches: 69.5 };
+
+    assert.equal(formatMeasurement(height, "imperial"), `5'9.5"`);
+    assert.equal(formatMeasurement(height, "metric"), "177cm");
+    assert.equal(formatMeasurement(height, "both"), `5'9.5" / 177cm`);
+    assert.equal(formatMeasurement({ kind: "height", inches: 72 }, "imperial"), `6'0"`);
+  });
+
+  it("shows lengths in inches or centimetres", () => {
+    const waist = { kind: "length", inches: 24 };
+
+    assert.equal(formatMeasurement(waist, "imperial"), `24"`);
+    assert.equal(formatMeasurement(waist, "metric"), "61cm");
+    assert.equal(formatMeasurement({ kind: "length", inches: 33.25 }, "imperial"), `33.3"`);
+  });
+
+  it("lists shoe and dress sizes with the chosen system first", () => {
+    assert.equal(formatMeasurement({ kind: "shoe", us: 8 }, "imperial"), "8 US / 38.5 EU / 6 UK");
+    assert.equal(formatMeasurement({ kind: "shoe", us: 8 }, "metric"), "38.5 EU / 8 US / 6 UK");
+    assert.equal(formatMeasurement({ kind: "dress", us: 4 }, "both"), "4 US / 34 EU / 8 UK");
+  });
+
+  it("passes other kinds through as their value", () => {
+    assert.equal(formatMeasurement({ kind: "text", value: "Hazel" }, "metric"), "Hazel");
+  });
+});
+
+describe("size conversions", () => {
+  it("converts US sizes to EU and UK", () => {
+    assert.deepEqual(convertShoeSize(7.5), { us: 7.5, eu: 38, uk: 5.5 });
+    assert.deepEqual(convertDressSize(2), { us: 2, eu: 32, uk: 6 });
+  });
+});
+
+describe("formatMeasurements", () => {
+  it("keeps each entry's key, label and update date", () => {
+    assert.deepEqual(formatMeasurements([{ key: "bust", label: "Bust", kind: "length", inches: 32, updated: "2025-01-01" }], "metric"), [
+      { key: "bust", label: "Bust", value: "81cm", updated: "2025-01-01" },
+    ]);
+  });
+});
+
+describe("getLastUpdated", () => {
+  it("finds the newest update date, or an empty string", () => {
+    assert.equal(getLastUpdated([{ updated: "2024-05-01" }, {}, { updated: "2025-02-01" }]), "2025-02-01");
+    assert.equal(getLastUpdated([{}]), "");
+  });
+});
+
+describe("formatUpdatedDate", () => {
+  it("formats the month and year in the given locale, in UTC", () => {
+    assert.equal(formatUpdatedDate("2025-03-01"), "Mar 2025");
+    assert.equal(formatUpdatedDate("2025-03-01", "de-DE"), "März 2025");
+    assert.equal(formatUpdatedDate(""), "");
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { photoFocusEditor } from '../plugins/photoFocusEditor.js';
+import { listen, post } from './helpers/http.js';
+
+// Mounts the plugin on a stand-in for Vite's dev server and serves the
+// middleware it registers.
+const startEditor = async (root) => {
+  const plugin = photoFocusEditor({ dir: "photos" });
+  let middleware;
+
+  plugin.configResolved({ root });
+  plugin.configureServer({ config: { root }, middlewares: { use: (route, handler) => (middleware = handler) } });
+
+  return listen((req, res) => middleware(req, res));
+};
+
+const readJson = async (file) => JSON.parse(await readFile(file, "utf8"));
+
+describe("photoFocusEditor", () => {
+  let root;
+  let server;
+
+  beforeEach(async () => {
+    root = await mkdtemp(path.join(tmpdir(), "photo-focus-"));
+    server = await startEditor(root);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it("writes the point to the shoot's shoot.json, keeping its other fields", async () => {
+    await mkdir(path.join(root, "photos", "2025-01-01-a"), { recursive: true });
+    await writeFile(path.join(root, "photos", "2025-01-01-a", "shoot.json"), JSON.stringify({ title: "A" }));
+
+    const response = await post(server.url, { path: "./assets/photos/2025-01-01-a/extra/02.jpg", target: "square", focus: { x: 40.4, y: 12.6 } });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { ok: true, file: path.join("photos", "2025-01-01-a", "shoot.json") });
+    assert.deepEqual(await readJson(path.join(root, "photos", "2025-01-01-a", "shoot.json")), {
+      title: "A",
+      photos: { "extra/02.jpg": { crops: { square: { x: 40, y: 13 } } } },
+    });
+  });
+
+  it("writes digitals' points to the set's photos.json and prunes cleared ones", async () => {
+    const file = path.join(root, "photos", "digitals", "2026-09-01", "photos.json");
+    await mkdir(path.dirname(file), { recursive: true });
+
+    await post(server.url, { path: "./assets/photos/digitals/2026-09-01/front.jpg", target: "focus", focus: { x: 50, y: 20 } });
+    assert.deepEqual(await readJson(file), { photos: { "front.jpg": { focus: { x: 50, y: 20 } } } });
+
+    await post(server.url, { path: "./assets/photos/digitals/2026-09-01/front.jpg", target: "focus", focus: null });
+    assert.deepEqual(await readJson(file), {});
+  });
+
+  it("answers bodies that aren't a JSON object with a 400", async () => {
+    for (const body of ["null", "[]", "5", '"hi"', "{nope"]) {
+      const response = await post(server.url, body);
+
+      assert.equal(response.status, 400, body);
+      assert.equal((await response.json()).ok, false);
+    }
+  });
+
+  it("refuses paths outside a shoot or digitals folder", async () => {
+    for (const photoPath of [undefined, 7, "./assets/photos/hero.jpg", "./assets/photos/../../etc/passwd", "/etc/passwd"]) {
+      const response = await post(server.url, { path: photoPath, target: "focus", focus: null });
+
+      assert.equal(response.status, 400, String(photoPath));
+    }
+  });
+
+  it("refuses unknown targets and points out of range", async () => {
+    const photoPath = "./assets/photos/2025-01-01-a/01.jpg";
+
+    assert.equal((await post(server.url, { path: photoPath, target: "banner", focus: null })).status, 400);
+    assert.equal((await post(server.url, { path: photoPath, target: "focus", focus: { x: 120, y: 0 } })).status, 400);
+    assert.equal((await post(server.url, { path: photoPath, target: "focus" })).status, 400);
+  });
+
+  it("only accepts POST", async () => {
+    const response = await fetch(server.url);
+
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get("allow"), "POST");
+  });
+});
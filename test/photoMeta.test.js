@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getDigitalAlt } from '../src/lib/digitals.js';
+import { createTranslator } from '../src/lib/i18n.js';
+import { getGalleryPhotoAlt, getPhotoAlt, normalizeAlt, withPhotoMeta } from '../src/lib/photoMeta.js';
+
+const t = createTranslator("en");
+const de = createTranslator("de");
+
+describe("normalizeAlt", () => {
+  it("trims a plain string", () => {
+    assert.equal(normalizeAlt("  Walking the pier  "), "Walking the pier");
+  });
+
+  it("keeps the known locales' non-empty entries", () => {
+    assert.deepEqual(normalizeAlt({ en: " Pier ", de: "", fr: "Jetée", es: 4 }), { en: "Pier" });
+  });
+
+  it("returns null when nothing usable is left", () => {
+    for (const alt of [undefined, null, "", "   ", 7, [], { de: " " }]) {
+      assert.equal(normalizeAlt(alt), null, JSON.stringify(alt));
+    }
+  });
+});
+
+describe("getPhotoAlt", () => {
+  it("picks the locale's text, falling back to English", () => {
+    const photo = { alt: { en: "Pier", de: "Steg" } };
+
+    assert.equal(getPhotoAlt(photo, "de"), "Steg");
+    assert.equal(getPhotoAlt(photo, "es"), "Pier");
+    assert.equal(getPhotoAlt({ alt: { de: "Steg" } }, "es"), null);
+  });
+
+  it("uses a plain string in every locale", () => {
+    assert.equal(getPhotoAlt({ alt: "Pier" }, "de"), "Pier");
+  });
+
+  it("returns null without alt text", () => {
+    assert.equal(getPhotoAlt({}, "en"), null);
+    assert.equal(getPhotoAlt(undefined, "en"), null);
+  });
+});
+
+describe("getGalleryPhotoAlt", () => {
+  const position = { title: "Spring Linen", number: 3, count: 12 };
+
+  it("prefers the photo's own alt, then its caption, then its position", () => {
+    assert.equal(getGalleryPhotoAlt({ alt: "Pier", caption: "IPTC" }, position, t, "en"), "Pier");
+    assert.equal(getGalleryPhotoAlt({ caption: "IPTC" }, position, t, "en"), "IPTC");
+    assert.equal(getGalleryPhotoAlt({}, position, t, "en"), "Spring Linen, photo 3 of 12");
+    assert.equal(getGalleryPhotoAlt({}, position, de, "de"), "Spring Linen, Bild 3 von 12");
+  });
+});
+
+describe("getDigitalAlt", () => {
+  it("prefers the photo's own alt, then names the pose", () => {
+    assert.equal(getDigitalAlt({ alt: { de: "Profil links" }, pose: "profile" }, de, "Jane Doe", "de"), "Profil links");
+    assert.equal(getDigitalAlt({ pose: "profile" }, de, "Jane Doe", "de"), "Jane Doe, Profil");
+    assert.equal(getDigitalAlt({ pose: null }, t, "Jane Doe", "en"), "Jane Doe digital");
+  });
+});
+
+describe("withPhotoMeta", () => {
+  it("returns the photo untouched without settings", () => {
+    const photo = { path: "./assets/photos/a/01.jpg" };
+
+    assert.equal(withPhotoMeta(photo, undefined), photo);
+  });
+
+  it("applies settings, dropping anything malformed", () => {
+    const photo = withPhotoMeta(
+      { path: "./assets/photos/a/01.jpg", width: 800 },
+      { focus: { x: 140, y: 0 }, crops: { square: { x: 50, y: 10 }, banner: { x: 1, y: 1 } }, fullWidth: "yes", alt: { en: " Pier " } }
+    );
+
+    assert.deepEqual(photo, {
+      path: "./assets/photos/a/01.jpg",
+      width: 800,
+      focus: null,
+      crops: { square: { x: 50, y: 10 } },
+      fullWidth: false,
+      alt: { en: "Pier" },
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { filterPortfolio, getPortfolioFilterOptions, parsePortfolioQuery, toPortfolioQuery } from '../src/lib/portfolioFilters.js';
+
+const shoots = [
+  { id: "a", title: "beach", date: "2024-06-01", category: "Editorial", tags: ["summer", "outdoor"] },
+  { id: "b", title: "Atelier", date: "2025-01-10", category: "Beauty Shoot", tags: ["studio"] },
+  { id: "c", title: "Coast", date: "2023-09-15", category: "Editorial", tags: ["outdoor"] },
+];
+
+const ids = (list) => list.map((shoot) => shoot.id);
+
+describe("parsePortfolioQuery", () => {
+  it("reads the category, tags and sort", () => {
+    assert.deepEqual(parsePortfolioQuery("?category=Beauty+Shoot&tag=Studio&tag=%20portrait%20&tag=studio&sort=title"), {
+      category: "Beauty Shoot",
+      tags: ["studio", "portrait"],
+      sort: "title",
+    });
+  });
+
+  it("falls back to everything, newest first", () => {
+    assert.deepEqual(parsePortfolioQuery(""), { category: null, tags: [], sort: "newest" });
+    assert.equal(parsePortfolioQuery("?sort=price&tag=").sort, "newest");
+    assert.deepEqual(parsePortfolioQuery("?tag=").tags, []);
+  });
+});
+
+describe("toPortfolioQuery", () => {
+  it("round-trips through parsePortfolioQuery", () => {
+    const state = { category: "Beauty Shoot", tags: ["studio", "portrait"], sort: "oldest" };
+
+    assert.deepEqual(parsePortfolioQuery(toPortfolioQuery(state)), state);
+  });
+
+  it("leaves out the defaults", () => {
+    assert.equal(toPortfolioQuery({ category: null, tags: [], sort: "newest" }), "");
+    assert.equal(toPortfolioQuery({ category: null, tags: ["a"], sort: "newest" }), "?tag=a");
+  });
+});
+
+describe("getPortfolioFilterOptions", () => {
+  it("lists each category and tag once, sorted", () => {
+    assert.deepEqual(getPortfolioFilterOptions(shoots), {
+      categories: ["Beauty Shoot", "Editorial"],
+      tags: ["outdoor", "studio", "summer"],
+    });
+  });
+});
+
+describe("filterPortfolio", () => {
+  it("sorts newest first by default", () => {
+    assert.deepEqual(ids(filterPortfolio(shoots, { category: null, tags: [], sort: "newest" })), ["b", "a", "c"]);
+  });
+
+  it("sorts oldest first or by title, ignoring case", () => {
+    assert.deepEqual(ids(filterPortfolio(shoots, { category: null, tags: [], sort: "oldest" })), ["c", "a", "b"]);
+    assert.deepEqual(ids(filterPortfolio(shoots, { category: null, tags: [], sort: "title" })), ["b", "a", "c"]);
+  });
+
+  it("keeps shoots in the category that carry every selected tag", () => {
+    assert.deepEqual(ids(filterPortfolio(shoots, { category: "Editorial", tags: [], sort: "newest" })), ["a", "c"]);
+    assert.deepEqual(ids(filterPortfolio(shoots, { category: null, tags: ["outdoor", "summer"], sort: "newest" })), ["a"]);
+    assert.deepEqual(ids(filterPortfolio(shoots, { category: "Beauty Shoot", tags: ["outdoor"], sort: "newest" })), []);
+  });
+
+  it("leaves the input list alone", () => {
+    const copy = [...shoots];
+    filterPortfolio(shoots, { category: null, tags: [], sort: "title" });
+
+    assert.deepEqual(shoots, copy);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { decryptPayload, encryptPayload, formatExpiry, getEnvelopeId, getEnvelopePath, isExpired } from '../src/lib/privateAccess.js';
+
+const payload = { title: "Client Preview", photos: [{ src: "/assets/a.jpg" }] };
+
+describe("private gallery envelopes", () => {
+  it("open with the secret they were sealed with", async () => {
+    const envelope = await encryptPayload(payload, "s3cret-key");
+
+    assert.equal(envelope.v, 1);
+    assert.doesNotMatch(JSON.stringify(envelope), /Client Preview/);
+    assert.deepEqual(await decryptPayload(envelope, "s3cret-key"), payload);
+  });
+
+  it("don't open with another secret", async () => {
+    const envelope = await encryptPayload(payload, "s3cret-key");
+
+    await assert.rejects(decryptPayload(envelope, "guess"));
+  });
+
+  it("don't open once tampered with", async () => {
+    const envelope = await encryptPayload(payload, "s3cret-key");
+    const data = Buffer.from(envelope.data, "base64");
+    data[0] ^= 1;
+
+    await assert.rejects(decryptPayload({ ...envelope, data: data.toString("base64") }, "s3cret-key"));
+  });
+
+  it("are salted, so sealing twice gives different envelopes", async () => {
+    const [first, second] = await Promise.all([encryptPayload(payload, "k"), encryptPayload(payload, "k")]);
+
+    assert.notEqual(first.data, second.data);
+    assert.notEqual(first.salt, second.salt);
+  });
+
+  it("live at a path derived from the slug and the secret", async () => {
+    const id = await getEnvelopeId("wedding", "k");
+
+    assert.match(id, /^[0-9a-f]{32}$/);
+    assert.equal(await getEnvelopeId("wedding", "k"), id);
+    assert.notEqual(await getEnvelopeId("wedding", "other"), id);
+    assert.notEqual(await getEnvelopeId("other", "k"), id);
+    assert.equal(await getEnvelopePath("wedding", "k"), `/private/${id}.json`);
+  });
+});
+
+describe("isExpired", () => {
+  it("treats the expiry date as inclusive, in UTC", () => {
+    assert.equal(isExpired("2025-03-01", Date.parse("2025-03-01T23:59:59Z")), false);
+    assert.equal(isExpired("2025-03-01", Date.parse("2025-03-02T00:00:00Z")), true);
+  });
+
+  it("never expires without a date", () => {
+    assert.equal(isExpired(null), false);
+    assert.equal(isExpired(""), false);
+  });
+});
+
+describe("formatExpiry", () => {
+  it("formats the date in the given locale", () => {
+    assert.equal(formatExpiry("2025-03-01"), "Mar 1, 2025");
+    assert.equal(formatExpiry("2025-03-01", "de-DE"), "1. März 2025");
+    assert.equal(formatExpiry(null), "");
+  });
+});
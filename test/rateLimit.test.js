@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createRateLimiter } from '../server/rateLimit.js';
+
+describe("createRateLimiter", () => {
+  it("allows `limit` hits per window and then reports when to retry", () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+
+    assert.deepEqual(limiter.consume("a", 0), { allowed: true, retryAfterMs: 0 });
+    assert.deepEqual(limiter.consume("a", 100), { allowed: true, retryAfterMs: 0 });
+    assert.deepEqual(limiter.consume("a", 400), { allowed: false, retryAfterMs: 600 });
+  });
+
+  it("counts each key separately", () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+
+    assert.equal(limiter.consume("a", 0).allowed, true);
+    assert.equal(limiter.consume("b", 0).allowed, true);
+    assert.equal(limiter.consume("a", 10).allowed, false);
+  });
+
+  it("slides the window instead of resetting it", () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+
+    limiter.consume("a", 0);
+    limiter.consume("a", 500);
+
+    assert.equal(limiter.consume("a", 999).allowed, false);
+    // The first hit has left the window, the second has not.
+    assert.equal(limiter.consume("a", 1000).allowed, true);
+    assert.equal(limiter.consume("a", 1001).allowed, false);
+  });
+
+  it("does not let rejected hits extend the block", () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+
+    limiter.consume("a", 0);
+    limiter.consume("a", 900);
+
+    assert.equal(limiter.consume("a", 1000).allowed, true);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getProjectPath, matchRoute, normalizePathname, stripBase, toHref, withBase } from '../src/lib/router.js';
+
+describe("matchRoute", () => {
+  it("matches the fixed pages", () => {
+    assert.deepEqual(matchRoute("/"), { name: "home" });
+    assert.deepEqual(matchRoute("/comp-card"), { name: "compCard" });
+    assert.deepEqual(matchRoute("/portfolio"), { name: "portfolio" });
+    assert.deepEqual(matchRoute("/digitals"), { name: "digitals", setId: null });
+  });
+
+  it("matches a project with an optional 1-based photo number", () => {
+    assert.deepEqual(matchRoute("/portfolio/editorial"), { name: "project", slug: "editorial", photoNumber: null });
+    assert.deepEqual(matchRoute("/portfolio/editorial/3/"), { name: "project", slug: "editorial", photoNumber: 3 });
+  });
+
+  it("decodes and lower-cases slugs, keeping malformed ones as typed", () => {
+    assert.equal(matchRoute("/portfolio/Caf%C3%A9").slug, "café");
+    assert.equal(matchRoute("/portfolio/50%off").slug, "50%off");
+    assert.equal(matchRoute("/digitals/2025-03-SET").setId, "2025-03-set");
+  });
+
+  it("falls through to notFound", () => {
+    for (const pathname of ["/nope", "/portfolio/a/b", "/portfolio/a/3/4", "/digitals/a/b"]) {
+      assert.deepEqual(matchRoute(pathname), { name: "notFound" }, pathname);
+    }
+  });
+
+  it("round-trips getProjectPath", () => {
+    assert.deepEqual(matchRoute(getProjectPath("spring linen", 2)), { name: "project", slug: "spring linen", photoNumber: 2 });
+  });
+});
+
+describe("stripBase", () => {
+  it("removes the deploy base", () => {
+    assert.equal(stripBase("/site/portfolio/a", "/site/"), "/portfolio/a");
+    assert.equal(stripBase("/site", "/site/"), "/");
+    assert.equal(stripBase("/site/", "/site/"), "/");
+  });
+
+  it("only strips whole path segments", () => {
+    assert.equal(stripBase("/sitemap", "/site/"), "/sitemap");
+  });
+
+  it("normalizes paths at the root base", () => {
+    assert.equal(stripBase("/portfolio/", "/"), "/portfolio");
+    assert.equal(stripBase("", "/"), "/");
+  });
+
+  it("undoes withBase", () => {
+    assert.equal(stripBase(withBase("/digitals", "/sub/path/"), "/sub/path/"), "/digitals");
+    assert.equal(withBase("/", "/"), "/");
+  });
+});
+
+describe("normalizePathname", () => {
+  it("adds the leading slash and drops trailing ones", () => {
+    assert.equal(normalizePathname("portfolio//"), "/portfolio");
+    assert.equal(normalizePathname(undefined), "/");
+  });
+});
+
+describe("toHref", () => {
+  it("appends the query and hash", () => {
+    assert.equal(toHref("/", { hash: "contact" }), "/#contact");
+    assert.equal(toHref("/portfolio/", { query: "?tag=a" }), "/portfolio?tag=a");
+  });
+});
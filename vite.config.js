@@ -1,7 +1,53 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { imagetools } from 'vite-imagetools'
+import { analyticsApi } from './plugins/analyticsApi.js'
+import { catalogExport } from './plugins/catalogExport.js'
+import { compCard } from './plugins/compCard.js'
+import { contentValidation } from './plugins/contentValidation.js'
+import { digitalsArchive } from './plugins/digitalsArchive.js'
+import { inquiryApi } from './plugins/inquiryApi.js'
+import { photoFocusEditor } from './plugins/photoFocusEditor.js'
+import { photoManifest } from './plugins/photoManifest.js'
+import { stripPhotoMetadata } from './plugins/photoMetadata.js'
+import { prerender } from './plugins/prerender.js'
+import { privateGalleries } from './plugins/privateGalleries.js'
+import { watermarkDirectives, watermarkTransform } from './plugins/watermark.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // Set BASE_PATH (e.g. /ashley-model-site/) when the site is served from a
+  // sub-path such as GitHub Pages.
+  base: process.env.BASE_PATH || '/',
+  plugins: [
+    // Fails the build on broken shoot folders; see `npm run validate-content`.
+    contentValidation(),
+    react(),
+    // The default include pattern is case-sensitive, which let camera-style
+    // .JPG files (the hero among them) ship unprocessed. removeMetadata is
+    // already the default; it is spelled out because GPS tags must never ship.
+    // Photos in protected shoots (see PROTECTION in siteConfig) are always
+    // watermarked, whatever query they are imported with.
+    imagetools({
+      include: /^[^?]+\.(avif|gif|heif|jpeg|jpg|png|tiff|webp)(\?.*)?$/i,
+      removeMetadata: true,
+      defaultDirectives: watermarkDirectives(),
+      extendTransforms: (builtins) => [...builtins, watermarkTransform],
+    }),
+    photoManifest(),
+    compCard(),
+    // /digitals/<set>.zip for every digitals set.
+    digitalsArchive(),
+    inquiryApi(),
+    analyticsApi(),
+    privateGalleries(),
+    // Dev only: saves points from the focal point picker (Alt+click a photo).
+    photoFocusEditor(),
+    stripPhotoMetadata(),
+    // Set SITE_URL (e.g. https://example.com) so share cards and the sitemap
+    // carry absolute URLs.
+    prerender({ siteUrl: process.env.SITE_URL }),
+    // catalog.json for agencies, plus an Atom feed unless CATALOG_FEED=off.
+    catalogExport({ siteUrl: process.env.SITE_URL, feed: process.env.CATALOG_FEED !== 'off' }),
+  ],
 })